@@ -0,0 +1,140 @@
+/**
+ * Base Map
+ * One scanned map image with its own reference points, calibration, annotations and
+ * measurements. The viewer works on the active base map through its own fields
+ * (mapImage, referencePoints, transform, ...): switching maps stores those fields in
+ * the outgoing map and loads the incoming map's (see captureFrom and applyTo). Maps
+ * that are not active answer coordinate conversions themselves, for comparison.
+ *
+ * Images are not stored; a restored map keeps its file name and calibration until its
+ * image is loaded again.
+ */
+
+class BaseMap {
+    constructor({ title = null, fileName = null, referencePoints = [], transformType = 'affine', robustCalibration = false, crs = 'EPSG:4326', annotations = [], measurements = [] } = {}) {
+        this.title = title; // Name shown before an image is loaded
+        this.mapImage = null;
+        this.mapFileName = fileName;
+        this.mapFile = null;
+        this.mapImageURL = null;
+        this.tilePyramid = null;
+
+        this.referencePoints = referencePoints;
+        this.transformType = CoordinateTransform.TYPES[transformType] ? transformType : 'affine';
+        this.robustCalibration = robustCalibration === true;
+        this.mapCRSDefinition = 'EPSG:4326';
+        this.mapCRS = CRS.fromCode(this.mapCRSDefinition);
+        try {
+            this.mapCRS = CRS.fromDefinition(crs) || this.mapCRS;
+            this.mapCRSDefinition = this.mapCRS.code || crs;
+        } catch (error) {
+            console.warn('Failed to restore map CRS:', error);
+        }
+
+        // Fitted by the viewer (see GISViewer.calculateTransform)
+        this.transform = null;
+        this.isCalibrated = false;
+        this.residuals = [];
+        this.outlierIndices = [];
+
+        this.annotations = annotations;
+        this.measurements = measurements;
+    }
+
+    /**
+     * Viewer fields that belong to the active base map
+     */
+    static get FIELDS() {
+        return [
+            'mapImage', 'mapFileName', 'mapFile', 'mapImageURL', 'tilePyramid',
+            'referencePoints', 'transformType', 'robustCalibration', 'mapCRSDefinition', 'mapCRS',
+            'transform', 'isCalibrated', 'residuals', 'outlierIndices',
+            'annotations', 'measurements'
+        ];
+    }
+
+    /**
+     * Store the viewer's state for this map
+     */
+    captureFrom(viewer) {
+        BaseMap.FIELDS.forEach(field => {
+            this[field] = viewer[field];
+        });
+    }
+
+    /**
+     * Load this map's state into the viewer
+     */
+    applyTo(viewer) {
+        BaseMap.FIELDS.forEach(field => {
+            viewer[field] = this[field];
+        });
+    }
+
+    /**
+     * Name for lists: the image file, or the title given when it was added
+     */
+    get name() {
+        return this.mapFileName || this.title || 'Untitled map';
+    }
+
+    /**
+     * Whether the image can be drawn for comparison: tiled scans through their preview
+     */
+    get isDrawable() {
+        return this.mapImage !== null && (!this.mapImage.tiled || Boolean(this.mapImage.preview));
+    }
+
+    /**
+     * Image pixel to WGS84, or null when not calibrated
+     */
+    pixelToGeo(x, y) {
+        if (!this.isCalibrated || !this.transform) return null;
+
+        const projected = this.transform.forward(x, y);
+        const { lat, lng } = this.mapCRS.inverse(projected.x, projected.y);
+        return { lat, lng };
+    }
+
+    /**
+     * WGS84 to image pixel, or null when not calibrated
+     */
+    geoToPixel(lat, lng) {
+        if (!this.isCalibrated || !this.transform) return null;
+
+        const projected = this.mapCRS.forward(lng, lat);
+        return this.transform.inverse(projected.x, projected.y);
+    }
+
+    /**
+     * Release the image and its tiles
+     */
+    dispose() {
+        if (this.tilePyramid) this.tilePyramid.dispose();
+        if (this.mapImageURL) URL.revokeObjectURL(this.mapImageURL);
+        this.tilePyramid = null;
+        this.mapImageURL = null;
+        this.mapImage = null;
+    }
+
+    /**
+     * Serializable form for storage and export
+     */
+    toJSON() {
+        return {
+            title: this.title,
+            fileName: this.mapFileName,
+            referencePoints: this.referencePoints,
+            transformType: this.transformType,
+            robustCalibration: this.robustCalibration,
+            crs: this.mapCRSDefinition,
+            annotations: this.annotations,
+            measurements: this.measurements
+        };
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseMap;
+}
@@ -0,0 +1,363 @@
+/**
+ * Coordinate Parser
+ * Reads and formats positions as decimal degrees, DMS/DDM, UTM and MGRS
+ *
+ * Accepted input examples:
+ *   48.8566, 2.3522          48°51'24"N 2°21'03"E        N 48 51.4 E 2 21.05
+ *   -33.86 151.21            31U 452382 5411725           31U DQ 52382 11725
+ *   48.85N, 2.35             48,8566 2,3522               48,8566; 2,3522
+ */
+
+class CoordinateParser {
+    /**
+     * Display formats offered by format()
+     */
+    static get FORMATS() {
+        return {
+            decimal: 'Decimal degrees',
+            dms: 'Degrees, minutes, seconds',
+            ddm: 'Degrees, decimal minutes',
+            utm: 'UTM',
+            mgrs: 'MGRS'
+        };
+    }
+
+    /**
+     * Latitude band letters from 80°S, 8° each (X spans 72°N to 84°N)
+     */
+    static get BANDS() {
+        return 'CDEFGHJKLMNPQRSTUVWX';
+    }
+
+    /**
+     * Parse a complete position: a lat/lng pair in any degree notation,
+     * a UTM coordinate or an MGRS grid reference. Returns { lat, lng } or throws.
+     */
+    static parse(text) {
+        const input = String(text || '').trim();
+        if (!input) {
+            throw new Error('Enter a coordinate');
+        }
+
+        const position = CoordinateParser.parseMGRS(input) ||
+            CoordinateParser.parseUTM(input) ||
+            CoordinateParser.parseLatLng(CoordinateParser.normalize(input));
+
+        return CoordinateParser.validate(position);
+    }
+
+    /**
+     * Parse a single latitude value (decimal, DMS or DDM, optional N/S)
+     */
+    static parseLatitude(text) {
+        const angle = CoordinateParser.parseAngle(CoordinateParser.normalize(text));
+        if (angle.axis === 'lng') {
+            throw new Error(`"${text}" looks like a longitude (E/W)`);
+        }
+        if (Math.abs(angle.value) > 90) {
+            throw new Error('Latitude must be between -90 and 90');
+        }
+        return angle.value;
+    }
+
+    /**
+     * Parse a single longitude value (decimal, DMS or DDM, optional E/W)
+     */
+    static parseLongitude(text) {
+        const angle = CoordinateParser.parseAngle(CoordinateParser.normalize(text));
+        if (angle.axis === 'lat') {
+            throw new Error(`"${text}" looks like a latitude (N/S)`);
+        }
+        if (Math.abs(angle.value) > 180) {
+            throw new Error('Longitude must be between -180 and 180');
+        }
+        return angle.value;
+    }
+
+    /**
+     * Unify symbols: typographic primes and ordinal signs, lowercase d/m/s units
+     */
+    static normalize(text) {
+        return String(text || '')
+            .trim()
+            .replace(/[º˚]/g, '°')
+            .replace(/[′’‘`´]/g, "'")
+            .replace(/[″”“]|''/g, '"')
+            .replace(/[−–]/g, '-')
+            .replace(/(\d)\s*d(?=[\s\d]|$)/g, '$1°')
+            .replace(/(\d)\s*m(?=[\s\d]|$)/g, "$1'")
+            .replace(/(\d)\s*s(?=[\s\dNSEWnsew]|$)/g, '$1"');
+    }
+
+    /**
+     * Parse one angle; returns { value, axis } where axis is 'lat', 'lng' or
+     * null when no hemisphere letter was given
+     */
+    static parseAngle(text) {
+        const hemispheres = text.match(/[NSEW]/gi) || [];
+        if (hemispheres.length > 1) {
+            throw new Error(`Unexpected hemisphere letters in "${text}"`);
+        }
+        if (/[^\d\s.,°'"+\-NSEW]/i.test(text)) {
+            throw new Error(`Cannot read "${text}" as an angle`);
+        }
+
+        const hemisphere = hemispheres.length ? hemispheres[0].toUpperCase() : null;
+        const negative = /-/.test(text) || hemisphere === 'S' || hemisphere === 'W';
+        const parts = (text.replace(',', '.').match(/\d+(?:\.\d+)?|\.\d+/g) || []).map(parseFloat);
+
+        if (parts.length === 0 || parts.length > 3) {
+            throw new Error(`Cannot read "${text}" as an angle`);
+        }
+
+        const [degrees, minutes = 0, seconds = 0] = parts;
+        if (minutes >= 60 || seconds >= 60 || (parts.length > 1 && degrees % 1 !== 0) ||
+            (parts.length > 2 && minutes % 1 !== 0)) {
+            throw new Error(`Invalid degrees/minutes/seconds in "${text}"`);
+        }
+
+        const value = degrees + minutes / 60 + seconds / 3600;
+        const axis = hemisphere === null ? null : 'NS'.includes(hemisphere) ? 'lat' : 'lng';
+
+        return { value: negative ? -value : value, axis };
+    }
+
+    /**
+     * Split a pasted pair into latitude and longitude
+     */
+    static parseLatLng(text) {
+        const parts = CoordinateParser.splitPair(text);
+        if (!parts) {
+            throw new Error(`Cannot read "${text}" as a coordinate`);
+        }
+
+        const [first, second] = parts.map(part => CoordinateParser.parseAngle(part.trim()));
+
+        if (first.axis && first.axis === second.axis) {
+            throw new Error('Both values have the same hemisphere axis');
+        }
+
+        // Hemisphere letters decide the order; otherwise it is "lat, lng"
+        if (first.axis === 'lng' || second.axis === 'lat') {
+            return { lat: second.value, lng: first.value };
+        }
+        return { lat: first.value, lng: second.value };
+    }
+
+    /**
+     * Find the boundary between the two halves of a coordinate pair
+     */
+    static splitPair(text) {
+        // Hemisphere letters: prefixes ("N 48 E 2") or suffixes ("48N 2E")
+        const letters = [...text.matchAll(/[NSEW]/gi)];
+        if (letters.length === 2) {
+            const prefixed = /^[NSEW]/i.test(text);
+            const at = prefixed ? letters[1].index : letters[0].index + 1;
+            return [text.slice(0, at), text.slice(at)];
+        }
+        if (letters.length > 2) return null;
+
+        // Decimal commas ("48,8566 2,3522"): every comma is between digits, and
+        // whitespace or a semicolon separates the halves
+        if (/\d,\d/.test(text) && !/(^|\D),|,(\D|$)/.test(text)) {
+            const halves = text.split(/\s*;\s*|\s+/);
+            if (halves.length === 2) return halves;
+        }
+
+        // Explicit separators
+        const separated = text.split(/\s*[;,/]\s*/);
+        if (separated.length === 2) return separated;
+        if (separated.length > 2) return null;
+
+        // Degree symbols mark the start of each angle
+        const degrees = [...text.matchAll(/[+-]?\d+(?:\.\d+)?\s*°/g)];
+        if (degrees.length === 2) {
+            return [text.slice(0, degrees[1].index), text.slice(degrees[1].index)];
+        }
+
+        // Bare numbers: split evenly ("48 51 24 2 21 3"); a single hemisphere letter
+        // stays with the number it is written against ("48.85N 2.35", "48.85 E2.35")
+        const numbers = [...text.matchAll(/[+-]?\d+(?:\.\d+)?/g)];
+        if (numbers.length === 0 || numbers.length % 2 !== 0 || numbers.length > 6) return null;
+        let at = numbers[numbers.length / 2].index;
+        if (/[NSEW]/i.test(text[at - 1] || '')) at--;
+        return [text.slice(0, at), text.slice(at)];
+    }
+
+    /**
+     * UTM with a latitude band, "31U 448251 5411932" or "UTM 34S 739774E 4207112N" (band S
+     * is northern, 32-40°N), or with the hemisphere spelled out, "33 South 500000 4000000"
+     */
+    static parseUTM(text) {
+        const match = text.match(/^(?:UTM\s*)?(\d{1,2})\s*(north|south|[C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:m\s*)?E?[\s,]+(\d+(?:\.\d+)?)\s*(?:m\s*)?N?$/i);
+        if (!match) return null;
+
+        const zone = parseInt(match[1], 10);
+        const letter = match[2].toUpperCase();
+        const south = letter === 'SOUTH' || (letter.length === 1 && letter < 'N');
+
+        return CoordinateParser.fromUTM(zone, south, parseFloat(match[3]), parseFloat(match[4]));
+    }
+
+    /**
+     * MGRS: "31U DQ 48251 11932" or "31UDQ4825111932"
+     */
+    static parseMGRS(text) {
+        const match = text.replace(/\s+/g, '').match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/i);
+        if (!match) return null;
+
+        const zone = parseInt(match[1], 10);
+        const band = match[2].toUpperCase();
+        const column = match[3].toUpperCase();
+        const row = match[4].toUpperCase();
+        const digits = match[5];
+
+        if (digits.length % 2 !== 0 || digits.length > 10) {
+            throw new Error('MGRS easting and northing need the same number of digits');
+        }
+
+        const precision = digits.length / 2;
+        const scale = Math.pow(10, 5 - precision);
+        const easting = precision ? parseInt(digits.slice(0, precision), 10) * scale : 0;
+        const northing = precision ? parseInt(digits.slice(precision), 10) * scale : 0;
+
+        const { columnLetters, rowLetters, rowOffset } = CoordinateParser.mgrsLetters(zone);
+        const columnIndex = columnLetters.indexOf(column);
+        const rowIndex = rowLetters.indexOf(row);
+        if (columnIndex < 0) {
+            throw new Error(`MGRS column letter ${column} is not used in zone ${zone}`);
+        }
+
+        const south = band < 'N';
+        const e = (columnIndex + 1) * 100000 + easting;
+        let n = ((rowIndex - rowOffset + 20) % 20) * 100000 + northing;
+
+        // Row letters repeat every 2,000 km; pick the cycle inside the latitude band
+        const bandLat = CoordinateParser.BANDS.indexOf(band) * 8 - 80;
+        const bandNorthing = CoordinateParser.utmCRS(zone, south).forward(zone * 6 - 183, bandLat).y;
+        const bandStart = Math.floor(bandNorthing / 100000) * 100000 - 100000; // Parallels curve away from the central meridian
+        while (n < bandStart) n += 2000000;
+
+        return CoordinateParser.fromUTM(zone, south, e, n);
+    }
+
+    /**
+     * 100 km square letter sets for a UTM zone
+     */
+    static mgrsLetters(zone) {
+        const sets = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+        return {
+            columnLetters: sets[(zone - 1) % 3],
+            rowLetters: 'ABCDEFGHJKLMNPQRSTUV',
+            rowOffset: zone % 2 === 0 ? 5 : 0
+        };
+    }
+
+    /**
+     * Cached UTM coordinate reference systems
+     */
+    static utmCRS(zone, south) {
+        if (zone < 1 || zone > 60) {
+            throw new Error(`Invalid UTM zone ${zone}`);
+        }
+        CoordinateParser.utmCache = CoordinateParser.utmCache || {};
+        const key = `${zone}${south ? 'S' : 'N'}`;
+        if (!CoordinateParser.utmCache[key]) {
+            CoordinateParser.utmCache[key] = CRS.utm(zone, south);
+        }
+        return CoordinateParser.utmCache[key];
+    }
+
+    static fromUTM(zone, south, easting, northing) {
+        return CoordinateParser.utmCRS(zone, south).inverse(easting, northing);
+    }
+
+    /**
+     * Check ranges; returns the position
+     */
+    static validate(position) {
+        const { lat, lng } = position;
+        if (!isFinite(lat) || !isFinite(lng)) {
+            throw new Error('Coordinate could not be converted');
+        }
+        if (Math.abs(lat) > 90) {
+            throw new Error('Latitude must be between -90 and 90');
+        }
+        if (Math.abs(lng) > 180) {
+            throw new Error('Longitude must be between -180 and 180');
+        }
+        return { lat, lng };
+    }
+
+    /**
+     * Format a position in one of FORMATS. UTM and MGRS fall back to decimal
+     * degrees near the poles, where they are not defined.
+     */
+    static format(lat, lng, format = 'decimal') {
+        switch (format) {
+            case 'dms':
+                return `${CoordinateParser.formatDMS(lat, 'NS')} ${CoordinateParser.formatDMS(lng, 'EW')}`;
+            case 'ddm':
+                return `${CoordinateParser.formatDDM(lat, 'NS')} ${CoordinateParser.formatDDM(lng, 'EW')}`;
+            case 'utm':
+            case 'mgrs': {
+                const utm = CoordinateParser.toUTM(lat, lng);
+                if (!utm) break;
+                if (format === 'utm') {
+                    return `${utm.zone}${utm.band} ${Math.floor(utm.easting + 1e-3)}E ${Math.floor(utm.northing + 1e-3)}N`;
+                }
+                return CoordinateParser.formatMGRS(utm);
+            }
+        }
+        return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+    }
+
+    static formatDMS(value, hemispheres) {
+        const hemisphere = value < 0 ? hemispheres[1] : hemispheres[0];
+        let seconds = Math.round(Math.abs(value) * 36000) / 10; // Tenths of a second
+        const degrees = Math.floor(seconds / 3600);
+        seconds -= degrees * 3600;
+        const minutes = Math.floor(seconds / 60);
+        seconds -= minutes * 60;
+        return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(1).padStart(4, '0')}"${hemisphere}`;
+    }
+
+    static formatDDM(value, hemispheres) {
+        const hemisphere = value < 0 ? hemispheres[1] : hemispheres[0];
+        const thousandths = Math.round(Math.abs(value) * 60000); // Thousandths of a minute
+        const degrees = Math.floor(thousandths / 60000);
+        const minutes = (thousandths - degrees * 60000) / 1000;
+        return `${degrees}°${minutes.toFixed(3).padStart(6, '0')}'${hemisphere}`;
+    }
+
+    /**
+     * UTM zone, band, easting and northing; null outside 80°S to 84°N
+     */
+    static toUTM(lat, lng) {
+        if (lat < -80 || lat > 84) return null;
+
+        const zone = CRS.utmZoneFor(lng, lat);
+        const south = lat < 0;
+        const { x, y } = CoordinateParser.utmCRS(zone, south).forward(lng, lat);
+        const band = CoordinateParser.BANDS[Math.min(19, Math.floor((lat + 80) / 8))];
+
+        return { zone, band, easting: x, northing: y };
+    }
+
+    static formatMGRS({ zone, band, easting, northing }) {
+        const { columnLetters, rowLetters, rowOffset } = CoordinateParser.mgrsLetters(zone);
+        // Truncate to whole metres, tolerating sub-millimetre round-off below a grid line
+        easting = Math.floor(easting + 1e-3);
+        northing = Math.floor(northing + 1e-3);
+        const column = columnLetters[Math.floor(easting / 100000) - 1];
+        const row = rowLetters[(Math.floor(northing / 100000) + rowOffset) % 20];
+        const e = String(easting % 100000).padStart(5, '0');
+        const n = String(northing % 100000).padStart(5, '0');
+        return `${zone}${band} ${column}${row} ${e} ${n}`;
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoordinateParser;
+}
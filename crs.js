@@ -0,0 +1,815 @@
+/**
+ * Coordinate Reference Systems
+ * Projection definitions and reprojection to and from WGS84 for calibrated maps
+ *
+ * Definitions use proj4-style strings, e.g.
+ *   +proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +units=m
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+class CRS {
+    constructor(params, { code = null, name = null } = {}) {
+        this.params = params;
+        this.code = code;
+        this.name = name || code || `Custom (${params.proj})`;
+        this.epsg = CRS.epsgNumber(code);
+
+        this.ellipsoid = CRS.resolveEllipsoid(params);
+        this.towgs84 = CRS.resolveTowgs84(params);
+        this.primeMeridian = CRS.resolvePrimeMeridian(params.pm);
+        this.toMeter = CRS.resolveUnits(params);
+        this.projection = CRS.createProjection(params, this.ellipsoid);
+    }
+
+    /**
+     * Reference ellipsoids (semi-major axis and inverse flattening)
+     */
+    static get ELLIPSOIDS() {
+        return {
+            WGS84: { a: 6378137, rf: 298.257223563 },
+            GRS80: { a: 6378137, rf: 298.257222101 },
+            airy: { a: 6377563.396, rf: 299.3249646 },
+            mod_airy: { a: 6377340.189, rf: 299.3249646 },
+            bessel: { a: 6377397.155, rf: 299.1528128 },
+            clrk66: { a: 6378206.4, rf: 294.9786982 },
+            intl: { a: 6378388, rf: 297 }
+        };
+    }
+
+    /**
+     * Named datums with their ellipsoid and shift to WGS84
+     */
+    static get DATUMS() {
+        return {
+            WGS84: { ellps: 'WGS84', towgs84: [0, 0, 0] },
+            NAD83: { ellps: 'GRS80', towgs84: [0, 0, 0] },
+            OSGB36: { ellps: 'airy', towgs84: [446.448, -125.157, 542.06, 0.15, 0.247, 0.842, -20.489] },
+            potsdam: { ellps: 'bessel', towgs84: [598.1, 73.7, 418.2, 0.202, 0.045, -2.455, 6.7] }
+        };
+    }
+
+    /**
+     * Built-in coordinate reference systems
+     */
+    static get DEFINITIONS() {
+        return {
+            'EPSG:4326': {
+                name: 'WGS 84 (lat/lng)',
+                proj4: '+proj=longlat +datum=WGS84 +no_defs'
+            },
+            'EPSG:3857': {
+                name: 'Web Mercator',
+                proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs'
+            },
+            'EPSG:27700': {
+                name: 'British National Grid',
+                proj4: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +datum=OSGB36 +units=m +no_defs'
+            },
+            'EPSG:2154': {
+                name: 'RGF93 / Lambert-93 (France)',
+                proj4: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0 +units=m +no_defs'
+            },
+            'EPSG:3035': {
+                name: 'ETRS89 / LAEA Europe',
+                proj4: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0 +units=m +no_defs'
+            },
+            'EPSG:31467': {
+                name: 'DHDN / Gauss-Kruger zone 3 (Germany)',
+                proj4: '+proj=tmerc +lat_0=0 +lon_0=9 +k=1 +x_0=3500000 +y_0=0 +datum=potsdam +units=m +no_defs'
+            }
+        };
+    }
+
+    /**
+     * Create a CRS from an EPSG code such as "EPSG:27700".
+     * WGS84 UTM zones (EPSG:326xx / EPSG:327xx) are generated on demand.
+     */
+    static fromCode(code) {
+        const normalized = CRS.normalizeCode(code);
+        if (!normalized) return null;
+
+        const definition = CRS.DEFINITIONS[normalized];
+        if (definition) {
+            return CRS.fromProj4(definition.proj4, { code: normalized, name: definition.name });
+        }
+
+        const utmMatch = normalized.match(/^EPSG:32([67])(\d{2})$/);
+        if (utmMatch) {
+            const zone = parseInt(utmMatch[2], 10);
+            if (zone >= 1 && zone <= 60) {
+                return CRS.utm(zone, utmMatch[1] === '7');
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a CRS from a code, or from a proj4 string if it isn't a known code
+     */
+    static fromDefinition(definition) {
+        if (!definition) return null;
+        if (definition.trim().startsWith('+')) {
+            return CRS.fromProj4(definition);
+        }
+        return CRS.fromCode(definition);
+    }
+
+    /**
+     * Normalize "EPSG:xxxx", "urn:ogc:def:crs:EPSG::xxxx" and CRS84 names to "EPSG:xxxx"
+     */
+    static normalizeCode(name) {
+        if (!name) return null;
+
+        const text = String(name).trim();
+        if (/CRS84$/i.test(text)) return 'EPSG:4326';
+
+        const match = text.match(/EPSG:+(?:[\d.]*:)?(\d+)$/i);
+        return match ? `EPSG:${match[1]}` : null;
+    }
+
+    /**
+     * Numeric EPSG code, or null for custom definitions
+     */
+    static epsgNumber(code) {
+        const match = code && code.match(/^EPSG:(\d+)$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * WGS84 UTM zone CRS
+     */
+    static utm(zone, south = false) {
+        const code = `EPSG:${south ? 327 : 326}${String(zone).padStart(2, '0')}`;
+        const proj4 = `+proj=utm +zone=${zone}${south ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`;
+        return CRS.fromProj4(proj4, { code, name: `WGS 84 / UTM zone ${zone}${south ? 'S' : 'N'}` });
+    }
+
+    /**
+     * UTM zone number containing a longitude (with the Norway/Svalbard exceptions)
+     */
+    static utmZoneFor(lng, lat) {
+        if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) return 32;
+        if (lat >= 72 && lat < 84) {
+            if (lng >= 0 && lng < 9) return 31;
+            if (lng >= 9 && lng < 21) return 33;
+            if (lng >= 21 && lng < 33) return 35;
+            if (lng >= 33 && lng < 42) return 37;
+        }
+        return Math.min(60, Math.floor((lng + 180) / 6) + 1);
+    }
+
+    /**
+     * Create a CRS from a proj4 definition string
+     */
+    static fromProj4(definition, options = {}) {
+        return new CRS(CRS.parseProj4(definition), options);
+    }
+
+    /**
+     * Parse a proj4 string into a parameter object
+     */
+    static parseProj4(definition) {
+        const params = {};
+
+        definition.trim().split(/\s+/).forEach(token => {
+            const match = token.match(/^\+?([\w]+)(?:=(.*))?$/);
+            if (!match) return;
+
+            const [, key, value] = match;
+            if (value === undefined) {
+                params[key] = true;
+            } else if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(value)) {
+                params[key] = parseFloat(value);
+            } else {
+                params[key] = value;
+            }
+        });
+
+        if (!params.proj) {
+            throw new Error('Missing +proj parameter');
+        }
+
+        return params;
+    }
+
+    static resolveEllipsoid(params) {
+        let a;
+        let rf;
+
+        const datum = params.datum && CRS.DATUMS[params.datum];
+        const ellpsName = params.ellps || (datum && datum.ellps) || 'WGS84';
+        const ellps = CRS.ELLIPSOIDS[ellpsName];
+
+        if (params.a !== undefined) {
+            a = params.a;
+            if (params.rf !== undefined) {
+                rf = params.rf;
+            } else if (params.b !== undefined) {
+                rf = params.a === params.b ? Infinity : params.a / (params.a - params.b);
+            } else {
+                rf = ellps ? ellps.rf : Infinity;
+            }
+        } else if (ellps) {
+            a = ellps.a;
+            rf = params.rf !== undefined ? params.rf : ellps.rf;
+        } else {
+            throw new Error(`Unknown ellipsoid: ${ellpsName}`);
+        }
+
+        const f = isFinite(rf) ? 1 / rf : 0;
+        const es = 2 * f - f * f;
+        const name = params.a === undefined && ellps ? ellpsName : null;
+
+        return { name, a, f, rf, es, e: Math.sqrt(es), b: a * (1 - f) };
+    }
+
+    static resolveTowgs84(params) {
+        let values = null;
+
+        if (params.towgs84 !== undefined) {
+            values = String(params.towgs84).split(',').map(Number);
+        } else if (params.datum && CRS.DATUMS[params.datum]) {
+            values = CRS.DATUMS[params.datum].towgs84;
+        }
+
+        // Without shift parameters the datum is taken to be WGS84
+        if (!values || values.every(v => v === 0)) return null;
+
+        return values.length >= 7 ? values.slice(0, 7) : [values[0], values[1], values[2], 0, 0, 0, 0];
+    }
+
+    static resolvePrimeMeridian(pm) {
+        if (pm === undefined || pm === 'greenwich') return 0;
+        if (pm === 'paris') return 2.33722917;
+        if (typeof pm === 'number') return pm;
+        throw new Error(`Unsupported prime meridian: ${pm}`);
+    }
+
+    static resolveUnits(params) {
+        if (params.to_meter !== undefined) return params.to_meter;
+
+        const units = { m: 1, km: 1000, ft: 0.3048, 'us-ft': 1200 / 3937 };
+        if (params.units === undefined) return 1;
+        if (units[params.units] === undefined) {
+            throw new Error(`Unsupported units: ${params.units}`);
+        }
+        return units[params.units];
+    }
+
+    static createProjection(params, ellipsoid) {
+        switch (params.proj) {
+            case 'longlat':
+            case 'latlong':
+            case 'lonlat':
+            case 'latlon':
+                return null;
+            case 'merc':
+                return new MercatorProjection(params, ellipsoid);
+            case 'tmerc':
+                return new TransverseMercatorProjection(params, ellipsoid);
+            case 'utm': {
+                if (!params.zone) throw new Error('UTM definition needs +zone');
+                return new TransverseMercatorProjection({
+                    lat_0: 0,
+                    lon_0: params.zone * 6 - 183,
+                    k_0: 0.9996,
+                    x_0: 500000,
+                    y_0: params.south ? 10000000 : 0
+                }, ellipsoid);
+            }
+            case 'lcc':
+                return new LambertConformalConicProjection(params, ellipsoid);
+            case 'laea':
+                return new LambertAzimuthalEqualAreaProjection(params, ellipsoid);
+            default:
+                throw new Error(`Unsupported projection: ${params.proj}`);
+        }
+    }
+
+    /**
+     * Whether coordinates are longitude/latitude in degrees
+     */
+    get isGeographic() {
+        return this.projection === null;
+    }
+
+    /**
+     * Unit label for axis values
+     */
+    get units() {
+        if (this.isGeographic) return '°';
+        if (this.toMeter === 1) return 'm';
+        if (Math.abs(this.toMeter - 0.3048) < 1e-6 || Math.abs(this.toMeter - 1200 / 3937) < 1e-6) return 'ft';
+        return 'units';
+    }
+
+    /**
+     * ESRI names used when writing WKT for each ellipsoid: [datum, spheroid]
+     */
+    static get WKT_NAMES() {
+        return {
+            WGS84: ['D_WGS_1984', 'WGS_1984'],
+            GRS80: ['D_GRS_1980', 'GRS_1980'],
+            airy: ['D_OSGB_1936', 'Airy_1830'],
+            mod_airy: ['D_Ireland_1965', 'Airy_Modified'],
+            bessel: ['D_Deutsches_Hauptdreiecksnetz', 'Bessel_1841'],
+            clrk66: ['D_North_American_1927', 'Clarke_1866'],
+            intl: ['D_European_1950', 'International_1924']
+        };
+    }
+
+    /**
+     * ESRI-style WKT, as written to .prj files next to world files
+     */
+    toWKT() {
+        const { name: ellpsName, a, rf } = this.ellipsoid;
+        const [datumName, spheroidName] = CRS.WKT_NAMES[ellpsName] || ['D_Unknown', 'Unknown'];
+        const flattening = isFinite(rf) ? rf : 0;
+
+        const geogcs = `GEOGCS["GCS_${datumName.replace(/^D_/, '')}",` +
+            `DATUM["${datumName}",SPHEROID["${spheroidName}",${a},${flattening}]],` +
+            `PRIMEM["Greenwich",${this.primeMeridian}],UNIT["Degree",0.0174532925199433]]`;
+
+        if (this.isGeographic) return geogcs;
+
+        const p = this.params;
+        const k0 = p.k_0 !== undefined ? p.k_0 : p.k !== undefined ? p.k : 1;
+        const parameters = [];
+        let projection;
+
+        switch (p.proj) {
+            case 'utm':
+                projection = 'Transverse_Mercator';
+                parameters.push(['False_Easting', 500000], ['False_Northing', p.south ? 10000000 : 0],
+                    ['Central_Meridian', p.zone * 6 - 183], ['Scale_Factor', 0.9996], ['Latitude_Of_Origin', 0]);
+                break;
+            case 'tmerc':
+                projection = 'Transverse_Mercator';
+                parameters.push(['False_Easting', p.x_0 || 0], ['False_Northing', p.y_0 || 0],
+                    ['Central_Meridian', p.lon_0 || 0], ['Scale_Factor', k0], ['Latitude_Of_Origin', p.lat_0 || 0]);
+                break;
+            case 'merc':
+                if (this.code === 'EPSG:3857') {
+                    projection = 'Mercator_Auxiliary_Sphere';
+                    parameters.push(['False_Easting', 0], ['False_Northing', 0], ['Central_Meridian', 0],
+                        ['Standard_Parallel_1', 0], ['Auxiliary_Sphere_Type', 0]);
+                } else {
+                    projection = 'Mercator';
+                    parameters.push(['False_Easting', p.x_0 || 0], ['False_Northing', p.y_0 || 0],
+                        ['Central_Meridian', p.lon_0 || 0], ['Standard_Parallel_1', p.lat_ts || 0]);
+                }
+                break;
+            case 'lcc':
+                projection = 'Lambert_Conformal_Conic';
+                parameters.push(['False_Easting', p.x_0 || 0], ['False_Northing', p.y_0 || 0],
+                    ['Central_Meridian', p.lon_0 || 0],
+                    ['Standard_Parallel_1', p.lat_1 !== undefined ? p.lat_1 : p.lat_0 || 0],
+                    ['Standard_Parallel_2', p.lat_2 !== undefined ? p.lat_2 : p.lat_1 !== undefined ? p.lat_1 : p.lat_0 || 0],
+                    ['Scale_Factor', k0], ['Latitude_Of_Origin', p.lat_0 || 0]);
+                break;
+            case 'laea':
+                projection = 'Lambert_Azimuthal_Equal_Area';
+                parameters.push(['False_Easting', p.x_0 || 0], ['False_Northing', p.y_0 || 0],
+                    ['Central_Meridian', p.lon_0 || 0], ['Latitude_Of_Origin', p.lat_0 || 0]);
+                break;
+        }
+
+        const unit = this.toMeter === 1 ? 'UNIT["Meter",1.0]' :
+            this.units === 'ft' && Math.abs(this.toMeter - 0.3048) > 1e-6 ? `UNIT["Foot_US",${this.toMeter}]` :
+            this.units === 'ft' ? `UNIT["Foot",${this.toMeter}]` : `UNIT["Unknown",${this.toMeter}]`;
+
+        return `PROJCS["${this.name.replace(/[^\w]+/g, '_').replace(/^_|_$/g, '')}",${geogcs},` +
+            `PROJECTION["${projection}"],` +
+            parameters.map(([key, value]) => `PARAMETER["${key}",${value}]`).join(',') +
+            `,${unit}]`;
+    }
+
+    /**
+     * Project WGS84 longitude/latitude (degrees) into this CRS
+     */
+    forward(lng, lat) {
+        let lam = lng * DEG_TO_RAD;
+        let phi = lat * DEG_TO_RAD;
+
+        if (this.towgs84) {
+            ({ lam, phi } = this.shiftFromWGS84(lam, phi));
+        }
+
+        lam -= this.primeMeridian * DEG_TO_RAD;
+
+        if (this.isGeographic) {
+            return { x: lam * RAD_TO_DEG, y: phi * RAD_TO_DEG };
+        }
+
+        const p = this.projection.project(lam, phi);
+        return { x: p.x / this.toMeter, y: p.y / this.toMeter };
+    }
+
+    /**
+     * Convert coordinates in this CRS to WGS84 longitude/latitude (degrees)
+     */
+    inverse(x, y) {
+        let lam;
+        let phi;
+
+        if (this.isGeographic) {
+            lam = x * DEG_TO_RAD;
+            phi = y * DEG_TO_RAD;
+        } else {
+            ({ lam, phi } = this.projection.unproject(x * this.toMeter, y * this.toMeter));
+        }
+
+        lam += this.primeMeridian * DEG_TO_RAD;
+
+        if (this.towgs84) {
+            ({ lam, phi } = this.shiftToWGS84(lam, phi));
+        }
+
+        return { lng: lam * RAD_TO_DEG, lat: phi * RAD_TO_DEG };
+    }
+
+    /**
+     * Helmert parameters in radians and scale factor
+     */
+    get helmert() {
+        const [dx, dy, dz, rx, ry, rz, s] = this.towgs84;
+        const arcsec = Math.PI / 648000;
+        return { dx, dy, dz, rx: rx * arcsec, ry: ry * arcsec, rz: rz * arcsec, m: 1 + s * 1e-6 };
+    }
+
+    /**
+     * Local datum geodetic coordinates to WGS84 (position vector Helmert transform)
+     */
+    shiftToWGS84(lam, phi) {
+        const { dx, dy, dz, rx, ry, rz, m } = this.helmert;
+        const p = CRS.geodeticToGeocentric(lam, phi, this.ellipsoid);
+
+        const x = dx + m * (p.x - rz * p.y + ry * p.z);
+        const y = dy + m * (rz * p.x + p.y - rx * p.z);
+        const z = dz + m * (-ry * p.x + rx * p.y + p.z);
+
+        return CRS.geocentricToGeodetic(x, y, z, CRS.WGS84_ELLIPSOID);
+    }
+
+    /**
+     * WGS84 geodetic coordinates to the local datum
+     */
+    shiftFromWGS84(lam, phi) {
+        const { dx, dy, dz, rx, ry, rz, m } = this.helmert;
+        const p = CRS.geodeticToGeocentric(lam, phi, CRS.WGS84_ELLIPSOID);
+
+        const tx = (p.x - dx) / m;
+        const ty = (p.y - dy) / m;
+        const tz = (p.z - dz) / m;
+
+        const x = tx + rz * ty - ry * tz;
+        const y = -rz * tx + ty + rx * tz;
+        const z = ry * tx - rx * ty + tz;
+
+        return CRS.geocentricToGeodetic(x, y, z, this.ellipsoid);
+    }
+
+    static get WGS84_ELLIPSOID() {
+        return CRS.resolveEllipsoid({ ellps: 'WGS84' });
+    }
+
+    static geodeticToGeocentric(lam, phi, { a, es }) {
+        const sinPhi = Math.sin(phi);
+        const cosPhi = Math.cos(phi);
+        const N = a / Math.sqrt(1 - es * sinPhi * sinPhi);
+
+        return {
+            x: N * cosPhi * Math.cos(lam),
+            y: N * cosPhi * Math.sin(lam),
+            z: N * (1 - es) * sinPhi
+        };
+    }
+
+    static geocentricToGeodetic(x, y, z, { a, es }) {
+        const p = Math.sqrt(x * x + y * y);
+        const lam = Math.atan2(y, x);
+        let phi = Math.atan2(z, p * (1 - es));
+
+        for (let i = 0; i < 10; i++) {
+            const sinPhi = Math.sin(phi);
+            const N = a / Math.sqrt(1 - es * sinPhi * sinPhi);
+            const next = Math.atan2(z + es * N * sinPhi, p);
+            if (Math.abs(next - phi) < 1e-14) {
+                phi = next;
+                break;
+            }
+            phi = next;
+        }
+
+        return { lam, phi };
+    }
+
+    /**
+     * Reproject GeoJSON coordinates in place, e.g. from a file's declared CRS to WGS84
+     */
+    static reprojectGeoJSON(geojson, convert) {
+        const reprojectCoords = (coords) => {
+            if (typeof coords[0] === 'number') {
+                const result = convert(coords[0], coords[1]);
+                return [result[0], result[1], ...coords.slice(2)];
+            }
+            return coords.map(reprojectCoords);
+        };
+
+        const reprojectGeometry = (geometry) => {
+            if (!geometry) return;
+            if (geometry.type === 'GeometryCollection') {
+                geometry.geometries.forEach(reprojectGeometry);
+            } else {
+                geometry.coordinates = reprojectCoords(geometry.coordinates);
+            }
+        };
+
+        const features = geojson.type === 'FeatureCollection' ? geojson.features :
+            geojson.type === 'Feature' ? [geojson] : [{ geometry: geojson }];
+        features.forEach(feature => reprojectGeometry(feature.geometry));
+
+        return geojson;
+    }
+}
+
+/**
+ * Conformal latitude helper shared by Mercator and LCC: t(phi)
+ */
+function tsfn(phi, e) {
+    const sinPhi = Math.sin(phi);
+    return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - e * sinPhi) / (1 + e * sinPhi), e / 2);
+}
+
+/**
+ * Invert tsfn by fixed point iteration
+ */
+function phiFromTs(ts, e) {
+    let phi = Math.PI / 2 - 2 * Math.atan(ts);
+    for (let i = 0; i < 15; i++) {
+        const sinPhi = e * Math.sin(phi);
+        const next = Math.PI / 2 - 2 * Math.atan(ts * Math.pow((1 - sinPhi) / (1 + sinPhi), e / 2));
+        if (Math.abs(next - phi) < 1e-12) return next;
+        phi = next;
+    }
+    return phi;
+}
+
+/**
+ * Mercator (ellipsoidal, reduces to spherical when e = 0)
+ */
+class MercatorProjection {
+    constructor(params, { a, e, es }) {
+        this.a = a;
+        this.e = e;
+        this.lam0 = (params.lon_0 || 0) * DEG_TO_RAD;
+        this.x0 = params.x_0 || 0;
+        this.y0 = params.y_0 || 0;
+
+        if (params.lat_ts) {
+            const sinTs = Math.sin(params.lat_ts * DEG_TO_RAD);
+            this.k0 = Math.cos(params.lat_ts * DEG_TO_RAD) / Math.sqrt(1 - es * sinTs * sinTs);
+        } else {
+            this.k0 = params.k_0 !== undefined ? params.k_0 : params.k !== undefined ? params.k : 1;
+        }
+    }
+
+    project(lam, phi) {
+        return {
+            x: this.x0 + this.a * this.k0 * (lam - this.lam0),
+            y: this.y0 - this.a * this.k0 * Math.log(tsfn(phi, this.e))
+        };
+    }
+
+    unproject(x, y) {
+        const ts = Math.exp(-(y - this.y0) / (this.a * this.k0));
+        return {
+            lam: (x - this.x0) / (this.a * this.k0) + this.lam0,
+            phi: phiFromTs(ts, this.e)
+        };
+    }
+}
+
+/**
+ * Transverse Mercator using the Krüger series (as used for UTM)
+ */
+class TransverseMercatorProjection {
+    constructor(params, { a, f }) {
+        const n = f / (2 - f);
+        const n2 = n * n;
+        const n3 = n2 * n;
+
+        this.k0 = params.k_0 !== undefined ? params.k_0 : params.k !== undefined ? params.k : 1;
+        this.lam0 = (params.lon_0 || 0) * DEG_TO_RAD;
+        this.x0 = params.x_0 || 0;
+        this.y0 = params.y_0 || 0;
+
+        this.n = n;
+        this.A = a / (1 + n) * (1 + n2 / 4 + n2 * n2 / 64);
+        this.alpha = [n / 2 - 2 * n2 / 3 + 5 * n3 / 16, 13 * n2 / 48 - 3 * n3 / 5, 61 * n3 / 240];
+        this.beta = [n / 2 - 2 * n2 / 3 + 37 * n3 / 96, n2 / 48 + n3 / 15, 17 * n3 / 480];
+        this.delta = [2 * n - 2 * n2 / 3 - 2 * n3, 7 * n2 / 3 - 8 * n3 / 5, 56 * n3 / 15];
+
+        // Northing of the latitude of origin on the central meridian
+        this.m0 = this.series((params.lat_0 || 0) * DEG_TO_RAD, 0).xi;
+    }
+
+    /**
+     * Normalized (xi, eta) coordinates for a longitude offset and latitude
+     */
+    series(phi, dLam) {
+        const c = 2 * Math.sqrt(this.n) / (1 + this.n);
+        const sinPhi = Math.sin(phi);
+        const t = Math.sinh(Math.atanh(sinPhi) - c * Math.atanh(c * sinPhi));
+        const xiPrime = Math.atan2(t, Math.cos(dLam));
+        const etaPrime = Math.atanh(Math.sin(dLam) / Math.sqrt(1 + t * t));
+
+        let xi = xiPrime;
+        let eta = etaPrime;
+        for (let j = 1; j <= 3; j++) {
+            xi += this.alpha[j - 1] * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+            eta += this.alpha[j - 1] * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+        }
+
+        return { xi, eta };
+    }
+
+    project(lam, phi) {
+        const { xi, eta } = this.series(phi, lam - this.lam0);
+        return {
+            x: this.x0 + this.k0 * this.A * eta,
+            y: this.y0 + this.k0 * this.A * (xi - this.m0)
+        };
+    }
+
+    unproject(x, y) {
+        const xi = (y - this.y0) / (this.k0 * this.A) + this.m0;
+        const eta = (x - this.x0) / (this.k0 * this.A);
+
+        let xiPrime = xi;
+        let etaPrime = eta;
+        for (let j = 1; j <= 3; j++) {
+            xiPrime -= this.beta[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+            etaPrime -= this.beta[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+        }
+
+        const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+        let phi = chi;
+        for (let j = 1; j <= 3; j++) {
+            phi += this.delta[j - 1] * Math.sin(2 * j * chi);
+        }
+
+        return {
+            lam: this.lam0 + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)),
+            phi
+        };
+    }
+}
+
+/**
+ * Lambert Conformal Conic with one or two standard parallels
+ */
+class LambertConformalConicProjection {
+    constructor(params, { a, e, es }) {
+        const msfn = (phi) => Math.cos(phi) / Math.sqrt(1 - es * Math.pow(Math.sin(phi), 2));
+
+        const phi0 = (params.lat_0 || 0) * DEG_TO_RAD;
+        const phi1 = (params.lat_1 !== undefined ? params.lat_1 : params.lat_0 || 0) * DEG_TO_RAD;
+        const phi2 = (params.lat_2 !== undefined ? params.lat_2 : params.lat_1 !== undefined ? params.lat_1 : params.lat_0 || 0) * DEG_TO_RAD;
+
+        const m1 = msfn(phi1);
+        const t1 = tsfn(phi1, e);
+
+        this.n = Math.abs(phi1 - phi2) > 1e-10 ?
+            Math.log(m1 / msfn(phi2)) / Math.log(t1 / tsfn(phi2, e)) :
+            Math.sin(phi1);
+
+        this.a = a;
+        this.e = e;
+        this.k0 = params.k_0 !== undefined ? params.k_0 : params.k !== undefined ? params.k : 1;
+        this.F = m1 / (this.n * Math.pow(t1, this.n));
+        this.rho0 = a * this.k0 * this.F * Math.pow(tsfn(phi0, e), this.n);
+        this.lam0 = (params.lon_0 || 0) * DEG_TO_RAD;
+        this.x0 = params.x_0 || 0;
+        this.y0 = params.y_0 || 0;
+    }
+
+    project(lam, phi) {
+        const rho = this.a * this.k0 * this.F * Math.pow(tsfn(phi, this.e), this.n);
+        const theta = this.n * (lam - this.lam0);
+        return {
+            x: this.x0 + rho * Math.sin(theta),
+            y: this.y0 + this.rho0 - rho * Math.cos(theta)
+        };
+    }
+
+    unproject(x, y) {
+        const dx = x - this.x0;
+        const dy = this.rho0 - (y - this.y0);
+        const sign = this.n < 0 ? -1 : 1;
+
+        const rho = sign * Math.sqrt(dx * dx + dy * dy);
+        const theta = Math.atan2(sign * dx, sign * dy);
+        const ts = Math.pow(rho / (this.a * this.k0 * this.F), 1 / this.n);
+
+        return {
+            lam: theta / this.n + this.lam0,
+            phi: phiFromTs(ts, this.e)
+        };
+    }
+}
+
+/**
+ * Lambert Azimuthal Equal Area (ellipsoidal, oblique aspect)
+ */
+class LambertAzimuthalEqualAreaProjection {
+    constructor(params, { a, e, es }) {
+        this.a = a;
+        this.e = e;
+        this.es = es;
+        this.lam0 = (params.lon_0 || 0) * DEG_TO_RAD;
+        this.x0 = params.x_0 || 0;
+        this.y0 = params.y_0 || 0;
+
+        const phi1 = (params.lat_0 || 0) * DEG_TO_RAD;
+        this.phi1 = phi1;
+        this.qp = this.q(Math.PI / 2);
+        this.Rq = a * Math.sqrt(this.qp / 2);
+        this.beta1 = Math.asin(this.q(phi1) / this.qp);
+
+        const m1 = Math.cos(phi1) / Math.sqrt(1 - es * Math.pow(Math.sin(phi1), 2));
+        this.D = a * m1 / (this.Rq * Math.cos(this.beta1));
+    }
+
+    /**
+     * Authalic q function
+     */
+    q(phi) {
+        const sinPhi = Math.sin(phi);
+        if (this.e < 1e-10) return 2 * sinPhi;
+
+        const eSin = this.e * sinPhi;
+        return (1 - this.es) * (sinPhi / (1 - eSin * eSin) -
+            (1 / (2 * this.e)) * Math.log((1 - eSin) / (1 + eSin)));
+    }
+
+    project(lam, phi) {
+        const beta = Math.asin(this.q(phi) / this.qp);
+        const dLam = lam - this.lam0;
+        const B = this.Rq * Math.sqrt(2 / (1 + Math.sin(this.beta1) * Math.sin(beta) +
+            Math.cos(this.beta1) * Math.cos(beta) * Math.cos(dLam)));
+
+        return {
+            x: this.x0 + B * this.D * Math.cos(beta) * Math.sin(dLam),
+            y: this.y0 + (B / this.D) * (Math.cos(this.beta1) * Math.sin(beta) -
+                Math.sin(this.beta1) * Math.cos(beta) * Math.cos(dLam))
+        };
+    }
+
+    unproject(x, y) {
+        const dx = x - this.x0;
+        const dy = y - this.y0;
+        const rho = Math.sqrt(Math.pow(dx / this.D, 2) + Math.pow(this.D * dy, 2));
+
+        if (rho < 1e-10) {
+            return { lam: this.lam0, phi: this.phi1 };
+        }
+
+        const ce = 2 * Math.asin(rho / (2 * this.Rq));
+        const q = this.qp * (Math.cos(ce) * Math.sin(this.beta1) +
+            this.D * dy * Math.sin(ce) * Math.cos(this.beta1) / rho);
+
+        const lam = this.lam0 + Math.atan2(dx * Math.sin(ce),
+            this.D * rho * Math.cos(this.beta1) * Math.cos(ce) - this.D * this.D * dy * Math.sin(this.beta1) * Math.sin(ce));
+
+        return { lam, phi: this.phiFromQ(q) };
+    }
+
+    /**
+     * Latitude from the authalic q value by Newton iteration
+     */
+    phiFromQ(q) {
+        let phi = Math.asin(Math.max(-1, Math.min(1, q / 2)));
+        if (this.e < 1e-10) return phi;
+
+        for (let i = 0; i < 15; i++) {
+            const sinPhi = Math.sin(phi);
+            const eSin = this.e * sinPhi;
+            const oneMinus = 1 - eSin * eSin;
+            const delta = (oneMinus * oneMinus / (2 * Math.cos(phi))) *
+                (q / (1 - this.es) - sinPhi / oneMinus + (1 / (2 * this.e)) * Math.log((1 - eSin) / (1 + eSin)));
+            phi += delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+
+        return phi;
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CRS;
+}
@@ -0,0 +1,106 @@
+/**
+ * Density Grid
+ * Kernel density estimate on a regular grid, for heatmaps. Weights are binned into
+ * cells and smoothed with three box blurs in each direction, which approximates a
+ * Gaussian kernel at a cost that does not depend on the number of points.
+ */
+
+class DensityGrid {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.values = new Float32Array(width * height);
+    }
+
+    /**
+     * Add a weight at a position in cell units; positions outside the grid are ignored
+     */
+    add(x, y, weight = 1) {
+        const col = Math.floor(x);
+        const row = Math.floor(y);
+        if (col < 0 || row < 0 || col >= this.width || row >= this.height) return;
+        this.values[row * this.width + col] += weight;
+    }
+
+    /**
+     * Spread each cell's weight over about radius cells in every direction, and over
+     * at least one neighbouring cell so small radii still give a continuous surface
+     */
+    smooth(radius) {
+        const half = Math.max(1, Math.round(radius / 3)); // Three boxes of 2 * half + 1 cells span about 2 * radius
+
+        let source = this.values;
+        let target = new Float32Array(source.length);
+
+        for (let pass = 0; pass < 3; pass++) {
+            for (let row = 0; row < this.height; row++) {
+                DensityGrid.blurLine(source, target, row * this.width, 1, this.width, half);
+            }
+            [source, target] = [target, source];
+
+            for (let col = 0; col < this.width; col++) {
+                DensityGrid.blurLine(source, target, col, this.width, this.height, half);
+            }
+            [source, target] = [target, source];
+        }
+
+        this.values = source;
+    }
+
+    /**
+     * Moving average over 2 * half + 1 cells along one row or column; cells beyond the edge count as empty
+     */
+    static blurLine(source, target, offset, stride, length, half) {
+        const size = 2 * half + 1;
+        let sum = 0;
+
+        for (let i = 0; i < Math.min(half, length); i++) {
+            sum += source[offset + i * stride];
+        }
+
+        for (let i = 0; i < length; i++) {
+            if (i + half < length) sum += source[offset + (i + half) * stride];
+            if (i - half - 1 >= 0) sum -= source[offset + (i - half - 1) * stride];
+            target[offset + i * stride] = sum / size;
+        }
+    }
+
+    /**
+     * Largest cell value
+     */
+    get max() {
+        let max = 0;
+        for (let i = 0; i < this.values.length; i++) {
+            if (this.values[i] > max) max = this.values[i];
+        }
+        return max;
+    }
+
+    /**
+     * Colour cells into an ImageData by density relative to the densest cell,
+     * using a palette of [r, g, b] entries from low to high; sparse cells fade out
+     */
+    toImageData(image, palette) {
+        const max = this.max;
+        if (max <= 0) return image;
+
+        const top = palette.length - 1;
+        for (let i = 0; i < this.values.length; i++) {
+            const value = this.values[i] / max;
+            if (value <= 1e-4) continue;
+
+            const color = palette[Math.min(top, Math.floor(value * palette.length))];
+            image.data[i * 4] = color[0];
+            image.data[i * 4 + 1] = color[1];
+            image.data[i * 4 + 2] = color[2];
+            image.data[i * 4 + 3] = Math.round(255 * Math.min(1, value * 3));
+        }
+
+        return image;
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DensityGrid;
+}
@@ -0,0 +1,318 @@
+/**
+ * Feature Expression
+ * Small expression language for rule-based styling, evaluated against feature properties.
+ * Follows QGIS conventions: "double quotes" name a field, 'single quotes' a string.
+ *
+ *   "population" > 100000 AND country = 'Poland'
+ *   type IN ('church', 'chapel') OR name LIKE 'St %'
+ *   "population_1930" - "population_1900" < 0
+ *   founded IS NOT NULL
+ *
+ * Keywords are case-insensitive; AND/OR/NOT may also be written &&, || and !.
+ */
+
+class FeatureExpression {
+    constructor(source) {
+        this.source = String(source || '').trim();
+        this.fields = new Set(); // Field names the expression reads
+
+        if (!this.source) {
+            throw new Error('Expression is empty');
+        }
+
+        this.tokens = FeatureExpression.tokenize(this.source);
+        this.position = 0;
+        this.root = this.parseOr();
+
+        if (this.position < this.tokens.length) {
+            this.fail('Unexpected');
+        }
+    }
+
+    /**
+     * Evaluate to a boolean against a feature's properties
+     */
+    test(properties) {
+        return FeatureExpression.truthy(this.evaluate(properties));
+    }
+
+    /**
+     * Evaluate to a value against a feature's properties
+     */
+    evaluate(properties) {
+        return this.root(properties || {});
+    }
+
+    /**
+     * Split source text into tokens: { type, value, index }
+     */
+    static tokenize(source) {
+        const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|'((?:[^']|'')*)'|"((?:[^"]|"")*)"|([A-Za-z_][\w]*)|(<=|>=|<>|!=|==|&&|\|\||[=<>!+\-*/%(),]))/y;
+        const tokens = [];
+        let match;
+
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < source.length) {
+            // Positions in messages point at the token, past any whitespace before it
+            const index = pattern.lastIndex + source.slice(pattern.lastIndex).search(/\S|$/);
+            match = pattern.exec(source);
+
+            if (!match) {
+                if (index === source.length) break;
+                throw new Error(`Unexpected character at position ${index + 1}: ${source[index]}`);
+            }
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[1]), index });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'string', value: match[2].replace(/''/g, '\''), index });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'field', value: match[3].replace(/""/g, '"'), index });
+            } else if (match[4] !== undefined) {
+                const upper = match[4].toUpperCase();
+                const keywords = ['AND', 'OR', 'NOT', 'IN', 'LIKE', 'IS', 'NULL', 'TRUE', 'FALSE'];
+                tokens.push(keywords.includes(upper) ?
+                    { type: 'keyword', value: upper, index } :
+                    { type: 'field', value: match[4], index });
+            } else {
+                tokens.push({ type: 'operator', value: match[5], index });
+            }
+        }
+
+        return tokens;
+    }
+
+    fail(message) {
+        const token = this.tokens[this.position];
+        const where = token ? ` "${this.source.slice(token.index).trim().split(/\s/)[0]}" at position ${token.index + 1}` : ' end of expression';
+        throw new Error(`${message}${where}`);
+    }
+
+    /**
+     * Consume the next token if it matches one of the given keywords or operators
+     */
+    accept(...values) {
+        const token = this.tokens[this.position];
+        if (token && (token.type === 'keyword' || token.type === 'operator') && values.includes(token.value)) {
+            this.position++;
+            return token.value;
+        }
+        return null;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) this.fail(`Expected "${value}" but found`);
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept('OR', '||')) {
+            const a = left;
+            const b = this.parseAnd();
+            left = (p) => FeatureExpression.truthy(a(p)) || FeatureExpression.truthy(b(p));
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.accept('AND', '&&')) {
+            const a = left;
+            const b = this.parseNot();
+            left = (p) => FeatureExpression.truthy(a(p)) && FeatureExpression.truthy(b(p));
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.accept('NOT', '!')) {
+            const operand = this.parseNot();
+            return (p) => !FeatureExpression.truthy(operand(p));
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+
+        if (this.accept('IS')) {
+            const negate = this.accept('NOT') !== null;
+            this.expect('NULL');
+            return (p) => FeatureExpression.isNull(left(p)) !== negate;
+        }
+
+        const negate = this.accept('NOT') !== null;
+
+        if (this.accept('IN')) {
+            this.expect('(');
+            const items = [this.parseAdditive()];
+            while (this.accept(',')) {
+                items.push(this.parseAdditive());
+            }
+            this.expect(')');
+            return (p) => {
+                const value = left(p);
+                return items.some(item => FeatureExpression.compare(value, item(p)) === 0) !== negate;
+            };
+        }
+
+        if (this.accept('LIKE')) {
+            const pattern = this.parseAdditive();
+            return (p) => FeatureExpression.like(left(p), pattern(p)) !== negate;
+        }
+
+        if (negate) this.fail('Expected IN or LIKE after NOT but found');
+
+        const operator = this.accept('=', '==', '!=', '<>', '<', '<=', '>', '>=');
+        if (!operator) return left;
+
+        const right = this.parseAdditive();
+        return (p) => {
+            const order = FeatureExpression.compare(left(p), right(p));
+            if (order === null) return false; // Comparisons with NULL are never true
+            switch (operator) {
+                case '=':
+                case '==': return order === 0;
+                case '!=':
+                case '<>': return order !== 0;
+                case '<': return order < 0;
+                case '<=': return order <= 0;
+                case '>': return order > 0;
+                default: return order >= 0;
+            }
+        };
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        let operator;
+        while ((operator = this.accept('+', '-'))) {
+            const a = left;
+            const b = this.parseMultiplicative();
+            left = operator === '+' ?
+                (p) => {
+                    const x = a(p);
+                    const y = b(p);
+                    if (FeatureExpression.isNull(x) || FeatureExpression.isNull(y)) return null;
+                    const nx = FeatureExpression.toNumber(x);
+                    const ny = FeatureExpression.toNumber(y);
+                    return nx !== null && ny !== null ? nx + ny : String(x) + String(y);
+                } :
+                (p) => FeatureExpression.arithmetic(a(p), b(p), (x, y) => x - y);
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        let operator;
+        while ((operator = this.accept('*', '/', '%'))) {
+            const a = left;
+            const b = this.parseUnary();
+            const op = operator === '*' ? (x, y) => x * y :
+                operator === '/' ? (x, y) => (y === 0 ? null : x / y) :
+                (x, y) => (y === 0 ? null : x % y);
+            left = (p) => FeatureExpression.arithmetic(a(p), b(p), op);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.accept('-')) {
+            const operand = this.parseUnary();
+            return (p) => FeatureExpression.arithmetic(0, operand(p), (x, y) => x - y);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.position];
+        if (!token) this.fail('Unexpected');
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.position++;
+            const value = token.value;
+            return () => value;
+        }
+
+        if (token.type === 'field') {
+            this.position++;
+            const name = token.value;
+            this.fields.add(name);
+            return (p) => p[name];
+        }
+
+        if (token.type === 'keyword' && ['NULL', 'TRUE', 'FALSE'].includes(token.value)) {
+            this.position++;
+            const value = token.value === 'NULL' ? null : token.value === 'TRUE';
+            return () => value;
+        }
+
+        if (this.accept('(')) {
+            const inner = this.parseOr();
+            this.expect(')');
+            return inner;
+        }
+
+        this.fail('Unexpected');
+    }
+
+    static isNull(value) {
+        return value === null || value === undefined || (typeof value === 'number' && isNaN(value));
+    }
+
+    static truthy(value) {
+        return !FeatureExpression.isNull(value) && value !== false && value !== 0 && value !== '';
+    }
+
+    /**
+     * Number for numbers and numeric strings, otherwise null
+     */
+    static toNumber(value) {
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))) return Number(value);
+        return null;
+    }
+
+    static arithmetic(a, b, op) {
+        const x = FeatureExpression.toNumber(a);
+        const y = FeatureExpression.toNumber(b);
+        return x === null || y === null ? null : op(x, y);
+    }
+
+    /**
+     * -1, 0 or 1; numerically when both sides are numeric, else as strings. Null if either is NULL.
+     */
+    static compare(a, b) {
+        if (FeatureExpression.isNull(a) || FeatureExpression.isNull(b)) return null;
+
+        const x = FeatureExpression.toNumber(a);
+        const y = FeatureExpression.toNumber(b);
+        if (x !== null && y !== null) {
+            return x < y ? -1 : x > y ? 1 : 0;
+        }
+
+        const s = String(a);
+        const t = String(b);
+        return s < t ? -1 : s > t ? 1 : 0;
+    }
+
+    /**
+     * Case-insensitive match where % is any run of characters and _ any one character
+     */
+    static like(value, pattern) {
+        if (FeatureExpression.isNull(value) || FeatureExpression.isNull(pattern)) return false;
+
+        const regex = String(pattern)
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/%/g, '.*')
+            .replace(/_/g, '.');
+        return new RegExp(`^${regex}$`, 'is').test(String(value));
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeatureExpression;
+}
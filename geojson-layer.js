@@ -0,0 +1,111 @@
+/**
+ * GeoJSON Layer
+ * A named FeatureCollection drawn over the map, with its own visibility and opacity.
+ * Layers are drawn in the order they are held by the viewer, first at the bottom.
+ * Each layer carries a LayerStyle (see layer-style.js) and optionally a LayerTime
+ * (see layer-time.js) that shows its features as of a point in time.
+ */
+
+class GeoJSONLayer {
+    constructor({ id = null, name = 'Layer', data, visible = true, opacity = 1, source = 'file', style = {}, time = null } = {}) {
+        this.id = id || GeoJSONLayer.createId();
+        this.name = name;
+        this.data = GeoJSONLayer.toFeatureCollection(data);
+        this.visible = visible;
+        this.opacity = Math.max(0, Math.min(1, opacity));
+        this.source = source; // 'file', 'historical' or 'sample'
+        this.style = style instanceof LayerStyle ? style : new LayerStyle(style);
+        this.time = !time || time instanceof LayerTime ? time : new LayerTime(time);
+
+        // Spatial index, point cluster and heatmap caches, managed by the viewer
+        this.index = null;
+        this.indexKey = null;
+        this.clusters = null;
+        this.clustersKey = null;
+        this.heatmap = null;
+        this.heatmapKey = null;
+        this.heatmapExtent = null;
+    }
+
+    /**
+     * Unique layer id
+     */
+    static createId() {
+        GeoJSONLayer.counter = (GeoJSONLayer.counter || 0) + 1;
+        return `layer-${Date.now().toString(36)}-${GeoJSONLayer.counter}`;
+    }
+
+    /**
+     * Wrap a bare Feature or geometry in a FeatureCollection
+     */
+    static toFeatureCollection(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Layer data must be a GeoJSON object');
+        }
+
+        if (data.type === 'FeatureCollection') {
+            data.features = (data.features || []).filter(feature => feature && feature.geometry);
+            return data;
+        }
+
+        if (data.type === 'Feature') {
+            return { type: 'FeatureCollection', features: [data] };
+        }
+
+        if (data.coordinates || data.geometries) {
+            return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+        }
+
+        throw new Error(`Unsupported GeoJSON type: ${data.type}`);
+    }
+
+    /**
+     * Layer name from an uploaded file name
+     */
+    static nameFromFile(fileName) {
+        return fileName.replace(/\.(geo)?json$/i, '') || 'Layer';
+    }
+
+    get features() {
+        return this.data.features;
+    }
+
+    /**
+     * Most common kind of geometry: 'point', 'line' or 'polygon'
+     */
+    get geometryType() {
+        const counts = { point: 0, line: 0, polygon: 0 };
+        this.features.slice(0, 1000).forEach(feature => {
+            const type = feature.geometry.type.replace('Multi', '');
+            if (type === 'Point') counts.point++;
+            else if (type === 'LineString') counts.line++;
+            else if (type === 'Polygon') counts.polygon++;
+        });
+        return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+    }
+
+    /**
+     * Serializable form for storage and export
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            visible: this.visible,
+            opacity: this.opacity,
+            source: this.source,
+            style: this.style,
+            time: this.time,
+            data: this.data
+        };
+    }
+
+    static fromJSON(json) {
+        return new GeoJSONLayer(json);
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoJSONLayer;
+}
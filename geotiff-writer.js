@@ -0,0 +1,222 @@
+/**
+ * GeoTIFF Writer
+ * Pure-JS encoder for uncompressed RGBA GeoTIFFs with tie points and GeoKeys
+ */
+
+class GeoTIFFWriter {
+    /**
+     * TIFF field types: [code, size in bytes]
+     */
+    static get TYPES() {
+        return {
+            ASCII: [2, 1],
+            SHORT: [3, 2],
+            LONG: [4, 4],
+            DOUBLE: [12, 8]
+        };
+    }
+
+    /**
+     * Projection codes used for user-defined projected CRSs (ProjCoordTransGeoKey)
+     */
+    static get COORD_TRANSFORMS() {
+        return { tmerc: 1, utm: 1, merc: 7, lcc: 8, laea: 10 };
+    }
+
+    /**
+     * Encode an image as a GeoTIFF.
+     * data is RGBA (width * height * 4), origin is the map coordinate of the
+     * top-left corner and pixelSize the map units per pixel along x and y.
+     */
+    static encode({ width, height, data, origin, pixelSize, crs }) {
+        const { keys, doubles, ascii } = GeoTIFFWriter.geoKeysFor(crs);
+
+        const rowsPerStrip = Math.max(1, Math.floor(65536 / (width * 4)));
+        const stripCount = Math.ceil(height / rowsPerStrip);
+        const stripByteCounts = [];
+        for (let i = 0; i < stripCount; i++) {
+            stripByteCounts.push(Math.min(rowsPerStrip, height - i * rowsPerStrip) * width * 4);
+        }
+
+        const { SHORT, LONG, DOUBLE, ASCII } = GeoTIFFWriter.TYPES;
+        const entries = [
+            [256, LONG, [width]],                   // ImageWidth
+            [257, LONG, [height]],                  // ImageLength
+            [258, SHORT, [8, 8, 8, 8]],             // BitsPerSample
+            [259, SHORT, [1]],                      // Compression: none
+            [262, SHORT, [2]],                      // Photometric: RGB
+            [273, LONG, stripByteCounts.map(() => 0)], // StripOffsets (filled in below)
+            [277, SHORT, [4]],                      // SamplesPerPixel
+            [278, LONG, [rowsPerStrip]],            // RowsPerStrip
+            [279, LONG, stripByteCounts],           // StripByteCounts
+            [284, SHORT, [1]],                      // PlanarConfiguration: chunky
+            [338, SHORT, [2]],                      // ExtraSamples: unassociated alpha
+            [339, SHORT, [1, 1, 1, 1]],             // SampleFormat: unsigned integer
+            [33550, DOUBLE, [pixelSize.x, pixelSize.y, 0]],       // ModelPixelScale
+            [33922, DOUBLE, [0, 0, 0, origin.x, origin.y, 0]],    // ModelTiepoint
+            [34735, SHORT, keys]                    // GeoKeyDirectory
+        ];
+        if (doubles.length > 0) entries.push([34736, DOUBLE, doubles]); // GeoDoubleParams
+        if (ascii.length > 0) entries.push([34737, ASCII, ascii]);       // GeoAsciiParams
+
+        // Layout: header, IFD, out-of-line values, then image strips
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let valueOffset = 8 + ifdSize;
+        const values = entries.map(([, [, size], value]) => {
+            const byteLength = (typeof value === 'string' ? value.length + 1 : value.length) * size;
+            if (byteLength <= 4) return null;
+            const offset = valueOffset;
+            valueOffset += byteLength + (byteLength % 2); // Word-align
+            return offset;
+        });
+
+        const stripOffsets = entries.find(([tag]) => tag === 273)[2];
+        let stripOffset = valueOffset;
+        stripByteCounts.forEach((count, i) => {
+            stripOffsets[i] = stripOffset;
+            stripOffset += count;
+        });
+
+        const buffer = new ArrayBuffer(stripOffset);
+        const view = new DataView(buffer);
+        view.setUint16(0, 0x4949);  // Little-endian byte order ("II")
+        view.setUint16(2, 42, true);
+        view.setUint32(4, 8, true); // First IFD offset
+
+        view.setUint16(8, entries.length, true);
+        entries.forEach(([tag, [type], value], i) => {
+            const entry = 10 + i * 12;
+            const count = typeof value === 'string' ? value.length + 1 : value.length;
+            view.setUint16(entry, tag, true);
+            view.setUint16(entry + 2, type, true);
+            view.setUint32(entry + 4, count, true);
+
+            const offset = values[i] === null ? entry + 8 : values[i];
+            if (values[i] !== null) view.setUint32(entry + 8, offset, true);
+            GeoTIFFWriter.writeValues(view, offset, type, value);
+        });
+        view.setUint32(8 + ifdSize - 4, 0, true); // No further IFDs
+
+        new Uint8Array(buffer, valueOffset).set(data);
+
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * Write tag values of the given field type
+     */
+    static writeValues(view, offset, type, value) {
+        const { ASCII, SHORT, LONG, DOUBLE } = GeoTIFFWriter.TYPES;
+
+        if (type === ASCII[0]) {
+            for (let i = 0; i < value.length; i++) {
+                view.setUint8(offset + i, value.charCodeAt(i) & 0x7f);
+            }
+            view.setUint8(offset + value.length, 0);
+            return;
+        }
+
+        value.forEach((v, i) => {
+            if (type === SHORT[0]) view.setUint16(offset + i * 2, v, true);
+            else if (type === LONG[0]) view.setUint32(offset + i * 4, v, true);
+            else if (type === DOUBLE[0]) view.setFloat64(offset + i * 8, v, true);
+        });
+    }
+
+    /**
+     * Build the GeoKeyDirectory, GeoDoubleParams and GeoAsciiParams for a CRS.
+     * EPSG codes are referenced directly; other CRSs are written as user-defined.
+     */
+    static geoKeysFor(crs) {
+        const keys = [];
+        const doubles = [];
+        let ascii = '';
+
+        const shortKey = (id, value) => keys.push([id, 0, 1, value]);
+        const doubleKey = (id, value) => {
+            keys.push([id, 34736, 1, doubles.length]);
+            doubles.push(value);
+        };
+        const asciiKey = (id, value) => {
+            const text = value + '|';
+            keys.push([id, 34737, text.length, ascii.length]);
+            ascii += text;
+        };
+
+        const userDefined = 32767;
+        const p = crs.params;
+
+        shortKey(1024, crs.isGeographic ? 2 : 1); // GTModelType: projected or geographic
+        shortKey(1025, 1);                        // GTRasterType: PixelIsArea
+        asciiKey(1026, crs.name);                 // GTCitation
+
+        const geographicKeys = () => {
+            const isWGS84 = crs.ellipsoid.name === 'WGS84' && (!crs.towgs84 || crs.towgs84.every(v => v === 0));
+            if (isWGS84) {
+                shortKey(2048, 4326); // GeographicType
+                return;
+            }
+            shortKey(2048, userDefined);
+            shortKey(2054, 9102);                      // GeogAngularUnits: degree
+            doubleKey(2057, crs.ellipsoid.a);          // GeogSemiMajorAxis
+            doubleKey(2059, isFinite(crs.ellipsoid.rf) ? crs.ellipsoid.rf : 0); // GeogInvFlattening (0 for a sphere)
+            if (crs.primeMeridian !== 0) doubleKey(2061, crs.primeMeridian); // GeogPrimeMeridianLong
+        };
+
+        if (crs.isGeographic) {
+            geographicKeys();
+        } else if (crs.epsg) {
+            shortKey(3072, crs.epsg); // ProjectedCSType
+        } else {
+            geographicKeys();
+            shortKey(3072, userDefined);
+            shortKey(3074, userDefined); // Projection
+            shortKey(3075, GeoTIFFWriter.COORD_TRANSFORMS[p.proj] || userDefined);
+            shortKey(3076, crs.toMeter === 1 ? 9001 : Math.abs(crs.toMeter - 0.3048) < 1e-9 ? 9002 : 9003);
+
+            const k0 = p.k_0 !== undefined ? p.k_0 : p.k !== undefined ? p.k : 1;
+            // False easting/northing are given in the projection's linear units
+            const x0 = (p.x_0 || 0) / crs.toMeter;
+            const y0 = (p.y_0 || 0) / crs.toMeter;
+            if (p.proj === 'utm') {
+                doubleKey(3080, p.zone * 6 - 183);      // ProjNatOriginLong
+                doubleKey(3081, 0);                     // ProjNatOriginLat
+                doubleKey(3082, 500000);                // ProjFalseEasting
+                doubleKey(3083, p.south ? 10000000 : 0); // ProjFalseNorthing
+                doubleKey(3092, 0.9996);                // ProjScaleAtNatOrigin
+            } else if (p.proj === 'lcc') {
+                doubleKey(3078, p.lat_1 !== undefined ? p.lat_1 : p.lat_0 || 0); // ProjStdParallel1
+                doubleKey(3079, p.lat_2 !== undefined ? p.lat_2 : p.lat_1 !== undefined ? p.lat_1 : p.lat_0 || 0);
+                doubleKey(3084, p.lon_0 || 0);          // ProjFalseOriginLong
+                doubleKey(3085, p.lat_0 || 0);          // ProjFalseOriginLat
+                doubleKey(3086, x0);            // ProjFalseOriginEasting
+                doubleKey(3087, y0);            // ProjFalseOriginNorthing
+            } else if (p.proj === 'laea') {
+                doubleKey(3082, x0);
+                doubleKey(3083, y0);
+                doubleKey(3088, p.lon_0 || 0);          // ProjCenterLong
+                doubleKey(3089, p.lat_0 || 0);          // ProjCenterLat
+            } else {
+                doubleKey(3080, p.lon_0 || 0);
+                doubleKey(3081, p.lat_0 || 0);
+                doubleKey(3082, x0);
+                doubleKey(3083, y0);
+                doubleKey(3092, k0);
+                if (p.proj === 'merc' && p.lat_ts) doubleKey(3078, p.lat_ts);
+            }
+        }
+
+        // Keys must be sorted by id; the header records version 1.1.0 and the key count
+        keys.sort((a, b) => a[0] - b[0]);
+        return {
+            keys: [1, 1, 0, keys.length, ...keys.flat()],
+            doubles,
+            ascii
+        };
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoTIFFWriter;
+}
@@ -17,6 +17,11 @@ class GISViewer {
         this.canvas = document.getElementById('map-canvas');
         this.ctx = this.canvas.getContext('2d');
         this.mapImage = null;
+        this.mapFileName = null;
+        this.mapFile = null; // Original image file, bundled with world file exports
+        this.mapImageURL = null; // Object URL backing mapImage
+        this.tilePyramid = null; // TilePyramid for very large scans (see tile-pyramid.js)
+        this.renderScheduled = false;
         
         // Viewport and interaction
         this.viewport = {
@@ -31,28 +36,85 @@ class GISViewer {
         this.currentTool = 'pan';
         
         // Coordinate transformation
-        this.referencePoints = []; // Array of {pixel: {x, y}, geo: {lat, lng}}
+        this.referencePoints = []; // Array of {pixel: {x, y}, geo: {lat, lng}, enabled}
         this.isCalibrated = false;
-        this.transform = null; // Transformation matrix
+        this.transform = null; // CoordinateTransform instance (see transforms.js)
+        this.transformType = 'affine'; // Key of CoordinateTransform.TYPES
+        this.residuals = []; // Per-point calibration errors (see calculateResiduals)
+        this.robustCalibration = false; // Detect and ignore outlying reference points
+        this.outlierIndices = []; // Reference points left out of the fit as outliers
+        this.mapCRSDefinition = 'EPSG:4326'; // EPSG code or proj4 string of the map's native CRS
+        this.mapCRS = CRS.fromCode(this.mapCRSDefinition); // See crs.js
+        
+        // Base maps: the fields above and the annotations and measurements belong to the
+        // active map, and are swapped when another map is made active (see base-map.js)
+        this.activeMap = new BaseMap();
+        this.baseMaps = [this.activeMap];
+        this.compareMap = null; // Base map compared with the active one
+        this.compareMode = 'swipe'; // 'swipe', 'spyglass', 'split' or 'overlay'
+        this.swipePosition = 0.5; // Swipe divider as a fraction of the canvas width
+        this.draggingSwipe = false;
+        this.comparePointer = null; // Mouse position for the spyglass and split cursor, null when away
+        this.lensRadius = 120;
+        this.overlayOpacity = 0.5; // Opacity of the compared map in overlay mode
+        this.overlayBlend = 'source-over'; // Canvas composite operation for the overlay
+        this.overlayCanvas = null; // Offscreen canvas the overlay is warped into
+        this.overlayKey = null; // View and calibrations the overlay canvas was warped for
         
         // Data storage
         this.annotations = []; // User-added points
-        this.geoJsonData = null; // Loaded GeoJSON features
+        this.layers = []; // GeoJSONLayer instances, drawn first to last (see geojson-layer.js)
         this.measurements = []; // Distance measurements
+        this.annotationIndex = null; // SpatialIndex of annotations in map pixels
+        this.annotationIndexKey = null; // Inputs the index was built from
+        this.selectedFeature = null; // GeoJSON feature picked with the pan tool
+        this.spiderfied = null; // Cluster spread out around its centre (see getLayerClusters)
+        this.styleLayer = null; // Layer open in the style dialog
+        this.styleDraft = null; // LayerStyle being edited in the style dialog
+        this.timeLayer = null; // Layer open in the time dialog
+        
+        // Timeline
+        this.currentTime = null; // Decimal year the map is shown as of, or null without time-enabled layers
+        this.timeStep = 1; // Timeline step in years (see getTimeExtent)
+        this.timeSpeed = 5; // Years per second while playing
+        this.timePlayback = null; // { frame, last } while the timeline is playing
+        this.timeRecorder = null; // MediaRecorder while recording the timeline
         
         // UI state
         this.isDragging = false;
         this.dragStart = null;
-        this.measurementPoints = [];
+        this.draggedReferenceIndex = null; // Reference point being moved
+        this.editingReferenceIndex = null; // Reference point open in the calibration modal
+        this.suppressNextClick = false;
+        this.panDistance = 0; // Distance dragged since mouse down, to tell pans from clicks
+        this.measurementPoints = []; // Vertices of the path being measured
+        this.measurePointer = null; // Mouse position in map pixels, drawn as the path's next segment
         this.showGrid = false;
+        this.showGridLabels = true;
+        this.showScaleBar = false;
+        this.showNorthArrow = false;
+        this.showLegend = false;
+        this.coordinateFormat = 'decimal'; // Key of CoordinateParser.FORMATS
+        this.gotoMarker = null; // Last position found with the go-to box
         this.showAnnotations = true;
+        this.showLabels = true;
+        this.showOverview = true;
+        this.labelEngine = null; // Collects the labels of the frame being drawn (see render)
+        this.showResidualVectors = true;
+        this.residualVectorScale = 10; // Exaggeration factor for error vectors
+        this.exporting = false; // Set while the map is drawn for an export, leaving out editing aids
+        this.exportPixelRatio = 1; // Export raster pixels per screen pixel, for choosing tile resolution
         
         // Storage key for persistence
         this.storageKey = 'gis-viewer-data';
+        this.layersStorageKey = 'gis-viewer-layers';
         
         // Historical data importer
         this.historicalImporter = new HistoricalMapImporter(this);
         
+        // Overview of the whole map with the current view
+        this.overviewMap = new OverviewMap(this, document.getElementById('overview-map'));
+        
         this.init();
     }
     
@@ -100,25 +162,109 @@ class GISViewer {
         document.getElementById('geojson-upload').addEventListener('change', (e) => this.handleGeoJSONUpload(e));
         document.getElementById('import-historical').addEventListener('click', () => this.showHistoricalImportModal());
         
+        // Base maps and comparison
+        document.getElementById('add-basemap').addEventListener('click', () => this.addBaseMap());
+        document.getElementById('compare-map').addEventListener('change', (e) => {
+            this.setCompareMap(this.baseMaps[parseInt(e.target.value, 10)] || null);
+        });
+        document.getElementById('compare-mode').addEventListener('change', (e) => this.setCompareMode(e.target.value));
+        document.getElementById('overlay-opacity').addEventListener('input', (e) => {
+            this.overlayOpacity = parseInt(e.target.value, 10) / 100;
+            this.scheduleRender();
+        });
+        document.getElementById('overlay-blend').addEventListener('change', (e) => {
+            this.overlayBlend = e.target.value;
+            this.render();
+        });
+        
         // Tool selection
         document.getElementById('pan-tool').addEventListener('click', () => this.setTool('pan'));
         document.getElementById('calibrate-tool').addEventListener('click', () => this.setTool('calibrate'));
         document.getElementById('annotate-tool').addEventListener('click', () => this.setTool('annotate'));
         document.getElementById('measure-tool').addEventListener('click', () => this.setTool('measure'));
         
+        // Calibration options
+        document.getElementById('transform-type').addEventListener('change', (e) => this.setTransformType(e.target.value));
+        document.getElementById('map-crs').addEventListener('change', (e) => this.handleCRSSelection(e.target.value));
+        document.getElementById('gcp-upload').addEventListener('change', (e) => this.handleControlPointsUpload(e));
+        document.getElementById('export-gcp').addEventListener('click', () => this.exportControlPoints());
+        document.getElementById('export-world-file').addEventListener('click', () => this.showWorldFileExportModal());
+        document.getElementById('rectify-map').addEventListener('click', () => this.showRectifyModal());
+        
+        document.getElementById('robust-calibration-toggle').addEventListener('change', (e) => this.setRobustCalibration(e.target.checked));
+        document.getElementById('exclude-outliers').addEventListener('click', () => this.excludeOutliers());
+        
+        document.getElementById('residual-vectors-toggle').addEventListener('change', (e) => {
+            this.showResidualVectors = e.target.checked;
+            this.render();
+        });
+        
+        document.getElementById('residual-scale').addEventListener('change', (e) => {
+            const scale = parseFloat(e.target.value);
+            if (scale > 0) {
+                this.residualVectorScale = scale;
+                this.render();
+            }
+        });
+        
         // View options
+        document.getElementById('coordinate-format').addEventListener('change', (e) => {
+            this.coordinateFormat = e.target.value;
+            this.saveData();
+        });
+        
+        // Go to coordinate
+        document.getElementById('goto-button').addEventListener('click', () => {
+            this.goToCoordinate(document.getElementById('goto-input').value);
+        });
+        document.getElementById('goto-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.goToCoordinate(e.target.value);
+        });
+        
         document.getElementById('grid-toggle').addEventListener('change', (e) => {
             this.showGrid = e.target.checked;
             this.render();
         });
         
+        // Map furniture
+        [
+            ['grid-labels-toggle', 'showGridLabels'],
+            ['scale-bar-toggle', 'showScaleBar'],
+            ['north-arrow-toggle', 'showNorthArrow'],
+            ['legend-toggle', 'showLegend']
+        ].forEach(([id, option]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this[option] = e.target.checked;
+                this.render();
+            });
+        });
+        
+        document.getElementById('overview-toggle').addEventListener('change', (e) => {
+            this.showOverview = e.target.checked;
+            this.overviewMap.render();
+        });
+        
         document.getElementById('annotations-toggle').addEventListener('change', (e) => {
             this.showAnnotations = e.target.checked;
             this.render();
         });
         
+        document.getElementById('labels-toggle').addEventListener('change', (e) => {
+            this.showLabels = e.target.checked;
+            this.render();
+        });
+        
+        // Timeline
+        document.getElementById('time-slider').addEventListener('input', (e) => this.setCurrentTime(parseFloat(e.target.value)));
+        document.getElementById('time-play').addEventListener('click', () => this.toggleTimePlayback());
+        document.getElementById('time-record').addEventListener('click', () => this.recordTimeAnimation());
+        document.getElementById('time-speed').addEventListener('change', (e) => {
+            this.timeSpeed = parseFloat(e.target.value);
+        });
+        
         // Data management
         document.getElementById('export-data').addEventListener('click', () => this.exportData());
+        document.getElementById('export-map').addEventListener('click', () => this.showMapExportModal());
         document.getElementById('clear-data').addEventListener('click', () => this.clearAllData());
         document.getElementById('reset-calibration').addEventListener('click', () => this.resetCalibration());
         
@@ -126,8 +272,11 @@ class GISViewer {
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
         this.canvas.addEventListener('wheel', (e) => this.handleWheel(e));
         this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        this.canvas.addEventListener('dblclick', () => this.handleDoubleClick());
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         
         // Modal interactions
         this.setupModalEvents();
@@ -146,6 +295,10 @@ class GISViewer {
         // Calibration modal
         document.getElementById('confirm-reference').addEventListener('click', () => this.confirmReferencePoint());
         document.getElementById('cancel-reference').addEventListener('click', () => this.cancelReferencePoint());
+        document.getElementById('delete-reference').addEventListener('click', () => this.deleteReferencePoint(this.editingReferenceIndex));
+        ['ref-lat', 'ref-lng'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateReferencePreview());
+        });
         
         // Annotation modal
         document.getElementById('confirm-annotation').addEventListener('click', () => this.confirmAnnotation());
@@ -155,6 +308,49 @@ class GISViewer {
         document.getElementById('confirm-historical').addEventListener('click', () => this.confirmHistoricalImport());
         document.getElementById('cancel-historical').addEventListener('click', () => this.cancelHistoricalImport());
         
+        // World file export modal
+        document.getElementById('confirm-world-file').addEventListener('click', () => this.confirmWorldFileExport());
+        document.getElementById('cancel-world-file').addEventListener('click', () => this.hideModal('world-file-modal'));
+        document.getElementById('world-file-rectify').addEventListener('click', () => {
+            this.hideModal('world-file-modal');
+            this.showRectifyModal();
+        });
+        
+        // Rectify modal
+        document.getElementById('confirm-rectify').addEventListener('click', () => this.confirmRectify());
+        document.getElementById('cancel-rectify').addEventListener('click', () => this.hideModal('rectify-modal'));
+        
+        // Map export modal
+        document.getElementById('confirm-export-map').addEventListener('click', () => this.confirmMapExport());
+        document.getElementById('cancel-export-map').addEventListener('click', () => this.hideModal('export-map-modal'));
+        
+        // Layer style modal
+        document.getElementById('style-mode').addEventListener('change', () => {
+            this.readStyleInputs();
+            this.styleDraft.classify(this.styleLayer.features);
+            this.updateStyleModal();
+        });
+        document.getElementById('style-category-field').addEventListener('change', () => this.classifyStyleDraft());
+        document.getElementById('style-classify').addEventListener('click', () => this.classifyStyleDraft());
+        ['style-graduated-field', 'style-method', 'style-classes', 'style-ramp', 'style-size-toggle', 'style-size-min', 'style-size-max']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.classifyStyleDraft()));
+        document.getElementById('style-add-rule').addEventListener('click', () => {
+            this.readStyleInputs();
+            this.styleDraft.rules.push({ expression: '', color: LayerStyle.PALETTE[this.styleDraft.rules.length % LayerStyle.PALETTE.length], label: '' });
+            this.updateStyleModal();
+        });
+        document.getElementById('confirm-style').addEventListener('click', () => this.confirmStyle());
+        document.getElementById('reset-style').addEventListener('click', () => {
+            this.styleDraft = new LayerStyle();
+            this.updateStyleModal();
+        });
+        document.getElementById('cancel-style').addEventListener('click', () => this.hideModal('style-modal'));
+        
+        // Layer time modal
+        document.getElementById('time-mode').addEventListener('change', () => this.updateTimeModalMode());
+        document.getElementById('confirm-time').addEventListener('click', () => this.confirmLayerTime());
+        document.getElementById('cancel-time').addEventListener('click', () => this.hideModal('time-modal'));
+        
         // Close modals on background click
         document.querySelectorAll('.modal').forEach(modal => {
             modal.addEventListener('click', (e) => {
@@ -173,17 +369,39 @@ class GISViewer {
             const stored = localStorage.getItem(this.storageKey);
             if (stored) {
                 const data = JSON.parse(stored);
-                this.annotations = data.annotations || [];
-                this.referencePoints = data.referencePoints || [];
-                this.measurements = data.measurements || [];
                 
-                if (this.referencePoints.length >= 2) {
-                    this.calculateTransform();
+                if (CoordinateParser.FORMATS[data.coordinateFormat]) {
+                    this.coordinateFormat = data.coordinateFormat;
                 }
+                
+                // Data saved before there were several base maps describes a single map
+                const maps = data.maps || [data];
+                this.baseMaps = maps.map(map => new BaseMap(map));
+                
+                // Fit each map's calibration, then show the map that was active
+                this.baseMaps.forEach(map => {
+                    map.applyTo(this);
+                    if (this.referencePoints.length > 0) {
+                        this.calculateTransform();
+                    }
+                    map.captureFrom(this);
+                });
+                
+                this.activeMap = this.baseMaps[data.activeMap] || this.baseMaps[0];
+                this.activeMap.applyTo(this);
             }
         } catch (error) {
             console.warn('Failed to load stored data:', error);
         }
+        
+        try {
+            const storedLayers = localStorage.getItem(this.layersStorageKey);
+            if (storedLayers) {
+                this.layers = JSON.parse(storedLayers).map(layer => GeoJSONLayer.fromJSON(layer));
+            }
+        } catch (error) {
+            console.warn('Failed to load stored layers:', error);
+        }
     }
     
     /**
@@ -191,10 +409,12 @@ class GISViewer {
      */
     saveData() {
         try {
+            this.activeMap.captureFrom(this);
+            
             const data = {
-                annotations: this.annotations,
-                referencePoints: this.referencePoints,
-                measurements: this.measurements,
+                maps: this.baseMaps,
+                activeMap: this.baseMaps.indexOf(this.activeMap),
+                coordinateFormat: this.coordinateFormat,
                 timestamp: Date.now()
             };
             localStorage.setItem(this.storageKey, JSON.stringify(data));
@@ -203,6 +423,19 @@ class GISViewer {
         }
     }
     
+    /**
+     * Save layers to localStorage. Kept apart from the other data so that
+     * layers too large for the storage quota don't stop the rest being saved.
+     */
+    saveLayers() {
+        try {
+            localStorage.setItem(this.layersStorageKey, JSON.stringify(this.layers));
+        } catch (error) {
+            console.warn('Failed to save layers:', error);
+            this.updateStatus('Layers are too large to keep in browser storage; export them to keep a copy');
+        }
+    }
+    
     /**
      * Handle map image upload
      */
@@ -215,19 +448,104 @@ class GISViewer {
             return;
         }
         
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                this.mapImage = img;
-                this.resetViewport();
-                this.render();
-                this.updateStatus('Map loaded successfully');
-                document.getElementById('file-name').textContent = file.name;
-            };
-            img.src = e.target.result;
+        if (this.tilePyramid) {
+            this.tilePyramid.dispose();
+            this.tilePyramid = null;
+        }
+        if (this.mapImageURL) {
+            URL.revokeObjectURL(this.mapImageURL);
+        }
+        
+        this.mapImageURL = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            if (img.width * img.height > TilePyramid.THRESHOLD_PIXELS && TilePyramid.isSupported) {
+                // Drawn from tiles, and from a downscaled preview until they exist;
+                // the full image is only kept in case tiling fails
+                this.setMapImage({ width: img.width, height: img.height, tiled: true, preview: this.createMapPreview(img) }, file);
+                this.buildTilePyramid(file, img);
+            } else {
+                this.setMapImage(img, file);
+            }
         };
-        reader.readAsDataURL(file);
+        img.onerror = () => {
+            // Tiling needs the image decoded too, so there is nothing else to try
+            alert('This image could not be opened. It may be damaged, or larger than this browser can decode; try a copy saved at a lower resolution.');
+        };
+        img.src = this.mapImageURL;
+    }
+    
+    /**
+     * Show a newly loaded map image
+     */
+    setMapImage(image, file) {
+        this.mapImage = image;
+        this.mapFileName = file.name;
+        this.mapFile = file;
+        this.resetViewport();
+        this.render();
+        this.updateStatus('Map loaded successfully');
+        document.getElementById('file-name').textContent = file.name;
+        
+        this.saveData(); // Keeps the file name with the map's calibration
+        this.updateBaseMapPanel();
+    }
+    
+    /**
+     * Downscaled copy of a large scan, at most 4096 pixels across
+     */
+    createMapPreview(image) {
+        const scale = Math.min(1, 4096 / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+    
+    /**
+     * Slice a large scan into a tile pyramid so only visible tiles are drawn.
+     * image is the decoded scan, drawn in full if tiling fails.
+     */
+    buildTilePyramid(file, image) {
+        const pyramid = new TilePyramid(file, {
+            onUpdate: () => this.scheduleRender(),
+            onProgress: (fraction) => {
+                if (this.tilePyramid === pyramid) {
+                    this.updateStatus(fraction < 1 ? `Building map tiles... ${Math.round(fraction * 100)}%` : 'Map tiles ready');
+                }
+            }
+        });
+        this.tilePyramid = pyramid;
+        this.updateStatus('Preparing map tiles...');
+        
+        pyramid.open().then(() => {
+            if (this.tilePyramid === pyramid) this.render();
+        }).catch(error => {
+            if (this.tilePyramid !== pyramid) return;
+            this.tilePyramid = null;
+            
+            console.warn('Falling back to drawing the full image:', error);
+            this.mapImage = image;
+            this.render();
+            this.updateStatus('Map loaded (tiling unavailable)');
+        });
+    }
+    
+    /**
+     * Render on the next animation frame, coalescing repeated requests
+     */
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
     }
     
     /**
@@ -240,9 +558,12 @@ class GISViewer {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                this.geoJsonData = JSON.parse(e.target.result);
-                this.render();
-                this.updateStatus('GeoJSON loaded successfully');
+                const data = this.reprojectGeoJSONToWGS84(JSON.parse(e.target.result));
+                const layer = this.addLayer(new GeoJSONLayer({
+                    name: GeoJSONLayer.nameFromFile(file.name),
+                    data
+                }));
+                this.updateStatus(`GeoJSON loaded as layer "${layer.name}" (${layer.features.length} features)`);
             } catch (error) {
                 alert('Invalid GeoJSON file: ' + error.message);
             }
@@ -250,6 +571,29 @@ class GISViewer {
         reader.readAsText(file);
     }
     
+    /**
+     * Reproject GeoJSON that declares a (legacy) "crs" member into WGS84
+     */
+    reprojectGeoJSONToWGS84(data) {
+        const crsName = data.crs?.properties?.name;
+        if (!crsName) return data;
+        
+        const sourceCRS = CRS.fromCode(crsName);
+        if (!sourceCRS) {
+            throw new Error(`Unsupported coordinate reference system: ${crsName}`);
+        }
+        
+        if (sourceCRS.code !== 'EPSG:4326') {
+            CRS.reprojectGeoJSON(data, (x, y) => {
+                const geo = sourceCRS.inverse(x, y);
+                return [geo.lng, geo.lat];
+            });
+        }
+        
+        delete data.crs;
+        return data;
+    }
+    
     /**
      * Set the current tool
      */
@@ -269,6 +613,7 @@ class GISViewer {
         // Reset measurement if switching away from measure tool
         if (tool !== 'measure') {
             this.measurementPoints = [];
+            this.measurePointer = null;
         }
         
         this.updateStatus(`Tool: ${tool.charAt(0).toUpperCase() + tool.slice(1)}`);
@@ -283,6 +628,7 @@ class GISViewer {
         const scaleX = this.displayWidth / this.mapImage.width;
         const scaleY = this.displayHeight / this.mapImage.height;
         this.viewport.scale = Math.min(scaleX, scaleY) * 0.9; // 90% to add some margin
+        this.viewport.minScale = Math.min(0.1, this.viewport.scale); // Large scans must still fit
         
         this.viewport.x = (this.displayWidth - this.mapImage.width * this.viewport.scale) / 2;
         this.viewport.y = (this.displayHeight - this.mapImage.height * this.viewport.scale) / 2;
@@ -309,186 +655,324 @@ class GISViewer {
     }
     
     /**
-     * Convert pixel coordinates to geographic coordinates using calibration
+     * Convert pixel coordinates to coordinates in the map's native CRS
      */
-    pixelToGeo(x, y) {
+    pixelToProjected(x, y) {
+        if (!this.isCalibrated || !this.transform) {
+            return null;
+        }
+        
+        return this.transform.forward(x, y);
+    }
+    
+    /**
+     * Convert coordinates in the map's native CRS to pixel coordinates
+     */
+    projectedToPixel(x, y) {
         if (!this.isCalibrated || !this.transform) {
             return null;
         }
         
-        // Apply affine transformation
-        const lat = this.transform.a * x + this.transform.b * y + this.transform.c;
-        const lng = this.transform.d * x + this.transform.e * y + this.transform.f;
+        return this.transform.inverse(x, y);
+    }
+    
+    /**
+     * Convert pixel coordinates to geographic (WGS84) coordinates using calibration
+     */
+    pixelToGeo(x, y) {
+        const projected = this.pixelToProjected(x, y);
+        if (!projected) return null;
+        
+        const { lat, lng } = this.mapCRS.inverse(projected.x, projected.y);
         
         return { lat, lng };
     }
     
     /**
-     * Convert geographic coordinates to pixel coordinates
+     * Convert geographic (WGS84) coordinates to pixel coordinates
      */
     geoToPixel(lat, lng) {
         if (!this.isCalibrated || !this.transform) {
             return null;
         }
         
-        // Apply inverse transformation
-        const det = this.transform.a * this.transform.e - this.transform.b * this.transform.d;
-        if (Math.abs(det) < 1e-10) return null;
-        
-        const x = (this.transform.e * (lat - this.transform.c) - this.transform.b * (lng - this.transform.f)) / det;
-        const y = (this.transform.a * (lng - this.transform.f) - this.transform.d * (lat - this.transform.c)) / det;
+        const projected = this.mapCRS.forward(lng, lat);
         
-        return { x, y };
+        // Apply inverse transformation
+        return this.projectedToPixel(projected.x, projected.y);
     }
     
     /**
-     * Calculate transformation matrix from reference points
-     * Uses least squares to fit an affine transformation
+     * Calculate transformation from reference points
+     * using the selected transform type (see transforms.js)
      */
     calculateTransform() {
-        if (this.referencePoints.length < 2) {
+        const { minPoints } = CoordinateTransform.TYPES[this.transformType];
+        const enabledPoints = this.getEnabledReferencePoints();
+        
+        this.outlierIndices = [];
+        
+        if (enabledPoints.length < minPoints) {
             this.isCalibrated = false;
             this.transform = null;
+            this.residuals = [];
+            this.updateCalibrationStatus();
             return;
         }
         
-        // For 2 points, use simple linear interpolation
-        // For more points, use least squares fitting
+        // Fit in the map's native CRS so projected maps calibrate correctly
+        const sources = enabledPoints.map(p => p.pixel);
+        const targets = enabledPoints.map(p => this.mapCRS.forward(p.geo.lng, p.geo.lat));
         
-        if (this.referencePoints.length === 2) {
-            const p1 = this.referencePoints[0];
-            const p2 = this.referencePoints[1];
-            
-            // Simple linear transformation between two points
-            const dx = p2.pixel.x - p1.pixel.x;
-            const dy = p2.pixel.y - p1.pixel.y;
-            const dLat = p2.geo.lat - p1.geo.lat;
-            const dLng = p2.geo.lng - p1.geo.lng;
-            
-            if (Math.abs(dx) < 1e-10 && Math.abs(dy) < 1e-10) {
-                this.isCalibrated = false;
-                return;
-            }
-            
-            // Simple 2-point calibration (assumes north-aligned, uniform scaling)
-            const scaleLat = dLat / dy;
-            const scaleLng = dLng / dx;
-            
-            this.transform = {
-                a: 0, b: scaleLat, c: p1.geo.lat - scaleLat * p1.pixel.y,
-                d: scaleLng, e: 0, f: p1.geo.lng - scaleLng * p1.pixel.x
-            };
+        // Degrees of longitude shrink with latitude; two-point fits need true angles
+        const meanLat = enabledPoints.reduce((sum, p) => sum + p.geo.lat, 0) / enabledPoints.length;
+        const xScale = this.mapCRS.isGeographic ? Math.cos(meanLat * Math.PI / 180) : 1;
+        
+        if (this.robustCalibration) {
+            const { transform, outliers } = CoordinateTransform.robustFit(this.transformType, sources, targets, { xScale });
+            this.transform = transform;
+            this.outlierIndices = outliers.map(i => this.referencePoints.indexOf(enabledPoints[i]));
         } else {
-            // Least squares fitting for multiple points
-            this.calculateAffineTransform();
+            this.transform = CoordinateTransform.create(this.transformType, sources, targets, { xScale });
         }
         
-        this.isCalibrated = true;
+        this.isCalibrated = this.transform !== null;
+        this.residuals = this.calculateResiduals();
         this.updateCalibrationStatus();
     }
     
     /**
-     * Calculate affine transformation using least squares
+     * Rotation of the map in degrees: the direction of true north in the image,
+     * measured clockwise from straight up. Null when not calibrated.
      */
-    calculateAffineTransform() {
-        const n = this.referencePoints.length;
-        
-        // Set up matrices for least squares: Ax = b
-        const A = [];
-        const bLat = [];
-        const bLng = [];
+    getMapRotation() {
+        if (!this.isCalibrated) return null;
+        
+        // Measure at the centroid of the reference points
+        const points = this.getEnabledReferencePoints();
+        const x = points.reduce((sum, p) => sum + p.pixel.x, 0) / points.length;
+        const y = points.reduce((sum, p) => sum + p.pixel.y, 0) / points.length;
+        const centre = this.pixelToGeo(x, y);
+        const up = this.pixelToGeo(x, y - 1);
+        
+        // Bearing of the image's up direction, clockwise from north
+        const east = (up.lng - centre.lng) * Math.cos(centre.lat * Math.PI / 180);
+        const north = up.lat - centre.lat;
+        const bearing = Math.atan2(east, north) * 180 / Math.PI;
+        
+        return bearing === 0 ? 0 : -bearing;
+    }
+    
+    /**
+     * Reference points used for fitting (disabled points are kept but ignored)
+     */
+    getEnabledReferencePoints() {
+        return this.referencePoints.filter(p => p.enabled !== false);
+    }
+    
+    /**
+     * Whether a reference point was left out of the robust fit
+     */
+    isOutlier(index) {
+        return this.outlierIndices.includes(index);
+    }
+    
+    /**
+     * Turn outlier detection on or off and refit the calibration
+     */
+    setRobustCalibration(enabled) {
+        this.robustCalibration = enabled;
+        this.calculateTransform();
+        this.saveData();
+        this.render();
         
-        for (let i = 0; i < n; i++) {
-            const p = this.referencePoints[i];
-            A.push([p.pixel.x, p.pixel.y, 1]);
-            bLat.push(p.geo.lat);
-            bLng.push(p.geo.lng);
+        if (enabled) {
+            const count = this.outlierIndices.length;
+            this.updateStatus(count > 0 ? `Robust fit: ${count} outlier${count === 1 ? '' : 's'} detected` : 'Robust fit: no outliers detected');
         }
+    }
+    
+    /**
+     * Disable the detected outliers so they stay out of the fit
+     */
+    excludeOutliers() {
+        const outliers = this.outlierIndices.slice();
+        if (outliers.length === 0) return;
         
-        // Solve for latitude coefficients
-        const latCoeffs = this.leastSquares(A, bLat);
-        const lngCoeffs = this.leastSquares(A, bLng);
+        outliers.forEach(index => {
+            this.referencePoints[index].enabled = false;
+        });
         
-        if (latCoeffs && lngCoeffs) {
-            this.transform = {
-                a: latCoeffs[0], b: latCoeffs[1], c: latCoeffs[2],
-                d: lngCoeffs[0], e: lngCoeffs[1], f: lngCoeffs[2]
-            };
-        }
+        this.calculateTransform();
+        this.saveData();
+        this.render();
+        this.updateStatus(`Excluded reference point${outliers.length === 1 ? '' : 's'} ${outliers.map(i => i + 1).join(', ')}`);
     }
     
     /**
-     * Solve least squares problem Ax = b
+     * Enable or disable a reference point and refit the calibration
      */
-    leastSquares(A, b) {
-        const m = A.length;
-        const n = A[0].length;
+    setReferencePointEnabled(index, enabled) {
+        const point = this.referencePoints[index];
+        if (!point) return;
         
-        // Compute A^T * A and A^T * b
-        const AtA = Array(n).fill().map(() => Array(n).fill(0));
-        const Atb = Array(n).fill(0);
-        
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                for (let k = 0; k < m; k++) {
-                    AtA[i][j] += A[k][i] * A[k][j];
-                }
-            }
-            for (let k = 0; k < m; k++) {
-                Atb[i] += A[k][i] * b[k];
-            }
-        }
+        point.enabled = enabled;
         
-        // Solve using Gaussian elimination
-        return this.gaussianElimination(AtA, Atb);
+        this.calculateTransform();
+        this.saveData();
+        this.render();
+        this.updateStatus(`Reference point ${index + 1} ${enabled ? 'enabled' : 'disabled'}`);
     }
     
     /**
-     * Gaussian elimination solver
+     * Calculate how far each reference point lies from the fitted transform.
+     * The pixel residual is the offset between the clicked position and where the
+     * transform places the entered coordinates; the metre residual is the ground
+     * distance between the entered coordinates and those computed for the click.
      */
-    gaussianElimination(A, b) {
-        const n = A.length;
-        const x = Array(n).fill(0);
+    calculateResiduals() {
+        if (!this.isCalibrated) return [];
         
-        // Forward elimination
-        for (let i = 0; i < n; i++) {
-            // Find pivot
-            let maxRow = i;
-            for (let k = i + 1; k < n; k++) {
-                if (Math.abs(A[k][i]) > Math.abs(A[maxRow][i])) {
-                    maxRow = k;
-                }
+        return this.referencePoints.map((point, index) => {
+            const predictedPixel = this.geoToPixel(point.geo.lat, point.geo.lng);
+            const predictedGeo = this.pixelToGeo(point.pixel.x, point.pixel.y);
+            
+            if (!predictedPixel || !predictedGeo) {
+                return { index, dx: 0, dy: 0, pixels: NaN, meters: NaN };
             }
             
-            // Swap rows
-            [A[i], A[maxRow]] = [A[maxRow], A[i]];
-            [b[i], b[maxRow]] = [b[maxRow], b[i]];
+            const dx = predictedPixel.x - point.pixel.x;
+            const dy = predictedPixel.y - point.pixel.y;
+            
+            return {
+                index,
+                dx,
+                dy,
+                pixels: Math.sqrt(dx * dx + dy * dy),
+                meters: this.haversineDistance(point.geo.lat, point.geo.lng, predictedGeo.lat, predictedGeo.lng)
+            };
+        });
+    }
+    
+    /**
+     * Root mean square error of the current residuals
+     */
+    getCalibrationRMSE() {
+        const valid = this.residuals.filter(r =>
+            isFinite(r.pixels) && this.referencePoints[r.index].enabled !== false && !this.isOutlier(r.index));
+        if (valid.length === 0) return null;
+        
+        return {
+            pixels: Math.sqrt(valid.reduce((sum, r) => sum + r.pixels * r.pixels, 0) / valid.length),
+            meters: Math.sqrt(valid.reduce((sum, r) => sum + r.meters * r.meters, 0) / valid.length)
+        };
+    }
+    
+    /**
+     * Handle a selection in the map CRS dropdown
+     */
+    handleCRSSelection(value) {
+        let definition = value;
+        
+        if (value === 'utm') {
+            const suggestion = this.suggestUTMZone();
+            const zone = prompt('Enter UTM zone and hemisphere (e.g. 33N or 18S):', suggestion);
+            const match = zone && zone.trim().match(/^(\d{1,2})\s*([NS])$/i);
             
-            // Check for singular matrix
-            if (Math.abs(A[i][i]) < 1e-10) {
-                return null;
+            if (!match || parseInt(match[1], 10) < 1 || parseInt(match[1], 10) > 60) {
+                if (zone) alert('Please enter a zone between 1 and 60 followed by N or S.');
+                this.updateCRSSelect();
+                return;
             }
             
-            // Eliminate column
-            for (let k = i + 1; k < n; k++) {
-                const factor = A[k][i] / A[i][i];
-                for (let j = i; j < n; j++) {
-                    A[k][j] -= factor * A[i][j];
-                }
-                b[k] -= factor * b[i];
+            definition = CRS.utm(parseInt(match[1], 10), match[2].toUpperCase() === 'S').code;
+        } else if (value === 'custom') {
+            definition = prompt('Enter a proj4 definition (e.g. +proj=tmerc +lat_0=0 +lon_0=15 +k=0.9996 +x_0=500000 +ellps=GRS80 +units=m):');
+            if (!definition) {
+                this.updateCRSSelect();
+                return;
             }
         }
         
-        // Back substitution
-        for (let i = n - 1; i >= 0; i--) {
-            x[i] = b[i];
-            for (let j = i + 1; j < n; j++) {
-                x[i] -= A[i][j] * x[j];
+        this.setMapCRS(definition);
+    }
+    
+    /**
+     * Suggest a UTM zone from the reference points, e.g. "33N"
+     */
+    suggestUTMZone() {
+        if (this.referencePoints.length === 0) return '';
+        
+        const n = this.referencePoints.length;
+        const lat = this.referencePoints.reduce((sum, p) => sum + p.geo.lat, 0) / n;
+        const lng = this.referencePoints.reduce((sum, p) => sum + p.geo.lng, 0) / n;
+        
+        return `${CRS.utmZoneFor(lng, lat)}${lat < 0 ? 'S' : 'N'}`;
+    }
+    
+    /**
+     * Set the native CRS of the map image and refit the calibration in it
+     */
+    setMapCRS(definition) {
+        let crs;
+        
+        try {
+            crs = CRS.fromDefinition(definition);
+            if (!crs) {
+                throw new Error(`unknown code ${definition}`);
             }
-            x[i] /= A[i][i];
+        } catch (error) {
+            alert('Invalid coordinate reference system: ' + error.message);
+            this.updateCRSSelect();
+            return;
+        }
+        
+        this.mapCRS = crs;
+        this.mapCRSDefinition = crs.code || definition.trim();
+        
+        this.calculateTransform();
+        this.saveData();
+        this.updateCRSSelect();
+        this.render();
+        this.updateStatus(`Map CRS: ${crs.name}`);
+    }
+    
+    /**
+     * Make sure the CRS dropdown shows the current map CRS
+     */
+    updateCRSSelect() {
+        const select = document.getElementById('map-crs');
+        
+        let option = Array.from(select.options).find(o => o.value === this.mapCRSDefinition);
+        if (!option) {
+            option = document.createElement('option');
+            option.value = this.mapCRSDefinition;
+            option.textContent = this.mapCRS.code ? `${this.mapCRS.name}` : `Custom: ${this.mapCRSDefinition}`;
+            select.insertBefore(option, select.querySelector('option[value="utm"]'));
         }
         
-        return x;
+        select.value = this.mapCRSDefinition;
+    }
+    
+    /**
+     * Change the transform type used for calibration
+     */
+    setTransformType(type) {
+        if (!CoordinateTransform.TYPES[type]) return;
+        
+        this.transformType = type;
+        this.calculateTransform();
+        this.saveData();
+        this.render();
+        
+        const { label, minPoints } = CoordinateTransform.TYPES[type];
+        if (this.isCalibrated) {
+            this.updateStatus(`Transform: ${label}`);
+        } else if (this.referencePoints.length < minPoints) {
+            this.updateStatus(`${label} needs at least ${minPoints} reference points`);
+        } else {
+            this.updateStatus(`${label} could not be fitted to the reference points`);
+        }
     }
     
     /**
@@ -499,10 +983,24 @@ class GISViewer {
         const x = event.clientX - rect.left;
         const y = event.clientY - rect.top;
         
+        // The swipe divider can be dragged with any tool
+        if (this.isOnSwipeDivider(x)) {
+            this.draggingSwipe = true;
+            return;
+        }
+        
         if (this.currentTool === 'pan') {
             this.isDragging = true;
             this.dragStart = { x, y };
+            this.panDistance = 0;
             this.canvas.style.cursor = 'grabbing';
+        } else if (this.currentTool === 'calibrate') {
+            // Start moving an existing reference point
+            const index = this.findReferencePointAt(x, y);
+            if (index !== -1) {
+                this.draggedReferenceIndex = index;
+                this.dragStart = { x, y, moved: false };
+            }
         }
     }
     
@@ -514,11 +1012,54 @@ class GISViewer {
         const x = event.clientX - rect.left;
         const y = event.clientY - rect.top;
         
+        if (this.draggingSwipe) {
+            this.swipePosition = Math.max(0, Math.min(1, x / this.displayWidth));
+            this.scheduleRender();
+            return;
+        }
+        
+        // The spyglass and the split view's second cursor follow the mouse
+        if (this.getComparison() && (this.compareMode === 'spyglass' || this.compareMode === 'split')) {
+            this.comparePointer = { x, y };
+            this.scheduleRender();
+        }
+        
+        // The second pane of a split view stands for the same place as the first
+        const paneX = this.toActivePane(x);
+        
         // Update coordinate display
-        this.updateCoordinateDisplay(x, y);
+        this.updateCoordinateDisplay(paneX, y);
         
         // Handle tooltip for annotations and features
-        this.updateTooltip(x, y, event.clientX, event.clientY);
+        this.updateTooltip(paneX, y, event.clientX, event.clientY);
+        
+        // The path being measured follows the mouse with its next segment
+        if (this.currentTool === 'measure' && this.measurementPoints.length > 0) {
+            this.measurePointer = this.screenToMap(paneX, y);
+            this.scheduleRender();
+        }
+        
+        // Handle reference point dragging with live recalculation
+        if (this.draggedReferenceIndex !== null) {
+            if (this.dragStart.moved || Math.hypot(x - this.dragStart.x, y - this.dragStart.y) > 3) {
+                this.dragStart.moved = true;
+                this.referencePoints[this.draggedReferenceIndex].pixel = this.screenToMap(x, y);
+                this.calculateTransform();
+                this.render();
+            }
+            return;
+        }
+        
+        // Show move cursor over reference points while calibrating
+        if (this.currentTool === 'calibrate') {
+            this.canvas.style.cursor = this.findReferencePointAt(x, y) !== -1 ? 'move' : '';
+        }
+        
+        if (this.isOnSwipeDivider(x)) {
+            this.canvas.style.cursor = 'ew-resize';
+        } else if (this.canvas.style.cursor === 'ew-resize') {
+            this.canvas.style.cursor = this.currentTool === 'pan' ? 'grab' : 'crosshair';
+        }
         
         // Handle panning
         if (this.isDragging && this.currentTool === 'pan') {
@@ -527,6 +1068,7 @@ class GISViewer {
             
             this.viewport.x += dx;
             this.viewport.y += dy;
+            this.panDistance += Math.hypot(dx, dy);
             
             this.dragStart = { x, y };
             this.render();
@@ -537,12 +1079,47 @@ class GISViewer {
      * Handle mouse up events
      */
     handleMouseUp(event) {
-        if (this.isDragging) {
-            this.isDragging = false;
-            this.canvas.style.cursor = this.currentTool === 'pan' ? 'grab' : 'crosshair';
+        if (this.draggingSwipe) {
+            this.draggingSwipe = false;
+            this.suppressNextClick = true;
         }
-    }
-    
+        
+        if (this.draggedReferenceIndex !== null) {
+            const index = this.draggedReferenceIndex;
+            this.draggedReferenceIndex = null;
+            
+            if (this.dragStart.moved) {
+                // Don't treat the end of a drag as a click
+                this.suppressNextClick = true;
+                this.invalidateFeatureIndex(); // Project the layers with the new calibration
+                this.scheduleRender();
+                this.saveData();
+                this.updateStatus(`Reference point ${index + 1} moved`);
+            }
+        }
+        
+        if (this.isDragging) {
+            this.isDragging = false;
+            if (this.panDistance > 3) {
+                // A pan, not a click to select a feature
+                this.suppressNextClick = true;
+            }
+            this.canvas.style.cursor = this.currentTool === 'pan' ? 'grab' : 'crosshair';
+        }
+    }
+    
+    /**
+     * Hide the spyglass and the split view's second cursor when the mouse leaves the map
+     */
+    handleMouseLeave() {
+        this.draggingSwipe = false;
+        if (this.comparePointer || this.measurePointer) {
+            this.comparePointer = null;
+            this.measurePointer = null;
+            this.render();
+        }
+    }
+    
     /**
      * Handle wheel events for zooming
      */
@@ -550,7 +1127,7 @@ class GISViewer {
         event.preventDefault();
         
         const rect = this.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
+        const x = this.toActivePane(event.clientX - rect.left);
         const y = event.clientY - rect.top;
         
         const zoom = event.deltaY > 0 ? 0.9 : 1.1;
@@ -577,12 +1154,29 @@ class GISViewer {
         
         if (!this.mapImage) return;
         
+        if (this.suppressNextClick) {
+            this.suppressNextClick = false;
+            return;
+        }
+        
+        // The comparison pane of a split view is for viewing only
+        if (this.toActivePane(x) !== x) return;
+        
         const mapCoords = this.screenToMap(x, y);
         
         switch (this.currentTool) {
-            case 'calibrate':
-                this.addReferencePoint(mapCoords.x, mapCoords.y);
+            case 'pan':
+                this.selectFeatureAt(x, y);
+                break;
+            case 'calibrate': {
+                const index = this.findReferencePointAt(x, y);
+                if (index !== -1) {
+                    this.editReferencePoint(index);
+                } else {
+                    this.addReferencePoint(mapCoords.x, mapCoords.y);
+                }
                 break;
+            }
             case 'annotate':
                 this.addAnnotation(mapCoords.x, mapCoords.y);
                 break;
@@ -592,11 +1186,80 @@ class GISViewer {
         }
     }
     
+    /**
+     * Finish the path being measured on double-click
+     */
+    handleDoubleClick() {
+        if (this.currentTool === 'measure') {
+            this.finishMeasurement();
+        }
+    }
+    
+    /**
+     * Keys for the path being measured: Backspace, Delete or Ctrl+Z undoes the last
+     * point, Enter finishes and Escape cancels. Keys typed into fields are left alone.
+     */
+    handleKeyDown(event) {
+        if (this.currentTool !== 'measure' || this.measurementPoints.length === 0) return;
+        if (event.target.closest && event.target.closest('input, textarea, select')) return;
+        
+        if (event.key === 'Backspace' || event.key === 'Delete' || (event.key === 'z' && (event.ctrlKey || event.metaKey))) {
+            event.preventDefault();
+            this.undoMeasurementPoint();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this.finishMeasurement();
+        } else if (event.key === 'Escape') {
+            this.cancelMeasurement();
+        }
+    }
+    
+    /**
+     * Find the reference point drawn under a screen position
+     * Returns the point index, or -1 if there is none
+     */
+    findReferencePointAt(screenX, screenY) {
+        // Search from the top-most (last drawn) marker down
+        for (let i = this.referencePoints.length - 1; i >= 0; i--) {
+            const point = this.referencePoints[i];
+            const screen = this.mapToScreen(point.pixel.x, point.pixel.y);
+            if (Math.hypot(screen.x - screenX, screen.y - screenY) <= 12) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
     /**
      * Add a reference point for calibration
      */
     addReferencePoint(x, y) {
         this.pendingReferencePoint = { x, y };
+        this.editingReferenceIndex = null;
+        
+        document.getElementById('calibration-modal-title').textContent = 'Set Reference Point';
+        document.getElementById('delete-reference').style.display = 'none';
+        this.updateReferencePreview();
+        this.showModal('calibration-modal');
+    }
+    
+    /**
+     * Open an existing reference point in the calibration modal for editing
+     */
+    editReferencePoint(index) {
+        const point = this.referencePoints[index];
+        if (!point) return;
+        
+        this.pendingReferencePoint = null;
+        this.editingReferenceIndex = index;
+        
+        document.getElementById('calibration-modal-title').textContent = `Edit Reference Point ${index + 1}`;
+        document.getElementById('delete-reference').style.display = '';
+        document.getElementById('ref-lat').value = point.geo.lat;
+        document.getElementById('ref-lng').value = point.geo.lng;
+        this.updateReferencePreview();
+        
+        this.render();
         this.showModal('calibration-modal');
     }
     
@@ -604,26 +1267,75 @@ class GISViewer {
      * Confirm reference point with coordinates
      */
     confirmReferencePoint() {
-        const lat = parseFloat(document.getElementById('ref-lat').value);
-        const lng = parseFloat(document.getElementById('ref-lng').value);
-        
-        if (isNaN(lat) || isNaN(lng)) {
-            alert('Please enter valid latitude and longitude values.');
+        let lat, lng;
+        try {
+            ({ lat, lng } = this.readReferenceInputs());
+        } catch (error) {
+            alert(`Please enter valid coordinates: ${error.message}`);
             return;
         }
         
-        this.referencePoints.push({
-            pixel: this.pendingReferencePoint,
-            geo: { lat, lng }
-        });
+        let message;
+        
+        if (this.editingReferenceIndex !== null) {
+            this.referencePoints[this.editingReferenceIndex].geo = { lat, lng };
+            message = `Reference point ${this.editingReferenceIndex + 1} updated`;
+        } else {
+            this.referencePoints.push({
+                pixel: this.pendingReferencePoint,
+                geo: { lat, lng }
+            });
+            message = `Reference point ${this.referencePoints.length} added`;
+        }
         
+        this.editingReferenceIndex = null;
         this.calculateTransform();
         this.saveData();
         this.render();
         this.hideModal('calibration-modal');
         this.clearModalInputs('calibration-modal');
         
-        this.updateStatus(`Reference point ${this.referencePoints.length} added`);
+        this.updateStatus(message);
+    }
+    
+    /**
+     * Read the calibration modal fields. A complete position (lat/lng pair,
+     * UTM or MGRS) may be entered in either field when the other is empty.
+     */
+    readReferenceInputs() {
+        const latText = document.getElementById('ref-lat').value.trim();
+        const lngText = document.getElementById('ref-lng').value.trim();
+        
+        if (!lngText || !latText) {
+            return CoordinateParser.parse(latText || lngText);
+        }
+        
+        return {
+            lat: CoordinateParser.parseLatitude(latText),
+            lng: CoordinateParser.parseLongitude(lngText)
+        };
+    }
+    
+    /**
+     * Show how the calibration modal fields are being interpreted
+     */
+    updateReferencePreview() {
+        const preview = document.getElementById('ref-preview');
+        const hasInput = ['ref-lat', 'ref-lng'].some(id => document.getElementById(id).value.trim());
+        
+        preview.classList.remove('error');
+        if (!hasInput) {
+            preview.textContent = '';
+            return;
+        }
+        
+        try {
+            const { lat, lng } = this.readReferenceInputs();
+            preview.textContent = `= ${CoordinateParser.format(lat, lng, 'decimal')} (${CoordinateParser.format(lat, lng, 'dms')})`;
+        } catch (error) {
+            preview.textContent = error.message;
+            preview.classList.add('error');
+        }
     }
     
     /**
@@ -631,8 +1343,28 @@ class GISViewer {
      */
     cancelReferencePoint() {
         this.pendingReferencePoint = null;
+        this.editingReferenceIndex = null;
+        this.hideModal('calibration-modal');
+        this.clearModalInputs('calibration-modal');
+        this.render();
+    }
+    
+    /**
+     * Delete a single reference point and recalculate the calibration
+     */
+    deleteReferencePoint(index) {
+        if (index === null || !this.referencePoints[index]) return;
+        
+        this.referencePoints.splice(index, 1);
+        this.editingReferenceIndex = null;
+        
+        this.calculateTransform();
+        this.saveData();
+        this.render();
         this.hideModal('calibration-modal');
         this.clearModalInputs('calibration-modal');
+        
+        this.updateStatus(`Reference point ${index + 1} deleted`);
     }
     
     /**
@@ -687,60 +1419,117 @@ class GISViewer {
     }
     
     /**
-     * Add measurement point
+     * Add a vertex to the path being measured. Points on top of the last vertex are
+     * ignored, so the clicks of a finishing double-click add nothing.
      */
     addMeasurementPoint(x, y) {
-        this.measurementPoints.push({ x, y });
-        
-        if (this.measurementPoints.length === 2) {
-            this.calculateDistance();
-            this.measurementPoints = []; // Reset for next measurement
-        }
+        const last = this.measurementPoints[this.measurementPoints.length - 1];
+        if (last && Math.hypot(x - last.x, y - last.y) * this.viewport.scale < 4) return;
         
+        this.measurementPoints.push({ x, y });
+        this.updateMeasurementStatus();
         this.render();
     }
     
     /**
-     * Calculate distance between measurement points
+     * Remove the last vertex of the path being measured
      */
-    calculateDistance() {
-        if (this.measurementPoints.length !== 2) return;
+    undoMeasurementPoint() {
+        if (this.measurementPoints.length === 0) return;
         
-        const p1 = this.measurementPoints[0];
-        const p2 = this.measurementPoints[1];
+        this.measurementPoints.pop();
+        this.updateMeasurementStatus();
+        this.render();
+    }
+    
+    /**
+     * Drop the path being measured
+     */
+    cancelMeasurement() {
+        this.measurementPoints = [];
+        this.measurePointer = null;
+        this.updateStatus('Measurement cancelled');
+        this.render();
+    }
+    
+    /**
+     * Segment lengths of a path of map pixels: geodesic metres when every point can be
+     * located, otherwise pixels. Returns { segments, unit: 'm' or 'pixels', coordinates },
+     * coordinates being the [lng, lat] positions when located, else null.
+     */
+    measurePath(points) {
+        const geo = this.isCalibrated ? points.map(point => this.pixelToGeo(point.x, point.y)) : [];
+        if (geo.length > 0 && geo.every(position => position && isFinite(position.lat) && isFinite(position.lng))) {
+            return {
+                segments: geo.slice(1).map((position, i) => this.haversineDistance(geo[i].lat, geo[i].lng, position.lat, position.lng)),
+                unit: 'm',
+                coordinates: geo.map(position => [position.lng, position.lat])
+            };
+        }
         
-        let distance, unit = 'pixels';
+        return {
+            segments: points.slice(1).map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y)),
+            unit: 'pixels',
+            coordinates: null
+        };
+    }
+    
+    /**
+     * Format a length from measurePath in its unit
+     */
+    formatPathLength(length, unit) {
+        return unit === 'm' ? this.formatDistance(length) : `${length.toFixed(1)} px`;
+    }
+    
+    /**
+     * Show the length of the path being measured and how to go on
+     */
+    updateMeasurementStatus() {
+        const count = this.measurementPoints.length;
+        if (count === 0) {
+            this.updateStatus('Tool: Measure');
+            return;
+        }
         
-        if (this.isCalibrated) {
-            // Calculate geographic distance
-            const geo1 = this.pixelToGeo(p1.x, p1.y);
-            const geo2 = this.pixelToGeo(p2.x, p2.y);
-            
-            if (geo1 && geo2) {
-                distance = this.haversineDistance(geo1.lat, geo1.lng, geo2.lat, geo2.lng);
-                unit = distance > 1000 ? 'km' : 'm';
-                if (unit === 'km') distance /= 1000;
-            } else {
-                distance = Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
-            }
-        } else {
-            // Pixel distance
-            distance = Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+        const { segments, unit } = this.measurePath(this.measurementPoints);
+        const total = segments.reduce((sum, length) => sum + length, 0);
+        this.updateStatus(`Path: ${count} point${count === 1 ? '' : 's'}, ${this.formatPathLength(total, unit)}. ` +
+            'Double-click or Enter to finish, Backspace to undo, Esc to cancel');
+    }
+    
+    /**
+     * Save the path being measured to the measurements as a LineString with its
+     * segment lengths. The total keeps the format of two-point measurements.
+     */
+    finishMeasurement() {
+        const points = this.measurementPoints;
+        if (points.length < 2) {
+            this.updateStatus('Add at least two points to measure a path');
+            return;
         }
         
+        const { segments, unit, coordinates } = this.measurePath(points);
+        const total = segments.reduce((sum, length) => sum + length, 0);
+        const kilometres = unit === 'm' && total > 1000;
+        
         const measurement = {
             id: Date.now(),
-            points: [p1, p2],
-            distance: distance.toFixed(2),
-            unit,
+            points: [...points],
+            geometry: coordinates ? { type: 'LineString', coordinates } : null,
+            segments: segments.map(length => parseFloat(length.toFixed(2))),
+            segmentUnit: unit,
+            distance: (kilometres ? total / 1000 : total).toFixed(2),
+            unit: kilometres ? 'km' : unit,
             timestamp: new Date().toISOString()
         };
         
         this.measurements.push(measurement);
+        this.measurementPoints = [];
+        this.measurePointer = null;
         this.saveData();
+        this.render();
         
-        alert(`Distance: ${measurement.distance} ${measurement.unit}`);
-        this.updateStatus(`Measured: ${measurement.distance} ${measurement.unit}`);
+        this.updateStatus(`Measured: ${measurement.distance} ${measurement.unit} over ${segments.length} segment${segments.length === 1 ? '' : 's'}`);
     }
     
     /**
@@ -757,6 +1546,16 @@ class GISViewer {
         return R * c;
     }
     
+    /**
+     * Format a distance in metres with an appropriate unit
+     */
+    formatDistance(meters) {
+        if (meters >= 1000) {
+            return `${(meters / 1000).toFixed(2)} km`;
+        }
+        return `${meters.toFixed(2)} m`;
+    }
+    
     /**
      * Update coordinate display
      */
@@ -771,8 +1570,15 @@ class GISViewer {
         if (this.isCalibrated) {
             const geoCoords = this.pixelToGeo(mapCoords.x, mapCoords.y);
             if (geoCoords) {
-                document.getElementById('coord-text').textContent = 
-                    `${geoCoords.lat.toFixed(6)}, ${geoCoords.lng.toFixed(6)}`;
+                let text = this.formatCoordinate(geoCoords.lat, geoCoords.lng);
+                
+                // Show native coordinates for projected maps
+                if (!this.mapCRS.isGeographic) {
+                    const projected = this.pixelToProjected(mapCoords.x, mapCoords.y);
+                    text += ` | E ${projected.x.toFixed(1)} N ${projected.y.toFixed(1)} ${this.mapCRS.units}`;
+                }
+                
+                document.getElementById('coord-text').textContent = text;
                 return;
             }
         }
@@ -781,6 +1587,45 @@ class GISViewer {
             `Pixel: ${Math.round(mapCoords.x)}, ${Math.round(mapCoords.y)}`;
     }
     
+    /**
+     * Format a position in the selected display format
+     */
+    formatCoordinate(lat, lng) {
+        return CoordinateParser.format(lat, lng, this.coordinateFormat);
+    }
+    
+    /**
+     * Centre the view on a typed coordinate and mark it
+     */
+    goToCoordinate(text) {
+        if (!this.mapImage || !this.isCalibrated) {
+            alert('Please load and calibrate a map first.');
+            return;
+        }
+        
+        let position;
+        try {
+            position = CoordinateParser.parse(text);
+        } catch (error) {
+            alert(`Cannot go to "${text}": ${error.message}`);
+            return;
+        }
+        
+        const pixel = this.geoToPixel(position.lat, position.lng);
+        if (!pixel) {
+            alert('This coordinate cannot be located on the calibrated map.');
+            return;
+        }
+        
+        this.viewport.x = this.displayWidth / 2 - pixel.x * this.viewport.scale;
+        this.viewport.y = this.displayHeight / 2 - pixel.y * this.viewport.scale;
+        this.gotoMarker = position;
+        this.render();
+        
+        const outside = pixel.x < 0 || pixel.y < 0 || pixel.x > this.mapImage.width || pixel.y > this.mapImage.height;
+        this.updateStatus(`Centred on ${this.formatCoordinate(position.lat, position.lng)}${outside ? ' (outside the map image)' : ''}`);
+    }
+    
     /**
      * Update tooltip for features
      */
@@ -789,45 +1634,22 @@ class GISViewer {
         let content = '';
         
         if (this.mapImage && this.showAnnotations) {
-            const mapCoords = this.screenToMap(x, y);
+            const hit = this.findItemAt(x, y);
             
-            // Check for nearby annotations
-            for (const annotation of this.annotations) {
-                const screenPos = this.mapToScreen(annotation.pixel.x, annotation.pixel.y);
-                const distance = Math.sqrt(Math.pow(screenPos.x - x, 2) + Math.pow(screenPos.y - y, 2));
-                
-                if (distance < 15) { // 15px radius
-                    content = `<strong>${annotation.label}</strong>`;
-                    if (annotation.description) {
-                        content += `<br>${annotation.description}`;
-                    }
-                    if (annotation.geo) {
-                        content += `<br>Lat: ${annotation.geo.lat.toFixed(6)}<br>Lng: ${annotation.geo.lng.toFixed(6)}`;
-                    }
-                    break;
+            if (hit && hit.kind === 'annotation') {
+                const annotation = hit.annotation;
+                content = `<strong>${annotation.label}</strong>`;
+                if (annotation.description) {
+                    content += `<br>${annotation.description}`;
                 }
-            }
-            
-            // Check for nearby GeoJSON features (including historical data)
-            if (!content && this.geoJsonData && this.geoJsonData.features) {
-                for (const feature of this.geoJsonData.features) {
-                    if (feature.geometry.type === 'Point') {
-                        const [lng, lat] = feature.geometry.coordinates;
-                        const pixel = this.geoToPixel(lat, lng);
-                        if (pixel) {
-                            const screenPos = this.mapToScreen(pixel.x, pixel.y);
-                            const distance = Math.sqrt(Math.pow(screenPos.x - x, 2) + Math.pow(screenPos.y - y, 2));
-                            
-                            // Larger hit area for population markers
-                            const hitRadius = feature.properties?.category === 'jewish-population' ? 25 : 15;
-                            
-                            if (distance < hitRadius) {
-                                content = this.formatFeatureTooltip(feature);
-                                break;
-                            }
-                        }
-                    }
+                if (annotation.geo) {
+                    content += `<br>${this.formatCoordinate(annotation.geo.lat, annotation.geo.lng)}`;
                 }
+            } else if (hit && hit.kind === 'cluster') {
+                content = this.formatClusterTooltip(hit);
+            } else if (hit) {
+                // GeoJSON feature (including historical data)
+                content = this.formatFeatureTooltip(hit.feature, hit.layer);
             }
         }
         
@@ -842,555 +1664,3182 @@ class GISViewer {
     }
     
     /**
-     * Format tooltip content for GeoJSON features
+     * Spatial index of annotations, rebuilt when annotations are added or removed
      */
-    formatFeatureTooltip(feature) {
-        const props = feature.properties || {};
-        let content = '';
-        
-        if (props.category === 'jewish-population') {
-            // Special formatting for Jewish population data
-            content = `<strong>${props.name || 'Unknown Location'}</strong>`;
-            
-            if (props.country) {
-                content += `<br><em>${props.country}</em>`;
-            }
-            
-            if (props.population_1900 || props.population_1930) {
-                content += '<br><br><strong>Jewish Population:</strong>';
-                
-                if (props.population_1900) {
-                    content += `<br>1900: ${props.population_1900.toLocaleString()}`;
-                }
-                
-                if (props.population_1930) {
-                    content += `<br>1930: ${props.population_1930.toLocaleString()}`;
-                }
-                
-                // Calculate change if both years available
-                if (props.population_1900 && props.population_1930) {
-                    const change = props.population_1930 - props.population_1900;
-                    const percentChange = ((change / props.population_1900) * 100).toFixed(1);
-                    const arrow = change > 0 ? '↗' : change < 0 ? '↘' : '→';
-                    content += `<br>Change: ${arrow} ${change > 0 ? '+' : ''}${change.toLocaleString()} (${percentChange}%)`;
-                }
-            }
-            
-            if (props.historical) {
-                content += '<br><br><em>Historical Data (1900-1930)</em>';
-            }
-            
-        } else {
-            // Standard feature formatting
-            content = `<strong>${props.name || props.id || 'Feature'}</strong>`;
-            
-            // Add other properties
-            Object.keys(props).forEach(key => {
-                if (key !== 'name' && key !== 'id' && key !== 'imported' && key !== 'importDate') {
-                    const value = props[key];
-                    if (value !== null && value !== undefined && value !== '') {
-                        content += `<br>${key}: ${value}`;
-                    }
-                }
-            });
-        }
-        
-        // Add coordinates
-        if (feature.geometry.type === 'Point') {
-            const [lng, lat] = feature.geometry.coordinates;
-            content += `<br><br><small>Lat: ${lat.toFixed(4)}, Lng: ${lng.toFixed(4)}</small>`;
+    getAnnotationIndex() {
+        const key = this.annotationIndexKey;
+        if (this.annotationIndex && key.annotations === this.annotations && key.count === this.annotations.length) {
+            return this.annotationIndex;
         }
         
-        return content;
+        this.annotationIndex = new SpatialIndex(this.annotations.map((annotation, order) => ({
+            kind: 'annotation',
+            annotation,
+            order,
+            minX: annotation.pixel.x,
+            minY: annotation.pixel.y,
+            maxX: annotation.pixel.x,
+            maxY: annotation.pixel.y
+        })));
+        this.annotationIndexKey = { annotations: this.annotations, count: this.annotations.length };
+        return this.annotationIndex;
     }
     
     /**
-     * Main render function
+     * Spatial index of a layer's features in map pixels, rebuilt whenever
+     * its features or the calibration have changed since it was built.
+     * While a reference point is dragged the calibration changes on every move, so
+     * the layers keep their index from before the drag until it ends.
      */
-    render() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.displayWidth, this.displayHeight);
-        
-        if (!this.mapImage) {
-            this.drawPlaceholder();
-            return;
+    getLayerIndex(layer) {
+        if (layer.index && this.draggedReferenceIndex !== null) {
+            return layer.index;
         }
         
-        // Draw map image
-        this.ctx.save();
-        this.ctx.translate(this.viewport.x, this.viewport.y);
-        this.ctx.scale(this.viewport.scale, this.viewport.scale);
-        this.ctx.drawImage(this.mapImage, 0, 0);
-        this.ctx.restore();
-        
-        // Draw grid if enabled
-        if (this.showGrid && this.isCalibrated) {
-            this.drawGrid();
-        }
+        const key = {
+            features: layer.features,
+            featureCount: layer.features.length,
+            transform: this.transform,
+            mapCRS: this.mapCRS
+        };
         
-        // Draw GeoJSON features
-        if (this.geoJsonData && this.isCalibrated) {
-            this.drawGeoJSON();
+        const current = layer.indexKey;
+        if (layer.index && current && Object.keys(key).every(name => key[name] === current[name])) {
+            return layer.index;
         }
         
-        // Draw annotations
-        if (this.showAnnotations) {
-            this.drawAnnotations();
+        const entries = [];
+        if (this.isCalibrated) {
+            layer.features.forEach((feature, order) => {
+                const entry = this.createFeatureEntry(feature, order);
+                if (entry) {
+                    entry.layer = layer;
+                    entries.push(entry);
+                }
+            });
         }
         
-        // Draw reference points
-        this.drawReferencePoints();
-        
-        // Draw measurement points
-        this.drawMeasurementPoints();
+        layer.index = new SpatialIndex(entries);
+        layer.indexKey = key;
+        return layer.index;
     }
     
     /**
-     * Draw placeholder when no map is loaded
+     * Force the spatial indexes to be rebuilt, e.g. after features are edited in place
      */
-    drawPlaceholder() {
-        this.ctx.fillStyle = '#f8f9fa';
-        this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
-        
-        this.ctx.fillStyle = '#6c757d';
-        this.ctx.font = '24px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Load a map image to begin', this.displayWidth / 2, this.displayHeight / 2);
+    invalidateFeatureIndex() {
+        this.annotationIndex = null;
+        this.layers.forEach(layer => {
+            layer.index = null;
+        });
     }
     
     /**
-     * Draw coordinate grid
+     * Index entry holding a feature's geometry projected to map pixels
+     * Returns null for features without drawable geometry
      */
-    drawGrid() {
-        if (!this.isCalibrated || !this.mapImage) return;
-        
-        this.ctx.save();
-        this.ctx.strokeStyle = 'rgba(0, 100, 200, 0.3)';
-        this.ctx.lineWidth = 1;
-        
-        // Determine grid spacing based on zoom level
-        const gridSpacing = this.getGridSpacing();
-        
-        // Get visible bounds in geographic coordinates
-        const topLeft = this.pixelToGeo(
-            -this.viewport.x / this.viewport.scale,
-            -this.viewport.y / this.viewport.scale
-        );
-        const bottomRight = this.pixelToGeo(
-            (this.displayWidth - this.viewport.x) / this.viewport.scale,
-            (this.displayHeight - this.viewport.y) / this.viewport.scale
-        );
-        
-        if (!topLeft || !bottomRight) return;
+    createFeatureEntry(feature, order) {
+        const geometry = feature.geometry;
+        if (!geometry || !geometry.coordinates) return null;
         
-        // Draw latitude lines
-        const startLat = Math.floor(Math.min(topLeft.lat, bottomRight.lat) / gridSpacing) * gridSpacing;
-        const endLat = Math.ceil(Math.max(topLeft.lat, bottomRight.lat) / gridSpacing) * gridSpacing;
+        const toPixels = (coords) => coords
+            .map(([lng, lat]) => this.geoToPixel(lat, lng))
+            .filter(pixel => pixel && isFinite(pixel.x) && isFinite(pixel.y));
         
-        for (let lat = startLat; lat <= endLat; lat += gridSpacing) {
-            const startPixel = this.geoToPixel(lat, Math.min(topLeft.lng, bottomRight.lng));
-            const endPixel = this.geoToPixel(lat, Math.max(topLeft.lng, bottomRight.lng));
+        const parts = [];
+        switch (geometry.type) {
+            case 'Point':
+            case 'MultiPoint': {
+                const coords = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+                toPixels(coords).forEach(pixel => parts.push({ type: 'point', points: [pixel] }));
+                break;
+            }
+            case 'LineString':
+            case 'MultiLineString': {
+                const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+                lines.forEach(line => parts.push({ type: 'line', points: toPixels(line) }));
+                break;
+            }
+            case 'Polygon':
+            case 'MultiPolygon': {
+                const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+                polygons.forEach(rings => parts.push({ type: 'polygon', rings: rings.map(toPixels) }));
+                break;
+            }
+        }
+        
+        const entry = { kind: 'feature', feature, order, parts, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const part of parts) {
+            for (const points of part.rings || [part.points]) {
+                for (const { x, y } of points) {
+                    entry.minX = Math.min(entry.minX, x);
+                    entry.minY = Math.min(entry.minY, y);
+                    entry.maxX = Math.max(entry.maxX, x);
+                    entry.maxY = Math.max(entry.maxY, y);
+                }
+            }
+        }
+        
+        return entry.minX <= entry.maxX ? entry : null;
+    }
+    
+    /**
+     * Hit radius in screen pixels around a point feature
+     */
+    getFeatureHitRadius(feature, symbol) {
+        const size = symbol.chart ? symbol.chart.size : symbol.radius;
+        return size ? Math.min(40, Math.max(15, size + 4)) : 15;
+    }
+    
+    /**
+     * Find the annotation or feature under a screen position.
+     * Annotations win over features; among features the closest hit wins,
+     * relative to its hit radius, and polygon interiors only count when
+     * nothing else is hit. Returns an index entry or null.
+     */
+    findItemAt(screenX, screenY) {
+        const scale = this.viewport.scale;
+        const { x, y } = this.screenToMap(screenX, screenY);
+        const lineTolerance = 6;
+        
+        // Largest screen radius any item can be hit from, in map pixels
+        const reach = 40 / scale;
+        const candidates = this.getAnnotationIndex().search(x - reach, y - reach, x + reach, y + reach);
+        
+        if (this.isCalibrated) {
+            for (const layer of this.layers) {
+                if (!layer.visible) continue;
+                candidates.push(...this.searchLayer(layer, x - reach, y - reach, x + reach, y + reach));
+            }
+        }
+        
+        let best = null;
+        let bestScore = Infinity;
+        
+        for (const entry of candidates) {
+            let score = Infinity;
             
-            if (startPixel && endPixel) {
-                const start = this.mapToScreen(startPixel.x, startPixel.y);
-                const end = this.mapToScreen(endPixel.x, endPixel.y);
+            if (entry.kind === 'annotation') {
+                const distance = Math.hypot(entry.minX - x, entry.minY - y) * scale;
+                if (distance < 15) score = distance / 15 - 2; // Always ahead of features
+            } else if (entry.kind === 'cluster') {
+                if (entry === this.spiderfied) continue; // Its members are tested below
+                const distance = Math.hypot(entry.minX - x, entry.minY - y) * scale;
+                const radius = this.getClusterRadius(entry);
+                if (distance < radius) score = distance / radius;
+            } else {
+                const symbol = this.resolveFeatureSymbol(entry.layer, entry.feature);
+                if (!symbol) continue; // Hidden by the layer's rules or the timeline
+                const hitRadius = this.getFeatureHitRadius(entry.feature, symbol);
                 
-                this.ctx.beginPath();
-                this.ctx.moveTo(start.x, start.y);
-                this.ctx.lineTo(end.x, end.y);
-                this.ctx.stroke();
+                for (const part of entry.parts) {
+                    if (part.type === 'point') {
+                        const distance = Math.hypot(part.points[0].x - x, part.points[0].y - y) * scale;
+                        if (distance < hitRadius) score = Math.min(score, distance / hitRadius);
+                    } else if (part.type === 'line') {
+                        const distance = SpatialIndex.distanceToLine(x, y, part.points) * scale;
+                        if (distance < lineTolerance) score = Math.min(score, distance / lineTolerance);
+                    } else {
+                        const edge = Math.min(...part.rings.map(ring => SpatialIndex.distanceToLine(x, y, ring))) * scale;
+                        if (edge < lineTolerance) {
+                            score = Math.min(score, edge / lineTolerance);
+                        } else if (SpatialIndex.pointInPolygon(x, y, part.rings)) {
+                            score = Math.min(score, 1);
+                        }
+                    }
+                }
+            }
+            
+            // Later items (and layers) are drawn on top, so they win ties
+            if (score <= bestScore && score !== Infinity) {
+                best = entry;
+                bestScore = score;
             }
         }
         
-        // Draw longitude lines
-        const startLng = Math.floor(Math.min(topLeft.lng, bottomRight.lng) / gridSpacing) * gridSpacing;
-        const endLng = Math.ceil(Math.max(topLeft.lng, bottomRight.lng) / gridSpacing) * gridSpacing;
+        // A spread out cluster is drawn over the other features
+        if (this.spiderfied && !(best && best.kind === 'annotation')) {
+            const member = this.findSpiderMemberAt(screenX, screenY);
+            if (member) return member;
+        }
         
-        for (let lng = startLng; lng <= endLng; lng += gridSpacing) {
-            const startPixel = this.geoToPixel(Math.min(topLeft.lat, bottomRight.lat), lng);
-            const endPixel = this.geoToPixel(Math.max(topLeft.lat, bottomRight.lat), lng);
+        return best;
+    }
+    
+    /**
+     * A layer's index entries in a box, in draw order. Heatmap layers leave out their
+     * points; in clustered layers, single points are replaced by the clusters they
+     * belong to, unless alone in one.
+     */
+    searchLayer(layer, minX, minY, maxX, maxY) {
+        let entries = this.getLayerIndex(layer).search(minX, minY, maxX, maxY);
+        
+        if (layer.style.mode === 'heatmap') {
+            // Points are part of the density surface rather than drawn one by one
+            entries = entries.filter(entry => !this.isPointEntry(entry));
+        } else if (layer.style.cluster) {
+            const clusters = this.getLayerClusters(layer).search(minX, minY, maxX, maxY);
+            entries = entries
+                .filter(entry => !this.isClusterable(entry))
+                .concat(clusters.map(cluster => (cluster.members.length === 1 ? cluster.members[0] : cluster)));
+        }
+        
+        return entries.sort((a, b) => a.order - b.order);
+    }
+    
+    /**
+     * Whether an index entry can join a cluster: a single point
+     */
+    isClusterable(entry) {
+        return entry.parts.length === 1 && entry.parts[0].type === 'point';
+    }
+    
+    /**
+     * Clusters of a clustered layer's shown points at the current zoom, as a SpatialIndex of
+     * { kind: 'cluster', layer, members, order, sum } positioned at the members' centre.
+     * Rebuilt when the zoom, the layer's features or style, or the timeline change.
+     */
+    getLayerClusters(layer) {
+        const index = this.getLayerIndex(layer);
+        const key = {
+            index,
+            scale: this.viewport.scale,
+            style: layer.style,
+            time: layer.time,
+            currentTime: this.currentTime
+        };
+        
+        const current = layer.clustersKey;
+        if (layer.clusters && current && Object.keys(key).every(name => key[name] === current[name])) {
+            return layer.clusters;
+        }
+        
+        if (this.spiderfied && this.spiderfied.layer === layer) {
+            this.spiderfied = null;
+        }
+        
+        const { radius, field } = layer.style.cluster;
+        const reach = radius / this.viewport.scale;
+        const shown = new Map();
+        const isShown = (entry) => {
+            if (!shown.has(entry)) {
+                shown.set(entry, this.isClusterable(entry) && this.resolveFeatureSymbol(layer, entry.feature) !== null);
+            }
+            return shown.get(entry);
+        };
+        
+        // Greedily, in draw order: each point not yet taken gathers the free points within reach
+        const taken = new Set();
+        const clusters = [];
+        const all = index.search(-Infinity, -Infinity, Infinity, Infinity).sort((a, b) => a.order - b.order);
+        
+        for (const seed of all) {
+            if (taken.has(seed) || !isShown(seed)) continue;
+            
+            const { x, y } = seed.parts[0].points[0];
+            const members = index.search(x - reach, y - reach, x + reach, y + reach)
+                .filter(entry => !taken.has(entry) && isShown(entry) &&
+                    Math.hypot(entry.parts[0].points[0].x - x, entry.parts[0].points[0].y - y) <= reach)
+                .sort((a, b) => a.order - b.order);
+            members.forEach(entry => taken.add(entry));
+            
+            const centre = {
+                x: members.reduce((sum, entry) => sum + entry.parts[0].points[0].x, 0) / members.length,
+                y: members.reduce((sum, entry) => sum + entry.parts[0].points[0].y, 0) / members.length
+            };
+            const sum = field ? members.reduce((total, entry) =>
+                total + (FeatureExpression.toNumber((entry.feature.properties || {})[field]) || 0), 0) : null;
+            
+            clusters.push({
+                kind: 'cluster',
+                layer,
+                members,
+                order: members[0].order,
+                sum,
+                minX: centre.x,
+                minY: centre.y,
+                maxX: centre.x,
+                maxY: centre.y
+            });
+        }
+        
+        layer.clusters = new SpatialIndex(clusters);
+        layer.clustersKey = key;
+        return layer.clusters;
+    }
+    
+    /**
+     * Screen radius of a cluster marker, growing with the number of points
+     */
+    getClusterRadius(cluster) {
+        return Math.min(30, 10 + 5 * Math.log10(cluster.members.length));
+    }
+    
+    /**
+     * Zoom to fit a cluster's points, or spread them out around it when they
+     * are too close together to separate within the zoom limit
+     */
+    zoomToCluster(cluster) {
+        const points = cluster.members.map(entry => entry.parts[0].points[0]);
+        const minX = Math.min(...points.map(p => p.x));
+        const maxX = Math.max(...points.map(p => p.x));
+        const minY = Math.min(...points.map(p => p.y));
+        const maxY = Math.max(...points.map(p => p.y));
+        
+        const padding = 60;
+        const fit = Math.min(
+            (this.displayWidth - 2 * padding) / Math.max(maxX - minX, 1e-9),
+            (this.displayHeight - 2 * padding) / Math.max(maxY - minY, 1e-9));
+        const scale = Math.min(this.viewport.maxScale, fit);
+        
+        if (scale <= this.viewport.scale * 1.01) {
+            this.spiderfied = cluster;
+            this.render();
+            return;
+        }
+        
+        this.viewport.scale = scale;
+        this.viewport.x = this.displayWidth / 2 - (minX + maxX) / 2 * scale;
+        this.viewport.y = this.displayHeight / 2 - (minY + maxY) / 2 * scale;
+        this.render();
+    }
+    
+    /**
+     * Screen positions of a spread out cluster's points: a circle around the
+     * centre for a few points, a spiral for more
+     */
+    getSpiderPositions(cluster) {
+        const centre = this.mapToScreen(cluster.minX, cluster.minY);
+        const count = cluster.members.length;
+        
+        if (count <= 8) {
+            const radius = Math.max(28, count * 7);
+            return cluster.members.map((entry, i) => {
+                const angle = -Math.PI / 2 + i * 2 * Math.PI / count;
+                return { entry, x: centre.x + radius * Math.cos(angle), y: centre.y + radius * Math.sin(angle) };
+            });
+        }
+        
+        let legLength = 14;
+        let angle = 0;
+        return cluster.members.map((entry, i) => {
+            angle += 24 / legLength + i * 0.0005;
+            const position = { entry, x: centre.x + legLength * Math.cos(angle), y: centre.y + legLength * Math.sin(angle) };
+            legLength += 2 * Math.PI * 4 / angle;
+            return position;
+        });
+    }
+    
+    /**
+     * Point of the spread out cluster under a screen position, as its index entry, or null
+     */
+    findSpiderMemberAt(screenX, screenY) {
+        if (!this.spiderfied.layer.visible) return null;
+        
+        let best = null;
+        let bestDistance = Infinity;
+        
+        for (const { entry, x, y } of this.getSpiderPositions(this.spiderfied)) {
+            const symbol = this.resolveFeatureSymbol(entry.layer, entry.feature);
+            const distance = Math.hypot(x - screenX, y - screenY);
+            if (symbol && distance < Math.min(12, this.getFeatureHitRadius(entry.feature, symbol)) && distance < bestDistance) {
+                best = entry;
+                bestDistance = distance;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Select the feature under a screen position, or clear the selection
+     */
+    selectFeatureAt(screenX, screenY) {
+        const hit = this.isCalibrated ? this.findItemAt(screenX, screenY) : null;
+        
+        if (hit && hit.kind === 'cluster') {
+            this.zoomToCluster(hit);
+            return;
+        }
+        
+        // Clicking away from a spread out cluster folds it back up
+        const folded = this.spiderfied && !(hit && this.spiderfied.members.includes(hit));
+        if (folded) this.spiderfied = null;
+        
+        const feature = hit && hit.kind === 'feature' ? hit.feature : null;
+        
+        if (feature === this.selectedFeature) {
+            if (folded) this.render();
+            return;
+        }
+        
+        this.selectedFeature = feature;
+        this.render();
+        
+        if (feature) {
+            const props = feature.properties || {};
+            this.updateStatus(`Selected: ${props.name || props.id || feature.geometry.type}`);
+        }
+    }
+    
+    /**
+     * Escape text for use in tooltip HTML
+     */
+    escapeHTML(value) {
+        return String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    }
+    
+    /**
+     * Format tooltip content for GeoJSON features
+     */
+    formatFeatureTooltip(feature, layer = null) {
+        const props = feature.properties || {};
+        const style = layer ? layer.style : null;
+        const charted = style && style.chart ? style.chart.fields : [];
+        
+        let content = `<strong>${this.escapeHTML(props.name || props.id || 'Feature')}</strong>`;
+        
+        if (charted.length > 0) {
+            // Charted values, then the change between successive fields
+            const values = style.chartValues(props);
+            content += `<br><br><strong>${this.escapeHTML(LayerStyle.seriesTitle(charted))}:</strong>`;
+            values.forEach(({ label, value }) => {
+                content += `<br>${this.escapeHTML(label)}: ${value !== null ? value.toLocaleString() : '-'}`;
+            });
             
-            if (startPixel && endPixel) {
-                const start = this.mapToScreen(startPixel.x, startPixel.y);
-                const end = this.mapToScreen(endPixel.x, endPixel.y);
+            for (let i = 1; i < values.length; i++) {
+                const from = values[i - 1];
+                const to = values[i];
+                if (from.value === null || to.value === null) continue;
                 
-                this.ctx.beginPath();
-                this.ctx.moveTo(start.x, start.y);
-                this.ctx.lineTo(end.x, end.y);
-                this.ctx.stroke();
+                const change = to.value - from.value;
+                const arrow = change > 0 ? '↗' : change < 0 ? '↘' : '→';
+                const percent = from.value !== 0 ? ` (${(change / Math.abs(from.value) * 100).toFixed(1)}%)` : '';
+                const span = values.length > 2 ? ` ${this.escapeHTML(from.label)}–${this.escapeHTML(to.label)}` : '';
+                content += `<br>Change${span}: ${arrow} ${change > 0 ? '+' : ''}${change.toLocaleString()}${percent}`;
+            }
+        }
+        
+        // Add other properties
+        const hidden = ['name', 'id', 'imported', 'importDate', 'historical', 'category', ...charted];
+        Object.keys(props).forEach(key => {
+            if (!hidden.includes(key)) {
+                const value = props[key];
+                if (value !== null && value !== undefined && value !== '' && typeof value !== 'object') {
+                    content += `<br>${this.escapeHTML(key)}: ${this.escapeHTML(value)}`;
+                }
+            }
+        });
+        
+        if (props.historical) {
+            const years = charted.map(field => LayerStyle.fieldLabel(field)).filter(label => /^\d{4}$/.test(label));
+            content += `<br><br><em>Historical Data${years.length > 1 ? ` (${years[0]}-${years[years.length - 1]})` : ''}</em>`;
+        }
+        
+        // Add coordinates
+        if (feature.geometry.type === 'Point') {
+            const [lng, lat] = feature.geometry.coordinates;
+            content += `<br><br><small>${this.formatCoordinate(lat, lng)}</small>`;
+        }
+        
+        return content;
+    }
+    
+    /**
+     * Format tooltip content for a cluster of points
+     */
+    formatClusterTooltip(cluster) {
+        const { members, layer } = cluster;
+        const field = layer.style.cluster.field;
+        
+        let content = `<strong>${members.length.toLocaleString()} features</strong>`;
+        if (field) {
+            content += `<br>${this.escapeHTML(field)}: ${cluster.sum.toLocaleString()} in total`;
+        }
+        
+        const names = members.map(entry => (entry.feature.properties || {}).name).filter(name => name);
+        if (names.length > 0) {
+            const shown = names.slice(0, 5);
+            content += `<br><br>${shown.map(name => this.escapeHTML(name)).join('<br>')}`;
+            if (members.length > shown.length) content += `<br>and ${(members.length - shown.length).toLocaleString()} more`;
+        }
+        
+        content += '<br><br><small>Click to zoom in</small>';
+        return content;
+    }
+    
+    /**
+     * Main render function
+     */
+    render() {
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.displayWidth, this.displayHeight);
+        
+        // Keep the overview's view rectangle in step with the main view
+        if (!this.exporting) {
+            this.overviewMap.render();
+        }
+        
+        if (!this.mapImage) {
+            this.drawPlaceholder();
+            return;
+        }
+        
+        // A split view draws the active map in the left half only
+        const comparison = this.getComparison();
+        const split = comparison && this.compareMode === 'split';
+        if (split) {
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(0, 0, this.displayWidth / 2, this.displayHeight);
+            this.ctx.clip();
+        }
+        
+        // Draw map image
+        this.drawMapImage();
+        
+        // The compared map replaces the active one beyond the swipe divider or inside
+        // the spyglass, or is laid over all of it
+        if (comparison && this.compareMode === 'overlay') {
+            this.drawOverlayImage(comparison);
+        } else if (comparison && !split) {
+            this.drawComparisonImage(comparison);
+        }
+        
+        // Features and annotations queue their labels, placed together once all are drawn
+        this.labelEngine = new LabelEngine(this.ctx, split ? this.displayWidth / 2 : this.displayWidth, this.displayHeight);
+        
+        // Draw grid if enabled
+        if (this.showGrid && this.isCalibrated) {
+            this.drawGrid();
+        }
+        
+        // Draw GeoJSON features
+        if (this.layers.length > 0 && this.isCalibrated) {
+            this.drawGeoJSON();
+        }
+        
+        // Draw annotations
+        if (this.showAnnotations) {
+            this.drawAnnotations();
+        }
+        
+        // Draw the labels that fit, above all features
+        if (this.showLabels) {
+            this.labelEngine.place();
+        }
+        this.labelEngine = null;
+        
+        // Draw reference points, measurement points and the go-to marker
+        if (!this.exporting) {
+            this.drawReferencePoints();
+            this.drawMeasurementPoints();
+            
+            if (this.gotoMarker && this.isCalibrated) {
+                this.drawGotoMarker();
             }
         }
         
+        // Draw the compared map's pane, divider or lens
+        if (split) {
+            this.ctx.restore();
+            this.drawComparisonPane(comparison);
+        }
+        if (comparison) {
+            this.drawComparisonFrame(comparison);
+        }
+        
+        // Draw scale bar, north arrow, grid labels and legend
+        if (this.isCalibrated) {
+            this.drawMapFurniture();
+        }
+        
+        // Draw the timeline position, so it shows in recordings
+        if (this.currentTime !== null && this.isCalibrated) {
+            this.drawTimeLabel();
+        }
+    }
+    
+    /**
+     * Draw the map furniture that is turned on: grid labels along the screen edges,
+     * a scale bar bottom left, a north arrow top right and a legend bottom right
+     */
+    drawMapFurniture() {
+        if (this.showGrid && this.showGridLabels) this.drawGridLabels();
+        if (this.showScaleBar) this.drawScaleBar();
+        if (this.showNorthArrow) this.drawNorthArrow();
+        if (this.showLegend) this.drawMapLegend();
+    }
+    
+    /**
+     * Label grid lines with their degrees where they enter the view:
+     * parallels at the left edge and meridians at the top, for an unrotated map
+     */
+    drawGridLabels() {
+        const spacing = this.getGridSpacing();
+        const decimals = Math.max(0, Math.round(-Math.log10(spacing)));
+        
+        this.ctx.save();
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineJoin = 'round';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.fillStyle = 'rgb(0, 70, 140)';
+        
+        for (const line of this.getGridLines()) {
+            const run = LabelEngine.clipLine(line.points, this.displayWidth, this.displayHeight)[0];
+            if (!run) continue;
+            
+            const value = parseFloat(line.value.toFixed(decimals)); // Drop floating point drift from stepping
+            const hemisphere = line.axis === 'lat' ? (value < 0 ? 'S' : 'N') : (value < 0 ? 'W' : 'E');
+            const text = `${Math.abs(value).toFixed(decimals)}°${value === 0 ? '' : hemisphere}`;
+            
+            // Step in from the edge along the line
+            const [start, next] = run;
+            const length = Math.hypot(next.x - start.x, next.y - start.y) || 1;
+            const x = start.x + (next.x - start.x) / length * 4;
+            const y = start.y + (next.y - start.y) / length * 4;
+            
+            // Beside the line, kept on screen where it enters along another edge
+            const width = this.ctx.measureText(text).width;
+            const labelX = Math.max(2, Math.min(this.displayWidth - width - 2, line.axis === 'lat' ? x : x + 3));
+            const labelY = Math.max(8, Math.min(this.displayHeight - 8, line.axis === 'lat' ? y - 7 : y + 7));
+            this.ctx.strokeText(text, labelX, labelY);
+            this.ctx.fillText(text, labelX, labelY);
+        }
+        
         this.ctx.restore();
     }
     
     /**
-     * Get appropriate grid spacing based on zoom level
+     * Ground distance covered by one screen pixel at the centre of the view, in metres
      */
-    getGridSpacing() {
-        const scale = this.viewport.scale;
+    getMetersPerScreenPixel() {
+        const cx = this.displayWidth / 2;
+        const cy = this.displayHeight / 2;
+        const a = this.screenToMap(cx, cy);
+        const b = this.screenToMap(cx + 100, cy);
+        const geoA = this.pixelToGeo(a.x, a.y);
+        const geoB = this.pixelToGeo(b.x, b.y);
+        if (!geoA || !geoB) return null;
+        
+        const meters = this.haversineDistance(geoA.lat, geoA.lng, geoB.lat, geoB.lng) / 100;
+        return meters > 0 && isFinite(meters) ? meters : null;
+    }
+    
+    /**
+     * Largest round length (1, 2 or 5 times a power of ten) up to a maximum
+     */
+    getNiceLength(max) {
+        const power = Math.pow(10, Math.floor(Math.log10(max)));
+        const multiple = [5, 2, 1].find(m => m * power <= max);
+        return parseFloat((multiple * power).toPrecision(12));
+    }
+    
+    /**
+     * Draw a scale bar of a round length, measured at the centre of the view
+     */
+    drawScaleBar() {
+        const metersPerPixel = this.getMetersPerScreenPixel();
+        if (!metersPerPixel) return;
         
-        if (scale > 5) return 0.0001;      // Very high zoom
-        if (scale > 2) return 0.001;       // High zoom
-        if (scale > 1) return 0.01;        // Medium zoom
-        if (scale > 0.5) return 0.1;       // Low zoom
-        return 1;                          // Very low zoom
+        const meters = this.getNiceLength(metersPerPixel * 150);
+        const width = meters / metersPerPixel;
+        const text = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+        const x = 20;
+        const y = this.displayHeight - 20;
+        
+        this.ctx.save();
+        this.ctx.font = '11px Arial';
+        const textWidth = this.ctx.measureText(text).width;
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.fillRect(x - 10, y - 22, width + textWidth / 2 + 20, 32);
+        
+        // Four alternating segments
+        this.ctx.strokeStyle = '#2f3542';
+        this.ctx.lineWidth = 1;
+        for (let i = 0; i < 4; i++) {
+            this.ctx.fillStyle = i % 2 === 0 ? '#2f3542' : '#ffffff';
+            this.ctx.fillRect(x + i * width / 4, y - 6, width / 4, 6);
+        }
+        this.ctx.strokeRect(x, y - 6, width, 6);
+        
+        this.ctx.fillStyle = '#2f3542';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText('0', x, y - 8);
+        this.ctx.fillText(text, x + width, y - 8);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Direction of north at the centre of the view in radians, clockwise from up
+     */
+    getNorthAngle() {
+        const centre = this.screenToMap(this.displayWidth / 2, this.displayHeight / 2);
+        const geo = this.pixelToGeo(centre.x, centre.y);
+        if (!geo) return null;
+        
+        const delta = 0.01;
+        const north = this.geoToPixel(Math.min(90, geo.lat + delta), geo.lng);
+        const south = this.geoToPixel(Math.max(-90, geo.lat - delta), geo.lng);
+        if (!north || !south) return null;
+        
+        return Math.atan2(north.x - south.x, south.y - north.y);
+    }
+    
+    /**
+     * Draw a north arrow in the top right corner, below the time label when shown
+     */
+    drawNorthArrow() {
+        const angle = this.getNorthAngle();
+        if (angle === null || !isFinite(angle)) return;
+        
+        const cx = this.displayWidth - 40;
+        const cy = this.currentTime !== null ? 82 : 40;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.beginPath();
+        this.ctx.arc(cx, cy, 28, 0, 2 * Math.PI);
+        this.ctx.fill();
+        
+        this.ctx.translate(cx, cy);
+        this.ctx.rotate(angle);
+        this.ctx.strokeStyle = '#2f3542';
+        this.ctx.lineWidth = 1;
+        this.ctx.lineJoin = 'round';
+        
+        // Dark west half, light east half
+        [[-8, '#2f3542'], [8, '#ffffff']].forEach(([side, color]) => {
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, -12);
+            this.ctx.lineTo(side, 14);
+            this.ctx.lineTo(0, 8);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+        
+        // Keep the letter upright beyond the tip
+        this.ctx.save();
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.fillStyle = '#2f3542';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('N', cx + Math.sin(angle) * 20, cy - Math.cos(angle) * 20);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw a legend of the visible layers in the bottom right corner, top layer first.
+     * Layers with a single symbol get one row, others a heading and their legend entries.
+     */
+    drawMapLegend() {
+        const rows = [];
+        [...this.layers].reverse().forEach(layer => {
+            if (!layer.visible || layer.opacity === 0) return;
+            
+            const geometryType = layer.style.mode === 'heatmap' ? 'point' : layer.geometryType;
+            const entries = layer.style.legendEntries();
+            if (entries.length === 0) {
+                rows.push({ text: layer.name, symbol: layer.style.symbol, geometryType, indent: 0 });
+                return;
+            }
+            
+            rows.push({ text: layer.name, bold: true, indent: 0 });
+            entries.forEach(entry => rows.push({ text: entry.label, symbol: entry.symbol, geometryType, indent: 8 }));
+        });
+        if (rows.length === 0) return;
+        
+        // Cut long legends to fit the view
+        const rowHeight = 18;
+        const padding = 8;
+        const maxRows = Math.max(1, Math.floor((this.displayHeight - 80) / rowHeight));
+        if (rows.length > maxRows) {
+            const hidden = rows.length - maxRows + 1;
+            rows.splice(maxRows - 1, rows.length, { text: `…and ${hidden} more`, indent: 0 });
+        }
+        
+        this.ctx.save();
+        const font = row => (row.bold ? 'bold 11px Arial' : '11px Arial');
+        const width = Math.max(...rows.map(row => {
+            this.ctx.font = font(row);
+            return row.indent + (row.symbol ? 20 : 0) + this.ctx.measureText(row.text).width;
+        })) + padding * 2;
+        const height = rows.length * rowHeight + padding * 2;
+        const x = this.displayWidth - width - 10;
+        const y = this.displayHeight - height - 10;
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.strokeStyle = 'rgba(47, 53, 66, 0.3)';
+        this.ctx.lineWidth = 1;
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeRect(x, y, width, height);
+        
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        rows.forEach((row, i) => {
+            let left = x + padding + row.indent;
+            const top = y + padding + i * rowHeight;
+            
+            if (row.symbol) {
+                this.drawLegendSwatch(this.ctx, left, top + 2, 14, row.symbol, row.geometryType);
+                left += 20;
+            }
+            
+            this.ctx.font = font(row);
+            this.ctx.fillStyle = '#2f3542';
+            this.ctx.fillText(row.text, left, top + rowHeight / 2);
+        });
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw the current time in the top right corner
+     */
+    drawTimeLabel() {
+        const text = LayerTime.formatTime(this.currentTime, this.timeStep);
+        
+        this.ctx.save();
+        this.ctx.font = 'bold 18px Arial';
+        const width = this.ctx.measureText(text).width + 20;
+        const x = this.displayWidth - width - 10;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        this.ctx.fillRect(x, 10, width, 32);
+        this.ctx.fillStyle = 'white';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, x + width / 2, 26);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw crosshairs at the last go-to position
+     */
+    drawGotoMarker() {
+        const pixel = this.geoToPixel(this.gotoMarker.lat, this.gotoMarker.lng);
+        if (!pixel) return;
+        
+        const screen = this.mapToScreen(pixel.x, pixel.y);
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ff6b35';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(screen.x, screen.y, 8, 0, 2 * Math.PI);
+        this.ctx.moveTo(screen.x - 16, screen.y);
+        this.ctx.lineTo(screen.x - 4, screen.y);
+        this.ctx.moveTo(screen.x + 4, screen.y);
+        this.ctx.lineTo(screen.x + 16, screen.y);
+        this.ctx.moveTo(screen.x, screen.y - 16);
+        this.ctx.lineTo(screen.x, screen.y - 4);
+        this.ctx.moveTo(screen.x, screen.y + 4);
+        this.ctx.lineTo(screen.x, screen.y + 16);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    /**
+     * Base map to compare with the active one, or null when there is none to show:
+     * both maps need to be calibrated and the compared image drawable
+     */
+    getComparison() {
+        const map = this.compareMap;
+        if (!map || map === this.activeMap || !map.isDrawable || !map.isCalibrated) return null;
+        return this.mapImage && this.isCalibrated ? map : null;
+    }
+    
+    /**
+     * Pixel of a base map showing the same place as a screen position on the active map
+     */
+    getComparisonPixel(map, screenX, screenY) {
+        const pixel = this.screenToMap(screenX, screenY);
+        const geo = this.pixelToGeo(pixel.x, pixel.y);
+        const source = geo ? map.geoToPixel(geo.lat, geo.lng) : null;
+        return source && isFinite(source.x) && isFinite(source.y) ? source : null;
+    }
+    
+    /**
+     * Warp a base map into a screen rectangle through both calibrations. offsetX is
+     * the x of the active map's matching screen position in the rectangle, for the
+     * right pane of a split view. Tiled scans are drawn from their preview.
+     */
+    warpComparison(ctx, map, rect, offsetX = 0) {
+        const image = map.mapImage.tiled ? map.mapImage.preview : map.mapImage;
+        const fx = image.width / map.mapImage.width;
+        const fy = image.height / map.mapImage.height;
+        
+        ImageWarp.draw(ctx, image, rect, (x, y) => {
+            const pixel = this.getComparisonPixel(map, x - offsetX, y);
+            return pixel ? { x: pixel.x * fx, y: pixel.y * fy } : null;
+        });
+    }
+    
+    /**
+     * Screen x on the active map for a position in either pane of a split view
+     */
+    toActivePane(x) {
+        const half = this.displayWidth / 2;
+        return this.compareMode === 'split' && x > half && this.getComparison() ? x - half : x;
+    }
+    
+    /**
+     * Whether a screen x is close enough to the swipe divider to drag it
+     */
+    isOnSwipeDivider(x) {
+        return this.compareMode === 'swipe' && this.getComparison() !== null &&
+            Math.abs(x - this.swipePosition * this.displayWidth) <= 8;
+    }
+    
+    /**
+     * Draw the compared map right of the swipe divider or inside the spyglass,
+     * warped onto the active map through both calibrations
+     */
+    drawComparisonImage(map) {
+        let rect;
+        this.ctx.save();
+        this.ctx.beginPath();
+        
+        if (this.compareMode === 'spyglass') {
+            if (!this.comparePointer) {
+                this.ctx.restore();
+                return;
+            }
+            const { x, y } = this.comparePointer;
+            const r = this.lensRadius;
+            rect = { x: x - r, y: y - r, width: 2 * r, height: 2 * r };
+            this.ctx.arc(x, y, r, 0, 2 * Math.PI);
+        } else {
+            const divider = this.swipePosition * this.displayWidth;
+            rect = { x: divider, y: 0, width: this.displayWidth - divider, height: this.displayHeight };
+            this.ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        }
+        
+        this.ctx.clip();
+        this.ctx.clearRect(rect.x, rect.y, rect.width, rect.height);
+        this.warpComparison(this.ctx, map, rect);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw the compared map over the whole active map with the overlay opacity and
+     * blend mode. It is warped at full opacity into an offscreen canvas first, so the
+     * slightly overlapping mesh triangles don't show as seams when it is faded. The
+     * warped map is kept until the view or either calibration changes, so changing
+     * the opacity or blend mode only composites it again.
+     */
+    drawOverlayImage(map) {
+        const dpr = window.devicePixelRatio || 1;
+        const key = {
+            map,
+            mapImage: map.mapImage,
+            compareTransform: map.transform,
+            compareCRS: map.mapCRS,
+            transform: this.transform,
+            mapCRS: this.mapCRS,
+            x: this.viewport.x,
+            y: this.viewport.y,
+            scale: this.viewport.scale,
+            width: this.canvas.width,
+            height: this.canvas.height
+        };
+        
+        const current = this.overlayKey;
+        if (!this.overlayCanvas || !current || Object.keys(key).some(name => key[name] !== current[name])) {
+            if (!this.overlayCanvas) {
+                this.overlayCanvas = document.createElement('canvas');
+            }
+            
+            const canvas = this.overlayCanvas;
+            const ctx = canvas.getContext('2d');
+            if (canvas.width !== key.width || canvas.height !== key.height) {
+                canvas.width = key.width; // Also clears it
+                canvas.height = key.height;
+            } else {
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+            }
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            
+            const rect = { x: 0, y: 0, width: this.displayWidth, height: this.displayHeight };
+            this.warpComparison(ctx, map, rect);
+            this.overlayKey = key;
+        }
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = this.overlayOpacity;
+        this.ctx.globalCompositeOperation = this.overlayBlend;
+        this.ctx.drawImage(this.overlayCanvas, 0, 0, this.displayWidth, this.displayHeight);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw the compared map in the right half of a split view, showing the same
+     * place at each point as the left half does at the matching point
+     */
+    drawComparisonPane(map) {
+        const half = this.displayWidth / 2;
+        const rect = { x: half, y: 0, width: this.displayWidth - half, height: this.displayHeight };
+        
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.clip();
+        this.warpComparison(this.ctx, map, rect, half);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw the swipe divider, spyglass rim or split line, with the maps' names,
+     * and in a split view a cursor in the pane the mouse is not over
+     */
+    drawComparisonFrame(map) {
+        if (this.compareMode === 'overlay') return;
+        
+        const ctx = this.ctx;
+        ctx.save();
+        
+        if (this.compareMode === 'spyglass') {
+            if (this.comparePointer) {
+                const { x, y } = this.comparePointer;
+                ctx.lineWidth = 4;
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.beginPath();
+                ctx.arc(x, y, this.lensRadius, 0, 2 * Math.PI);
+                ctx.stroke();
+                ctx.lineWidth = 1;
+                ctx.strokeStyle = '#2f3542';
+                ctx.stroke();
+                this.drawMapNameTag(map.name, x, y + this.lensRadius + 8, 'center');
+            }
+            ctx.restore();
+            return;
+        }
+        
+        const divider = this.compareMode === 'split' ? this.displayWidth / 2 : this.swipePosition * this.displayWidth;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(divider - 2, 0, 4, this.displayHeight);
+        ctx.fillStyle = '#2f3542';
+        ctx.fillRect(divider - 0.5, 0, 1, this.displayHeight);
+        
+        if (this.compareMode === 'swipe') {
+            // Handle
+            const y = this.displayHeight / 2;
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = '#2f3542';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(divider, y, 14, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#2f3542';
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('◀▶', divider, y);
+        } else if (this.comparePointer) {
+            // Mirror the cursor into the other pane
+            const half = this.displayWidth / 2;
+            const { y } = this.comparePointer;
+            const x = this.comparePointer.x > half ? this.comparePointer.x - half : this.comparePointer.x + half;
+            ctx.strokeStyle = '#ff4757';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(x - 10, y);
+            ctx.lineTo(x + 10, y);
+            ctx.moveTo(x, y - 10);
+            ctx.lineTo(x, y + 10);
+            ctx.stroke();
+        }
+        
+        this.drawMapNameTag(this.activeMap.name, divider - 8, 50, 'right');
+        this.drawMapNameTag(map.name, divider + 8, 50, 'left');
+        ctx.restore();
+    }
+    
+    /**
+     * Draw a map name in a dark box, aligned to a point at its top edge
+     */
+    drawMapNameTag(text, x, y, align) {
+        this.ctx.save();
+        this.ctx.font = 'bold 12px Arial';
+        const width = this.ctx.measureText(text).width + 12;
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(left, y, width, 20);
+        this.ctx.fillStyle = 'white';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, left + 6, y + 10);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw the map from its tile pyramid when available, else the full image
+     */
+    drawMapImage() {
+        if (this.tilePyramid && this.tilePyramid.isReady) {
+            this.tilePyramid.draw(this.ctx, this.viewport, this.displayWidth, this.displayHeight, this.exportPixelRatio);
+            return;
+        }
+        
+        // Tiled scans show their preview until the first tiles exist
+        const image = this.mapImage.tiled ? this.mapImage.preview : this.mapImage;
+        
+        this.ctx.save();
+        this.ctx.translate(this.viewport.x, this.viewport.y);
+        this.ctx.scale(this.viewport.scale, this.viewport.scale);
+        this.ctx.drawImage(image, 0, 0, this.mapImage.width, this.mapImage.height);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw placeholder when no map is loaded
+     */
+    drawPlaceholder() {
+        this.ctx.fillStyle = '#f8f9fa';
+        this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+        
+        this.ctx.fillStyle = '#6c757d';
+        this.ctx.font = '24px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('Load a map image to begin', this.displayWidth / 2, this.displayHeight / 2);
+    }
+    
+    /**
+     * Draw coordinate grid
+     */
+    drawGrid() {
+        if (!this.isCalibrated || !this.mapImage) return;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(0, 100, 200, 0.3)';
+        this.ctx.lineWidth = 1;
+        
+        for (const line of this.getGridLines()) {
+            this.ctx.beginPath();
+            line.points.forEach((point, i) => {
+                if (i === 0) this.ctx.moveTo(point.x, point.y);
+                else this.ctx.lineTo(point.x, point.y);
+            });
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Grid lines over the visible area as { axis: 'lat' | 'lng', value, points } in screen
+     * coordinates. Parallels run west to east and meridians north to south.
+     */
+    getGridLines() {
+        // Determine grid spacing based on zoom level
+        const gridSpacing = this.getGridSpacing();
+        
+        // Get visible bounds in geographic coordinates
+        const bounds = this.getVisibleGeoBounds();
+        if (!bounds) return [];
+        
+        const lines = [];
+        
+        // Latitude lines
+        const startLat = Math.floor(bounds.minLat / gridSpacing) * gridSpacing;
+        const endLat = Math.ceil(bounds.maxLat / gridSpacing) * gridSpacing;
+        
+        for (let lat = startLat; lat <= endLat; lat += gridSpacing) {
+            lines.push({ axis: 'lat', value: lat, points: this.getGridLinePoints(lat, bounds.minLng, lat, bounds.maxLng) });
+        }
+        
+        // Longitude lines
+        const startLng = Math.floor(bounds.minLng / gridSpacing) * gridSpacing;
+        const endLng = Math.ceil(bounds.maxLng / gridSpacing) * gridSpacing;
+        
+        for (let lng = startLng; lng <= endLng; lng += gridSpacing) {
+            lines.push({ axis: 'lng', value: lng, points: this.getGridLinePoints(bounds.maxLat, lng, bounds.minLat, lng) });
+        }
+        
+        return lines.filter(line => line.points.length > 1);
+    }
+    
+    /**
+     * Screen points of a grid line between two geographic positions.
+     * Non-affine transforms bend grid lines, so they are returned as polylines.
+     */
+    getGridLinePoints(lat1, lng1, lat2, lng2) {
+        const segments = this.transform.isAffine ? 1 : 32;
+        const points = [];
+        
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const pixel = this.geoToPixel(lat1 + (lat2 - lat1) * t, lng1 + (lng2 - lng1) * t);
+            if (!pixel) continue;
+            
+            points.push(this.mapToScreen(pixel.x, pixel.y));
+        }
+        
+        return points;
+    }
+    
+    /**
+     * Get the geographic bounding box of the visible canvas area
+     */
+    getVisibleGeoBounds() {
+        const corners = [
+            this.screenToMap(0, 0),
+            this.screenToMap(this.displayWidth, 0),
+            this.screenToMap(0, this.displayHeight),
+            this.screenToMap(this.displayWidth, this.displayHeight)
+        ].map(p => this.pixelToGeo(p.x, p.y));
+        
+        if (corners.some(corner => !corner)) return null;
+        
+        return {
+            minLat: Math.min(...corners.map(c => c.lat)),
+            maxLat: Math.max(...corners.map(c => c.lat)),
+            minLng: Math.min(...corners.map(c => c.lng)),
+            maxLng: Math.max(...corners.map(c => c.lng))
+        };
+    }
+    
+    /**
+     * Get appropriate grid spacing based on zoom level
+     */
+    getGridSpacing() {
+        const scale = this.viewport.scale;
+        
+        if (scale > 5) return 0.0001;      // Very high zoom
+        if (scale > 2) return 0.001;       // High zoom
+        if (scale > 1) return 0.01;        // Medium zoom
+        if (scale > 0.5) return 0.1;       // Low zoom
+        return 1;                          // Very low zoom
+    }
+    
+    /**
+     * Draw GeoJSON features
+     */
+    drawGeoJSON() {
+        if (!this.isCalibrated) return;
+        
+        // Only draw features near the viewport, leaving room for markers and their labels
+        const margin = 50 / this.viewport.scale;
+        const topLeft = this.screenToMap(0, 0);
+        const bottomRight = this.screenToMap(this.displayWidth, this.displayHeight);
+        const visible = [];
+        
+        for (const layer of this.layers) {
+            if (!layer.visible || layer.opacity === 0) continue;
+            
+            const entries = this.searchLayer(layer, topLeft.x - margin, topLeft.y - margin, bottomRight.x + margin, bottomRight.y + margin);
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = layer.opacity;
+            
+            if (layer.style.mode === 'heatmap') {
+                this.drawHeatmap(layer);
+            }
+            
+            for (const entry of entries) {
+                if (entry.kind === 'cluster') {
+                    if (entry !== this.spiderfied) this.drawClusterMarker(entry);
+                    continue;
+                }
+                
+                const symbol = this.resolveFeatureSymbol(layer, entry.feature);
+                if (!symbol) continue; // Matched no rule, or not present at the current time
+                
+                this.drawGeoJSONFeature(entry.feature, symbol);
+                visible.push(entry);
+                this.addFeatureLabel(layer, entry, symbol);
+            }
+            
+            if (this.spiderfied && entries.includes(this.spiderfied)) {
+                this.drawSpider(this.spiderfied);
+            }
+            
+            this.ctx.restore();
+        }
+        
+        this.drawSelectedFeature(visible);
+    }
+    
+    /**
+     * Draw a cluster marker with its point count, or the sum of the layer's cluster field
+     */
+    drawClusterMarker(cluster) {
+        const screen = this.mapToScreen(cluster.minX, cluster.minY);
+        const radius = this.getClusterRadius(cluster);
+        const color = cluster.layer.style.symbol.fill || '#ff6b6b';
+        const text = cluster.sum !== null ? this.formatCompactNumber(cluster.sum) : cluster.members.length.toLocaleString();
+        this.addLabelObstacle(screen, radius + 5);
+        
+        this.ctx.fillStyle = LayerStyle.rgba(color, 0.35);
+        this.ctx.beginPath();
+        this.ctx.arc(screen.x, screen.y, radius + 5, 0, 2 * Math.PI);
+        this.ctx.fill();
+        
+        this.ctx.fillStyle = color;
+        this.ctx.strokeStyle = 'white';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        this.ctx.arc(screen.x, screen.y, radius, 0, 2 * Math.PI);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = `bold ${text.length > 4 ? 10 : 12}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, screen.x, screen.y);
+        this.ctx.textBaseline = 'alphabetic';
+    }
+    
+    /**
+     * Draw a spread out cluster: its points around the centre, with leader lines
+     */
+    drawSpider(cluster) {
+        const centre = this.mapToScreen(cluster.minX, cluster.minY);
+        const positions = this.getSpiderPositions(cluster);
+        
+        this.ctx.strokeStyle = 'rgba(47, 53, 66, 0.6)';
+        this.ctx.lineWidth = 1;
+        positions.forEach(({ x, y }) => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(centre.x, centre.y);
+            this.ctx.lineTo(x, y);
+            this.ctx.stroke();
+        });
+        
+        this.ctx.fillStyle = '#2f3542';
+        this.ctx.beginPath();
+        this.ctx.arc(centre.x, centre.y, 3, 0, 2 * Math.PI);
+        this.ctx.fill();
+        
+        positions.forEach(({ entry, x, y }) => {
+            const symbol = this.resolveFeatureSymbol(cluster.layer, entry.feature);
+            if (symbol) this.drawPointSymbol({ x, y }, entry.feature.properties, symbol);
+            this.addLabelObstacle({ x, y }, symbol ? this.getPointSymbolSize(symbol) : 5);
+        });
+    }
+    
+    /**
+     * Symbol for a feature from its layer's style, as of the current time
+     * when the layer has a time dimension. Null when the feature is hidden.
+     */
+    resolveFeatureSymbol(layer, feature) {
+        const properties = this.getFeatureProperties(layer, feature);
+        return properties ? layer.style.resolve(properties) : null;
+    }
+    
+    /**
+     * A feature's properties as of the current time (see LayerTime.apply),
+     * or null when it is not present then
+     */
+    getFeatureProperties(layer, feature) {
+        const properties = feature.properties || {};
+        return layer.time && this.currentTime !== null ? layer.time.apply(properties, this.currentTime) : properties;
+    }
+    
+    /**
+     * Whether an index entry is made up of points only
+     */
+    isPointEntry(entry) {
+        return entry.parts.every(part => part.type === 'point');
+    }
+    
+    /**
+     * Kernel density surface of a heatmap layer's points (see density-grid.js), drawn into
+     * an offscreen canvas covering the visible part of the map image and a margin around it:
+     * { canvas, scale, x, y } where scale is canvas pixels per map pixel and x, y is the map
+     * pixel at the canvas origin, or null. Cells are two to three screen pixels across, so
+     * the surface is rebuilt when the zoom crosses a step or the view leaves the margin,
+     * and when the layer's features or style, the timeline or the map image change.
+     */
+    getLayerHeatmap(layer) {
+        const index = this.getLayerIndex(layer);
+        const { width, height } = this.mapImage;
+        const radius = layer.style.heatmap.radius;
+        
+        // Visible map pixels, limited to the image and the reach of points on its edge
+        const topLeft = this.screenToMap(0, 0);
+        const bottomRight = this.screenToMap(this.displayWidth, this.displayHeight);
+        const visible = {
+            minX: Math.max(-radius, topLeft.x),
+            minY: Math.max(-radius, topLeft.y),
+            maxX: Math.min(width + radius, bottomRight.x),
+            maxY: Math.min(height + radius, bottomRight.y)
+        };
+        if (visible.minX >= visible.maxX || visible.minY >= visible.maxY) return null;
+        
+        // Canvas pixels per map pixel in steps of a square root of two
+        const scale = Math.pow(2, Math.floor(Math.log2(this.viewport.scale / 2) * 2) / 2);
+        const key = {
+            index,
+            style: layer.style,
+            time: layer.time,
+            currentTime: this.currentTime,
+            mapImage: this.mapImage,
+            scale
+        };
+        
+        const current = layer.heatmapKey;
+        const extent = layer.heatmapExtent;
+        if (current && Object.keys(key).every(name => key[name] === current[name]) &&
+            visible.minX >= extent.minX && visible.minY >= extent.minY &&
+            visible.maxX <= extent.maxX && visible.maxY <= extent.maxY) {
+            return layer.heatmap;
+        }
+        
+        // Cover a quarter of the view beyond each edge so short pans reuse the surface
+        const marginX = (bottomRight.x - topLeft.x) / 4;
+        const marginY = (bottomRight.y - topLeft.y) / 4;
+        const x = Math.max(-radius, visible.minX - marginX);
+        const y = Math.max(-radius, visible.minY - marginY);
+        const columns = Math.max(1, Math.ceil((Math.min(width + radius, visible.maxX + marginX) - x) * scale));
+        const rows = Math.max(1, Math.ceil((Math.min(height + radius, visible.maxY + marginY) - y) * scale));
+        const grid = new DensityGrid(columns, rows);
+        const field = layer.style.field;
+        
+        for (const entry of index.search(x, y, x + columns / scale, y + rows / scale)) {
+            if (!this.isPointEntry(entry)) continue;
+            const properties = this.getFeatureProperties(layer, entry.feature);
+            if (!properties) continue;
+            
+            const weight = field ? FeatureExpression.toNumber(properties[field]) : 1;
+            if (!(weight > 0)) continue;
+            
+            entry.parts.forEach(part => grid.add((part.points[0].x - x) * scale, (part.points[0].y - y) * scale, weight));
+        }
+        
+        grid.smooth(radius * scale);
+        
+        let heatmap = null;
+        if (grid.max > 0) {
+            const canvas = document.createElement('canvas');
+            canvas.width = grid.width;
+            canvas.height = grid.height;
+            const ctx = canvas.getContext('2d');
+            const palette = LayerStyle.rampColors(layer.style.ramp, 256).map(LayerStyle.parseHex);
+            ctx.putImageData(grid.toImageData(ctx.createImageData(grid.width, grid.height), palette), 0, 0);
+            heatmap = { canvas, scale, x, y };
+        }
+        
+        layer.heatmap = heatmap;
+        layer.heatmapKey = key;
+        layer.heatmapExtent = { minX: x, minY: y, maxX: x + columns / scale, maxY: y + rows / scale };
+        return heatmap;
+    }
+    
+    /**
+     * Draw a heatmap layer's density surface aligned with the map image
+     */
+    drawHeatmap(layer) {
+        const heatmap = this.getLayerHeatmap(layer);
+        if (!heatmap) return;
+        
+        this.ctx.save();
+        this.ctx.globalAlpha *= layer.style.heatmap.opacity;
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.translate(this.viewport.x, this.viewport.y);
+        this.ctx.scale(this.viewport.scale, this.viewport.scale);
+        this.ctx.drawImage(heatmap.canvas, heatmap.x, heatmap.y,
+            heatmap.canvas.width / heatmap.scale, heatmap.canvas.height / heatmap.scale);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Outline the selected feature if it is in view
+     */
+    drawSelectedFeature(visible) {
+        const entry = visible.find(e => e.feature === this.selectedFeature);
+        if (!entry) return;
+        
+        const toScreen = (points) => points.map(p => this.mapToScreen(p.x, p.y));
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ffd32a';
+        this.ctx.lineWidth = 4;
+        this.ctx.lineJoin = 'round';
+        
+        for (const part of entry.parts) {
+            this.ctx.beginPath();
+            
+            if (part.type === 'point') {
+                const [screen] = toScreen(part.points);
+                this.ctx.arc(screen.x, screen.y, 10, 0, 2 * Math.PI);
+            } else {
+                for (const points of part.rings || [part.points]) {
+                    toScreen(points).forEach((screen, i) => {
+                        if (i === 0) {
+                            this.ctx.moveTo(screen.x, screen.y);
+                        } else {
+                            this.ctx.lineTo(screen.x, screen.y);
+                        }
+                    });
+                    if (part.type === 'polygon') this.ctx.closePath();
+                }
+            }
+            
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw individual GeoJSON feature with a symbol from its layer style (see layer-style.js)
+     */
+    drawGeoJSONFeature(feature, symbol = LayerStyle.emptySymbol()) {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+        
+        switch (geometry.type) {
+            case 'Point':
+                this.drawGeoJSONPoint(geometry.coordinates, feature.properties, symbol);
+                break;
+            case 'LineString':
+                this.drawGeoJSONLineString(geometry.coordinates, feature.properties, symbol);
+                break;
+            case 'Polygon':
+                this.drawGeoJSONPolygon(geometry.coordinates, feature.properties, symbol);
+                break;
+            case 'MultiPoint':
+                geometry.coordinates.forEach(coords => 
+                    this.drawGeoJSONPoint(coords, feature.properties, symbol));
+                break;
+            case 'MultiLineString':
+                geometry.coordinates.forEach(coords => 
+                    this.drawGeoJSONLineString(coords, feature.properties, symbol));
+                break;
+            case 'MultiPolygon':
+                geometry.coordinates.forEach(coords => 
+                    this.drawGeoJSONPolygon(coords, feature.properties, symbol));
+                break;
+        }
+    }
+    
+    /**
+     * Draw a point symbol shape centred on a screen position
+     */
+    drawSymbolShape(ctx, x, y, shape, radius) {
+        ctx.beginPath();
+        
+        switch (shape) {
+            case 'square':
+                ctx.rect(x - radius * 0.85, y - radius * 0.85, radius * 1.7, radius * 1.7);
+                break;
+            case 'triangle':
+                ctx.moveTo(x, y - radius * 1.15);
+                ctx.lineTo(x + radius, y + radius * 0.6);
+                ctx.lineTo(x - radius, y + radius * 0.6);
+                ctx.closePath();
+                break;
+            case 'diamond':
+                ctx.moveTo(x, y - radius * 1.2);
+                ctx.lineTo(x + radius, y);
+                ctx.lineTo(x, y + radius * 1.2);
+                ctx.lineTo(x - radius, y);
+                ctx.closePath();
+                break;
+            case 'star':
+                for (let i = 0; i < 10; i++) {
+                    const r = i % 2 === 0 ? radius * 1.3 : radius * 0.55;
+                    const angle = -Math.PI / 2 + i * Math.PI / 5;
+                    ctx.lineTo(x + r * Math.cos(angle), y + r * Math.sin(angle));
+                }
+                ctx.closePath();
+                break;
+            default:
+                ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        }
+    }
+    
+    /**
+     * Queue a feature's label for placement: beside points, along lines and at the
+     * centre of polygons. Multi-part features are labelled once, on their largest part.
+     * Bigger point symbols win space first; annotations outrank all features.
+     * Point markers keep other labels off them even when unlabelled.
+     */
+    addFeatureLabel(layer, entry, symbol) {
+        const engine = this.labelEngine;
+        const part = entry.parts[0];
+        const opacity = layer.opacity;
+        if (!engine) return;
+        
+        if (part.type === 'point') {
+            const size = this.getPointSymbolSize(symbol);
+            const screen = this.mapToScreen(part.points[0].x, part.points[0].y);
+            this.addLabelObstacle(screen, size);
+            if (symbol.label) {
+                engine.addPointLabel(symbol.label, screen.x, screen.y, { radius: size, priority: 10 + size, opacity });
+            }
+            return;
+        }
+        
+        if (!symbol.label) return;
+        
+        if (part.type === 'line') {
+            const length = points => points.reduce((sum, p, i) => (i > 0 ? sum + Math.hypot(p.x - points[i - 1].x, p.y - points[i - 1].y) : 0), 0);
+            const longest = entry.parts.reduce((best, p) => (length(p.points) > length(best.points) ? p : best));
+            const points = longest.points.map(p => this.mapToScreen(p.x, p.y));
+            engine.addLineLabel(symbol.label, points, { priority: 5, opacity });
+            return;
+        }
+        
+        const extent = ring => {
+            const xs = ring.map(p => p.x);
+            const ys = ring.map(p => p.y);
+            return (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys));
+        };
+        const ring = entry.parts.map(p => p.rings[0]).reduce((best, r) => (extent(r) > extent(best) ? r : best));
+        const anchor = this.mapToScreen(
+            ring.reduce((sum, p) => sum + p.x, 0) / ring.length,
+            ring.reduce((sum, p) => sum + p.y, 0) / ring.length
+        );
+        engine.addAreaLabel(symbol.label, anchor.x, anchor.y, { priority: 5, opacity });
+    }
+    
+    /**
+     * Keep labels clear of a round marker drawn in the current frame
+     */
+    addLabelObstacle(screen, radius) {
+        if (this.labelEngine) {
+            this.labelEngine.addObstacle(screen.x - radius, screen.y - radius, screen.x + radius, screen.y + radius);
+        }
+    }
+    
+    /**
+     * Screen radius of a point symbol, or of the chart replacing it
+     */
+    getPointSymbolSize(symbol) {
+        return symbol.chart ? symbol.chart.size : symbol.radius || 5;
+    }
+    
+    /**
+     * Draw GeoJSON point
+     */
+    drawGeoJSONPoint(coordinates, properties, symbol = LayerStyle.emptySymbol()) {
+        const [lng, lat] = coordinates;
+        const pixel = this.geoToPixel(lat, lng);
+        if (!pixel) return;
+        
+        this.drawPointSymbol(this.mapToScreen(pixel.x, pixel.y), properties, symbol);
+    }
+    
+    /**
+     * Draw a point symbol, or the chart replacing it, at a screen position
+     */
+    drawPointSymbol(screen, properties, symbol) {
+        // Proportional symbol charts replace the point symbol
+        if (symbol.chart && symbol.chart.values.some(({ value }) => value !== null)) {
+            this.drawChartSymbol(screen, symbol.chart);
+        } else {
+            this.ctx.fillStyle = symbol.color || symbol.fill || properties?.color || '#ff6b6b';
+            this.drawSymbolShape(this.ctx, screen.x, screen.y, symbol.shape, symbol.radius || 5);
+            this.ctx.fill();
+            
+            if (symbol.stroke) {
+                this.ctx.strokeStyle = symbol.stroke;
+                this.ctx.lineWidth = symbol.strokeWidth || 1;
+                this.ctx.stroke();
+            }
+        }
+    }
+    
+    /**
+     * Draw a proportional symbol chart (see LayerStyle.resolveChart) centred on a screen position
+     */
+    drawChartSymbol(screen, chart) {
+        const { x, y } = screen;
+        const { values, colors } = chart;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 1.5;
+        
+        switch (chart.type) {
+            case 'nested': {
+                // Largest first so every circle stays visible
+                const order = values.map((v, i) => i).filter(i => chart.radii[i] > 0)
+                    .sort((a, b) => chart.radii[b] - chart.radii[a]);
+                order.forEach(i => {
+                    this.ctx.fillStyle = colors[i];
+                    this.ctx.beginPath();
+                    this.ctx.arc(x, y, chart.radii[i], 0, 2 * Math.PI);
+                    this.ctx.fill();
+                    this.ctx.stroke();
+                });
+                
+                // Latest value inside when there is room
+                const last = [...values].reverse().find(({ value }) => value !== null);
+                if (chart.size > 12 && last) {
+                    this.ctx.font = '9px Arial';
+                    this.ctx.textAlign = 'center';
+                    this.ctx.fillStyle = '#ffffff';
+                    this.ctx.fillText(this.formatCompactNumber(last.value), x, y + 3);
+                }
+                break;
+            }
+            case 'pie': {
+                const total = values.reduce((sum, { value }) => sum + Math.abs(value || 0), 0);
+                let angle = -Math.PI / 2;
+                values.forEach(({ value }, i) => {
+                    if (!value) return;
+                    const sweep = Math.abs(value) / total * 2 * Math.PI;
+                    this.ctx.fillStyle = colors[i];
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(x, y);
+                    this.ctx.arc(x, y, chart.size, angle, angle + sweep);
+                    this.ctx.closePath();
+                    this.ctx.fill();
+                    this.ctx.stroke();
+                    angle += sweep;
+                });
+                break;
+            }
+            case 'bar': {
+                // Bars grow up from the point, scaled against the largest value in the layer
+                const barWidth = 6;
+                const height = chart.maxSize * 1.6;
+                const width = values.length * (barWidth + 1) + 1;
+                const left = x - width / 2;
+                
+                this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+                this.ctx.fillRect(left - 1, y - height - 1, width + 2, height + 2);
+                values.forEach(({ value }, i) => {
+                    if (value === null || !chart.maxValue) return;
+                    const h = Math.max(1, Math.abs(value) / chart.maxValue * height);
+                    this.ctx.fillStyle = colors[i];
+                    this.ctx.fillRect(left + 1 + i * (barWidth + 1), y - h, barWidth, h);
+                });
+                this.ctx.strokeStyle = '#2f3542';
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(left, y + 0.5);
+                this.ctx.lineTo(left + width, y + 0.5);
+                this.ctx.stroke();
+                break;
+            }
+            case 'sparkline': {
+                // Trend of the feature's own values, from its minimum to its maximum
+                const points = values.map(({ value }, i) => ({ i, value })).filter(p => p.value !== null);
+                const width = Math.max(24, (values.length - 1) * 10);
+                const height = 16;
+                const min = Math.min(...points.map(p => p.value));
+                const max = Math.max(...points.map(p => p.value));
+                const px = (i) => x - width / 2 + (values.length > 1 ? i / (values.length - 1) * width : width / 2);
+                const py = (value) => y + height / 2 - (max > min ? (value - min) / (max - min) : 0.5) * height;
+                
+                this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+                this.ctx.strokeStyle = '#adb5bd';
+                this.ctx.lineWidth = 1;
+                this.ctx.fillRect(x - width / 2 - 3, y - height / 2 - 3, width + 6, height + 6);
+                this.ctx.strokeRect(x - width / 2 - 3, y - height / 2 - 3, width + 6, height + 6);
+                
+                const color = colors[colors.length - 1];
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = 1.5;
+                this.ctx.beginPath();
+                points.forEach((p, n) => {
+                    if (n === 0) {
+                        this.ctx.moveTo(px(p.i), py(p.value));
+                    } else {
+                        this.ctx.lineTo(px(p.i), py(p.value));
+                    }
+                });
+                this.ctx.stroke();
+                
+                const end = points[points.length - 1];
+                this.ctx.fillStyle = color;
+                this.ctx.beginPath();
+                this.ctx.arc(px(end.i), py(end.value), 2, 0, 2 * Math.PI);
+                this.ctx.fill();
+                break;
+            }
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Abbreviate a number for chart labels, e.g. 35k or 1.2M
+     */
+    formatCompactNumber(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+        if (abs >= 1e3) return `${(value / 1e3).toFixed(0)}k`;
+        return String(Math.round(value));
+    }
+    
+    /**
+     * Draw GeoJSON line string
+     */
+    drawGeoJSONLineString(coordinates, properties, symbol = LayerStyle.emptySymbol()) {
+        if (coordinates.length < 2) return;
+        
+        this.ctx.strokeStyle = symbol.color || symbol.stroke || properties?.color || '#4ecdc4';
+        this.ctx.lineWidth = symbol.strokeWidth || properties?.weight || 2;
+        this.ctx.beginPath();
+        
+        let first = true;
+        for (const [lng, lat] of coordinates) {
+            const pixel = this.geoToPixel(lat, lng);
+            if (!pixel) continue;
+            
+            const screen = this.mapToScreen(pixel.x, pixel.y);
+            
+            if (first) {
+                this.ctx.moveTo(screen.x, screen.y);
+                first = false;
+            } else {
+                this.ctx.lineTo(screen.x, screen.y);
+            }
+        }
+        
+        this.ctx.stroke();
+    }
+    
+    /**
+     * Draw GeoJSON polygon
+     */
+    drawGeoJSONPolygon(coordinates, properties, symbol = LayerStyle.emptySymbol()) {
+        if (coordinates.length === 0) return;
+        
+        const fill = symbol.color || symbol.fill;
+        const fillOpacity = symbol.fillOpacity !== null ? symbol.fillOpacity : 0.3;
+        this.ctx.fillStyle = fill ? LayerStyle.rgba(fill, fillOpacity) : properties?.fillColor || 'rgba(76, 205, 196, 0.3)';
+        this.ctx.strokeStyle = symbol.stroke || properties?.color || '#4ecdc4';
+        this.ctx.lineWidth = symbol.strokeWidth || properties?.weight || 2;
+        
+        // Draw each ring (first is exterior, others are holes)
+        for (let ringIndex = 0; ringIndex < coordinates.length; ringIndex++) {
+            const ring = coordinates[ringIndex];
+            if (ring.length < 3) continue;
+            
+            this.ctx.beginPath();
+            let first = true;
+            
+            for (const [lng, lat] of ring) {
+                const pixel = this.geoToPixel(lat, lng);
+                if (!pixel) continue;
+                
+                const screen = this.mapToScreen(pixel.x, pixel.y);
+                
+                if (first) {
+                    this.ctx.moveTo(screen.x, screen.y);
+                    first = false;
+                } else {
+                    this.ctx.lineTo(screen.x, screen.y);
+                }
+            }
+            
+            this.ctx.closePath();
+            
+            if (ringIndex === 0) {
+                // Exterior ring
+                this.ctx.fill();
+                this.ctx.stroke();
+            } else {
+                // Hole - create clipping region (simplified approach)
+                this.ctx.globalCompositeOperation = 'destination-out';
+                this.ctx.fill();
+                this.ctx.globalCompositeOperation = 'source-over';
+            }
+        }
+    }
+    
+    /**
+     * Draw annotations
+     */
+    drawAnnotations() {
+        if (!this.mapImage) return;
+        
+        this.ctx.save();
+        
+        for (const annotation of this.annotations) {
+            const screen = this.mapToScreen(annotation.pixel.x, annotation.pixel.y);
+            
+            // Draw marker
+            this.ctx.fillStyle = '#ff4757';
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 2;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(screen.x, screen.y, 8, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            // Queue label, ahead of all feature labels
+            this.addLabelObstacle(screen, 9);
+            if (this.labelEngine) {
+                this.labelEngine.addPointLabel(annotation.label, screen.x, screen.y, { radius: 9, priority: 100, font: 'bold 12px Arial', fontSize: 12 });
+            }
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw reference points
+     */
+    drawReferencePoints() {
+        if (!this.mapImage) return;
+        
+        this.ctx.save();
+        
+        // Draw error vectors underneath the markers
+        if (this.showResidualVectors) {
+            this.drawResidualVectors();
+        }
+        
+        for (let i = 0; i < this.referencePoints.length; i++) {
+            const point = this.referencePoints[i];
+            const screen = this.mapToScreen(point.pixel.x, point.pixel.y);
+            
+            // Highlight the point being edited or dragged
+            if (i === this.editingReferenceIndex || i === this.draggedReferenceIndex) {
+                this.ctx.strokeStyle = '#ffa502';
+                this.ctx.lineWidth = 3;
+                this.ctx.beginPath();
+                this.ctx.arc(screen.x, screen.y, 14, 0, 2 * Math.PI);
+                this.ctx.stroke();
+            }
+            
+            // Draw marker (disabled points are greyed out, outliers stand out)
+            this.ctx.fillStyle = point.enabled === false ? '#a4b0be' : this.isOutlier(i) ? '#e84393' : '#5352ed';
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 2;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(screen.x, screen.y, 10, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            // Draw number
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = 'bold 12px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText((i + 1).toString(), screen.x, screen.y + 4);
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw exaggerated error vectors from each reference point towards
+     * the position the transform assigns to its coordinates
+     */
+    drawResidualVectors() {
+        this.ctx.strokeStyle = '#e84118';
+        this.ctx.fillStyle = '#e84118';
+        this.ctx.lineWidth = 2;
+        
+        for (const residual of this.residuals) {
+            if (!isFinite(residual.pixels) || residual.pixels < 1e-6) continue;
+            
+            const point = this.referencePoints[residual.index];
+            const start = this.mapToScreen(point.pixel.x, point.pixel.y);
+            const end = this.mapToScreen(
+                point.pixel.x + residual.dx * this.residualVectorScale,
+                point.pixel.y + residual.dy * this.residualVectorScale
+            );
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.stroke();
+            
+            // Arrow head
+            const angle = Math.atan2(end.y - start.y, end.x - start.x);
+            this.ctx.beginPath();
+            this.ctx.moveTo(end.x, end.y);
+            this.ctx.lineTo(end.x - 8 * Math.cos(angle - Math.PI / 6), end.y - 8 * Math.sin(angle - Math.PI / 6));
+            this.ctx.lineTo(end.x - 8 * Math.cos(angle + Math.PI / 6), end.y - 8 * Math.sin(angle + Math.PI / 6));
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
+    }
+    
+    /**
+     * Draw the path being measured with a live segment to the mouse, each segment's
+     * length at its middle and the running total at the end of each segment
+     */
+    drawMeasurementPoints() {
+        if (!this.mapImage || this.measurementPoints.length === 0) return;
+        
+        const path = this.measurePointer ? [...this.measurementPoints, this.measurePointer] : this.measurementPoints;
+        const screen = path.map(point => this.mapToScreen(point.x, point.y));
+        const vertices = screen.slice(0, this.measurementPoints.length);
+        const { segments, unit } = this.measurePath(path);
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ffa502';
+        this.ctx.lineWidth = 2;
+        
+        // Draw the path, dashed towards the mouse
+        this.ctx.beginPath();
+        vertices.forEach((point, i) => {
+            if (i === 0) this.ctx.moveTo(point.x, point.y);
+            else this.ctx.lineTo(point.x, point.y);
+        });
+        this.ctx.stroke();
+        
+        if (this.measurePointer) {
+            const last = vertices[vertices.length - 1];
+            const pointer = screen[screen.length - 1];
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(last.x, last.y);
+            this.ctx.lineTo(pointer.x, pointer.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+        
+        // Draw markers
+        this.ctx.fillStyle = '#ffa502';
+        this.ctx.strokeStyle = '#ffffff';
+        vertices.forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        
+        // Segment lengths along the path, running totals in bold beside each vertex
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineJoin = 'round';
+        this.ctx.lineWidth = 3;
+        const drawLength = (text, x, y, bold) => {
+            this.ctx.font = bold ? 'bold 12px Arial' : '11px Arial';
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            this.ctx.fillStyle = bold ? '#2f3542' : '#c56a00';
+            this.ctx.strokeText(text, x, y);
+            this.ctx.fillText(text, x, y);
+        };
+        
+        let total = 0;
+        segments.forEach((length, i) => {
+            const start = screen[i];
+            const end = screen[i + 1];
+            total += length;
+            
+            drawLength(this.formatPathLength(length, unit), (start.x + end.x) / 2, (start.y + end.y) / 2, false);
+            drawLength(this.formatPathLength(total, unit), end.x, end.y - 18, true);
+        });
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Show modal
+     */
+    showModal(modalId) {
+        document.getElementById(modalId).classList.add('show');
+    }
+    
+    /**
+     * Hide modal
+     */
+    hideModal(modalId) {
+        document.getElementById(modalId).classList.remove('show');
+    }
+    
+    /**
+     * Clear modal inputs
+     */
+    clearModalInputs(modalId) {
+        const modal = document.getElementById(modalId);
+        const inputs = modal.querySelectorAll('input, textarea');
+        inputs.forEach(input => input.value = '');
+    }
+    
+    /**
+     * Update status message
+     */
+    updateStatus(message) {
+        document.getElementById('status-text').textContent = message;
+    }
+    
+    /**
+     * Update calibration status
+     */
+    updateCalibrationStatus() {
+        const status = document.getElementById('calibration-status');
+        const { minPoints } = CoordinateTransform.TYPES[this.transformType];
+        
+        const enabledCount = this.getEnabledReferencePoints().length;
+        const pointCount = enabledCount === this.referencePoints.length ?
+            `${enabledCount}` : `${enabledCount} of ${this.referencePoints.length}`;
+        
+        if (this.isCalibrated) {
+            status.textContent = `Calibrated (${pointCount} points)`;
+            status.classList.add('calibrated');
+        } else if (this.referencePoints.length > 0) {
+            status.textContent = `Not Calibrated (${enabledCount}/${minPoints} points)`;
+            status.classList.remove('calibrated');
+        } else {
+            status.textContent = 'Not Calibrated';
+            status.classList.remove('calibrated');
+        }
+        
+        this.updateCalibrationPanel();
+        this.updateBaseMapPanel();
+    }
+    
+    /**
+     * Update the calibration panel with per-point residuals and RMSE
+     */
+    updateCalibrationPanel() {
+        const summary = document.getElementById('calibration-summary');
+        const tbody = document.getElementById('residuals-body');
+        tbody.innerHTML = '';
+        
+        const rmse = this.isCalibrated ? this.getCalibrationRMSE() : null;
+        const exactFit = rmse !== null && rmse.pixels < 1e-6;
+        
+        if (this.referencePoints.length === 0) {
+            summary.textContent = 'No reference points';
+        } else if (!this.isCalibrated) {
+            summary.textContent = 'Not enough reference points for the selected transform';
+        } else if (!rmse) {
+            summary.textContent = 'Residuals unavailable';
+        } else if (exactFit) {
+            summary.textContent = 'Exact fit - add more reference points to assess accuracy';
+        } else {
+            summary.innerHTML = `<strong>RMSE:</strong> ${rmse.pixels.toFixed(2)} px / ${this.formatDistance(rmse.meters)}`;
+        }
+        
+        const rotation = this.getMapRotation();
+        if (rotation !== null && isFinite(rotation)) {
+            const direction = rotation > 0 ? ' clockwise' : rotation < 0 ? ' anticlockwise' : '';
+            const rotationLine = document.createElement('div');
+            rotationLine.innerHTML = `<strong>Rotation:</strong> ${Math.abs(rotation).toFixed(1)}°${direction}`;
+            rotationLine.title = 'Direction of north in the image, relative to straight up';
+            summary.appendChild(rotationLine);
+        }
+        
+        const outlierRow = document.getElementById('outlier-row');
+        const outlierCount = this.outlierIndices.length;
+        outlierRow.style.display = outlierCount > 0 ? '' : 'none';
+        document.getElementById('outlier-summary').textContent = outlierCount > 0 ?
+            `Outlier${outlierCount === 1 ? '' : 's'} ignored: ${this.outlierIndices.map(i => i + 1).join(', ')}` : '';
+        
+        const worst = Math.max(0, ...this.residuals
+            .filter(r => this.referencePoints[r.index].enabled !== false && !this.isOutlier(r.index))
+            .map(r => isFinite(r.pixels) ? r.pixels : 0));
+        
+        this.referencePoints.forEach((point, index) => {
+            const residual = this.residuals[index];
+            const row = document.createElement('tr');
+            
+            if (rmse && !exactFit && residual && residual.pixels === worst && point.enabled !== false && !this.isOutlier(index)) {
+                row.classList.add('worst');
+            }
+            
+            if (point.enabled === false) {
+                row.classList.add('disabled');
+            } else if (this.isOutlier(index)) {
+                row.classList.add('outlier');
+            }
+            
+            row.title = this.isOutlier(index) ?
+                'Outlier left out of the robust fit - click to edit' : 'Click to edit this reference point';
+            row.addEventListener('click', () => this.editReferencePoint(index));
+            row.innerHTML = `<td><input type="checkbox" title="Use this point in the fit"${point.enabled !== false ? ' checked' : ''}></td>` +
+                `<td>${index + 1}</td>` +
+                `<td>${residual && isFinite(residual.pixels) ? residual.pixels.toFixed(2) : '-'}</td>` +
+                `<td>${residual && isFinite(residual.meters) ? this.formatDistance(residual.meters) : '-'}</td>`;
+            
+            const checkbox = row.querySelector('input');
+            checkbox.addEventListener('click', (e) => e.stopPropagation());
+            checkbox.addEventListener('change', (e) => this.setReferencePointEnabled(index, e.target.checked));
+            
+            tbody.appendChild(row);
+        });
+    }
+    
+    /**
+     * Add an empty base map, make it active and ask for its image.
+     * It starts with the active map's CRS and transform type.
+     */
+    addBaseMap() {
+        const map = new BaseMap({ crs: this.mapCRSDefinition, transformType: this.transformType });
+        this.baseMaps.push(map);
+        this.setActiveMap(map);
+        document.getElementById('map-upload').click();
+    }
+    
+    /**
+     * Make a base map the active one. When both maps are calibrated the view stays on
+     * the same place at the same ground scale; choosing the compared map swaps the two.
+     */
+    setActiveMap(map) {
+        if (map === this.activeMap) return;
+        
+        const view = this.getGeoView();
+        
+        this.activeMap.captureFrom(this);
+        if (this.compareMap === map) {
+            this.compareMap = this.activeMap;
+        }
+        this.activeMap = map;
+        map.applyTo(this);
+        
+        this.measurementPoints = [];
+        this.selectedFeature = null;
+        this.spiderfied = null;
+        
+        this.resetViewport();
+        if (view) this.showGeoView(view);
+        
+        this.saveData();
+        this.updateUI();
+        this.render();
+        this.updateStatus(`Showing ${map.name}`);
+    }
+    
+    /**
+     * Centre of the view and metres per screen pixel, or null when not calibrated
+     */
+    getGeoView() {
+        if (!this.mapImage || !this.isCalibrated) return null;
+        
+        const centre = this.screenToMap(this.displayWidth / 2, this.displayHeight / 2);
+        const geo = this.pixelToGeo(centre.x, centre.y);
+        const metersPerPixel = this.getMetersPerScreenPixel();
+        return geo && metersPerPixel ? { lat: geo.lat, lng: geo.lng, metersPerPixel } : null;
+    }
+    
+    /**
+     * Move the viewport to a view from getGeoView, if the active map covers it
+     */
+    showGeoView(view) {
+        if (!this.mapImage || !this.isCalibrated) return;
+        
+        const pixel = this.geoToPixel(view.lat, view.lng);
+        if (!pixel || !isFinite(pixel.x) || !isFinite(pixel.y)) return;
+        
+        // Ground distance per screen pixel is inversely proportional to the scale
+        this.viewport.scale = 1;
+        this.viewport.x = this.displayWidth / 2 - pixel.x;
+        this.viewport.y = this.displayHeight / 2 - pixel.y;
+        const metersPerPixel = this.getMetersPerScreenPixel();
+        if (!metersPerPixel) return;
+        
+        const scale = Math.max(this.viewport.minScale, Math.min(this.viewport.maxScale, metersPerPixel / view.metersPerPixel));
+        this.viewport.scale = scale;
+        this.viewport.x = this.displayWidth / 2 - pixel.x * scale;
+        this.viewport.y = this.displayHeight / 2 - pixel.y * scale;
+    }
+    
+    /**
+     * Remove a base map with its reference points, annotations and measurements
+     */
+    removeBaseMap(map) {
+        if (this.baseMaps.length === 1) {
+            alert('The only map cannot be removed. Use Clear All Data to start over.');
+            return;
+        }
+        if (!confirm(`Remove the map "${map.name}" with its reference points, annotations and measurements?`)) return;
+        
+        if (map === this.activeMap) {
+            this.setActiveMap(this.baseMaps.find(other => other !== map));
+        }
+        if (this.compareMap === map) {
+            this.compareMap = null;
+        }
+        
+        map.dispose();
+        this.baseMaps = this.baseMaps.filter(other => other !== map);
+        
+        this.saveData();
+        this.updateBaseMapPanel();
+        this.render();
+        this.updateStatus(`Map "${map.name}" removed`);
+    }
+    
+    /**
+     * Rename a base map through a prompt
+     */
+    renameBaseMap(map) {
+        const name = prompt('Map name:', map.name);
+        if (name === null || !name.trim()) return;
+        
+        map.title = name.trim();
+        this.saveData();
+        this.updateBaseMapPanel();
+        this.render();
+    }
+    
+    /**
+     * Compare the active map with another base map, or stop comparing with null
+     */
+    setCompareMap(map) {
+        this.compareMap = map;
+        this.comparePointer = null;
+        this.updateBaseMapPanel();
+        this.render();
+        
+        if (map && !this.getComparison()) {
+            this.updateStatus('Both maps need a loaded image and a calibration to be compared');
+        }
+    }
+    
+    /**
+     * Switch between the swipe, spyglass, split and overlay comparison modes
+     */
+    setCompareMode(mode) {
+        this.compareMode = mode;
+        this.comparePointer = null;
+        document.getElementById('overlay-controls').style.display = mode === 'overlay' ? '' : 'none';
+        this.render();
+    }
+    
+    /**
+     * Update the base map panel: the active map, the map list and the comparison choices
+     */
+    updateBaseMapPanel() {
+        const list = document.getElementById('basemap-list');
+        if (!list || !this.activeMap) return;
+        list.innerHTML = '';
+        
+        // Status of a map as the viewer sees it; the active map's fields live in the viewer
+        const describe = (map) => {
+            const state = map === this.activeMap ? this : map;
+            if (!state.mapImage) return 'Image not loaded';
+            if (!state.isCalibrated) return 'Not calibrated';
+            return 'Calibrated';
+        };
+        
+        this.baseMaps.forEach(map => {
+            const item = document.createElement('li');
+            item.className = 'layer-item basemap-item' + (map === this.activeMap ? ' active' : '');
+            item.innerHTML = `
+                <div class="layer-row">
+                    <input type="radio" name="active-basemap" class="basemap-active" title="Show this map"${map === this.activeMap ? ' checked' : ''}>
+                    <span class="layer-name" title="Click to rename"></span>
+                    <button class="btn danger small basemap-remove" title="Remove map">✕</button>
+                </div>
+                <div class="basemap-status">${describe(map)}</div>`;
+            
+            // Names come from files and prompts, so set them as text
+            item.querySelector('.layer-name').textContent = map.name;
+            
+            item.querySelector('.basemap-active').addEventListener('change', () => this.setActiveMap(map));
+            item.querySelector('.layer-name').addEventListener('click', () => this.renameBaseMap(map));
+            item.querySelector('.basemap-remove').addEventListener('click', () => this.removeBaseMap(map));
+            
+            list.appendChild(item);
+        });
+        
+        document.getElementById('basemaps-summary').textContent = this.baseMaps.length === 1 ?
+            'Add another edition of the map to compare the two' :
+            `${this.baseMaps.length} maps, each with its own calibration`;
+        
+        // Comparison choices: every other map, usable once calibrated with its image loaded
+        const select = document.getElementById('compare-map');
+        select.innerHTML = '<option value="">None</option>';
+        this.baseMaps.forEach((map, index) => {
+            if (map === this.activeMap) return;
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = describe(map) === 'Calibrated' ? map.name : `${map.name} (${describe(map).toLowerCase()})`;
+            option.disabled = describe(map) !== 'Calibrated';
+            select.appendChild(option);
+        });
+        select.value = this.compareMap && this.compareMap !== this.activeMap ? String(this.baseMaps.indexOf(this.compareMap)) : '';
+        document.getElementById('compare-mode').value = this.compareMode;
+    }
+    
+    /**
+     * Add a layer on top of the others
+     */
+    addLayer(layer) {
+        // Census-style data with year-suffixed fields gets a chart of the series
+        const series = layer.style.isDefault ? LayerStyle.detectSeries(layer.features) : null;
+        if (series) {
+            const named = layer.features.some(feature => feature.properties && feature.properties.name);
+            layer.style = new LayerStyle({ chart: { type: 'nested', fields: series }, label: named ? 'name' : null });
+            layer.style.classify(layer.features);
+        }
+        
+        this.layers.push(layer);
+        this.saveLayers();
+        this.updateLayerPanel();
+        this.render();
+        return layer;
+    }
+    
+    /**
+     * Remove a layer after confirmation
+     */
+    removeLayer(layer) {
+        if (!confirm(`Remove the layer "${layer.name}"?`)) return;
+        
+        this.layers = this.layers.filter(l => l !== layer);
+        if (this.selectedFeature && layer.features.includes(this.selectedFeature)) {
+            this.selectedFeature = null;
+        }
+        if (this.spiderfied && this.spiderfied.layer === layer) {
+            this.spiderfied = null;
+        }
+        
+        this.saveLayers();
+        this.updateLayerPanel();
+        this.render();
+        this.updateStatus(`Layer "${layer.name}" removed`);
+    }
+    
+    /**
+     * Move a layer up (towards the top) or down the draw order
+     */
+    moveLayer(layer, direction) {
+        const index = this.layers.indexOf(layer);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.layers.length) return;
+        
+        this.layers.splice(index, 1);
+        this.layers.splice(target, 0, layer);
+        
+        this.saveLayers();
+        this.updateLayerPanel();
+        this.render();
+    }
+    
+    /**
+     * Rename a layer through a prompt
+     */
+    renameLayer(layer) {
+        const name = prompt('Layer name:', layer.name);
+        if (name === null || !name.trim()) return;
+        
+        layer.name = name.trim();
+        this.saveLayers();
+        this.updateLayerPanel();
+    }
+    
+    /**
+     * Update the layer panel; the top layer is listed first
+     */
+    updateLayerPanel() {
+        const list = document.getElementById('layer-list');
+        list.innerHTML = '';
+        
+        document.getElementById('layers-summary').textContent = this.layers.length === 0 ?
+            'No layers - load GeoJSON or import historical data' :
+            `${this.layers.length} layer${this.layers.length === 1 ? '' : 's'}`;
+        
+        [...this.layers].reverse().forEach((layer, position) => {
+            const item = document.createElement('li');
+            item.className = 'layer-item' + (layer.visible ? '' : ' hidden');
+            item.innerHTML = `
+                <div class="layer-row">
+                    <input type="checkbox" class="layer-visible" title="Show this layer"${layer.visible ? ' checked' : ''}>
+                    <span class="layer-name" title="Click to rename"></span>
+                    <span class="layer-count">${layer.features.length}</span>
+                </div>
+                <div class="layer-row">
+                    <input type="range" class="layer-opacity" min="0" max="100" step="5" value="${Math.round(layer.opacity * 100)}" title="Opacity">
+                    <button class="btn secondary small layer-up" title="Move up"${position === 0 ? ' disabled' : ''}>▲</button>
+                    <button class="btn secondary small layer-down" title="Move down"${position === this.layers.length - 1 ? ' disabled' : ''}>▼</button>
+                    <button class="btn secondary small layer-style" title="Style">Style</button>
+                    <button class="btn secondary small layer-time${layer.time ? ' active' : ''}" title="Time dimension">Time</button>
+                    <button class="btn danger small layer-remove" title="Remove layer">✕</button>
+                </div>`;
+            
+            // Names come from files and imports, so set them as text
+            item.querySelector('.layer-name').textContent = layer.name;
+            
+            item.querySelector('.layer-visible').addEventListener('change', (e) => {
+                layer.visible = e.target.checked;
+                item.classList.toggle('hidden', !layer.visible);
+                this.saveLayers();
+                this.updateTimePanel();
+                this.render();
+            });
+            item.querySelector('.layer-opacity').addEventListener('input', (e) => {
+                layer.opacity = parseInt(e.target.value, 10) / 100;
+                this.render();
+            });
+            item.querySelector('.layer-opacity').addEventListener('change', () => this.saveLayers());
+            item.querySelector('.layer-name').addEventListener('click', () => this.renameLayer(layer));
+            item.querySelector('.layer-up').addEventListener('click', () => this.moveLayer(layer, 1));
+            item.querySelector('.layer-down').addEventListener('click', () => this.moveLayer(layer, -1));
+            item.querySelector('.layer-style').addEventListener('click', () => this.showStyleModal(layer));
+            item.querySelector('.layer-time').addEventListener('click', () => this.showTimeModal(layer));
+            item.querySelector('.layer-remove').addEventListener('click', () => this.removeLayer(layer));
+            
+            const legend = this.createLegendList(layer);
+            if (legend) item.appendChild(legend);
+            
+            list.appendChild(item);
+        });
+        
+        this.updateTimePanel();
+    }
+    
+    /**
+     * Legend for a styled layer as a list of swatches, or null if there is nothing to show
+     */
+    createLegendList(layer) {
+        const entries = layer.style.legendEntries();
+        if (entries.length === 0) return null;
+        
+        const list = document.createElement('ul');
+        list.className = 'layer-legend';
+        
+        entries.forEach(entry => {
+            const row = document.createElement('li');
+            const swatch = document.createElement('canvas');
+            swatch.width = 16;
+            swatch.height = 16;
+            this.drawLegendSwatch(swatch.getContext('2d'), 0, 0, 16, entry.symbol, layer.geometryType);
+            
+            const label = document.createElement('span');
+            label.textContent = entry.label;
+            
+            row.append(swatch, label);
+            list.appendChild(row);
+        });
+        
+        return list;
+    }
+    
+    /**
+     * Draw a legend swatch for a symbol in a size x size box
+     */
+    drawLegendSwatch(ctx, x, y, size, symbol, geometryType) {
+        const color = symbol.color || symbol.fill;
+        ctx.save();
+        
+        if (geometryType === 'line') {
+            ctx.strokeStyle = color || symbol.stroke || '#4ecdc4';
+            ctx.lineWidth = Math.min(size / 3, symbol.strokeWidth || 2);
+            ctx.beginPath();
+            ctx.moveTo(x + 1, y + size * 0.7);
+            ctx.lineTo(x + size * 0.4, y + size * 0.3);
+            ctx.lineTo(x + size - 1, y + size * 0.6);
+            ctx.stroke();
+        } else if (geometryType === 'polygon') {
+            const fillOpacity = symbol.fillOpacity !== null ? symbol.fillOpacity : 0.3;
+            ctx.fillStyle = LayerStyle.rgba(color || '#4ecdc4', Math.max(fillOpacity, 0.15));
+            ctx.strokeStyle = symbol.stroke || '#4ecdc4';
+            ctx.lineWidth = 1.5;
+            ctx.fillRect(x + 1, y + 2, size - 2, size - 4);
+            ctx.strokeRect(x + 1, y + 2, size - 2, size - 4);
+        } else {
+            ctx.fillStyle = color || '#ff6b6b';
+            this.drawSymbolShape(ctx, x + size / 2, y + size / 2, symbol.shape, Math.min(size / 2 - 1, symbol.radius || 5));
+            ctx.fill();
+            if (symbol.stroke) {
+                ctx.strokeStyle = symbol.stroke;
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Open the style dialog for a layer, editing a copy of its style
+     */
+    showStyleModal(layer) {
+        this.styleLayer = layer;
+        this.styleDraft = new LayerStyle(JSON.parse(JSON.stringify(layer.style)));
+        
+        document.getElementById('style-modal-title').textContent = `Style: ${layer.name}`;
+        
+        // Field choices
+        const fields = LayerStyle.fieldsOf(layer.features);
+        const fillSelect = (id, list, emptyLabel) => {
+            const select = document.getElementById(id);
+            select.innerHTML = emptyLabel ? `<option value="">${emptyLabel}</option>` : '';
+            list.forEach(field => {
+                const option = document.createElement('option');
+                option.value = field.name;
+                option.textContent = field.name;
+                select.appendChild(option);
+            });
+        };
+        fillSelect('style-label', fields, 'None');
+        fillSelect('style-category-field', fields);
+        fillSelect('style-graduated-field', fields.filter(field => field.numeric));
+        fillSelect('style-cluster-field', fields.filter(field => field.numeric), 'None (count points)');
+        fillSelect('style-heatmap-field', fields.filter(field => field.numeric), 'None (point density)');
+        
+        ['style-ramp', 'style-heatmap-ramp'].forEach(id => {
+            document.getElementById(id).innerHTML = Object.keys(LayerStyle.RAMPS).map(name => `<option value="${name}">${name}</option>`).join('');
+        });
+        
+        this.updateStyleModal();
+        this.showModal('style-modal');
     }
     
     /**
-     * Draw GeoJSON features
+     * Fill the style dialog from the draft style
      */
-    drawGeoJSON() {
-        if (!this.geoJsonData || !this.isCalibrated) return;
-        
-        const features = this.geoJsonData.features || [this.geoJsonData];
+    updateStyleModal() {
+        const draft = this.styleDraft;
+        const geometryType = this.styleLayer.geometryType;
+        const symbol = draft.symbol;
+        
+        // Inputs show the effective defaults; unchanged ones are left unset (see readStyleInputs)
+        const defaults = {
+            fill: geometryType === 'point' ? '#ff6b6b' : '#4ecdc4',
+            stroke: geometryType === 'point' ? '#ffffff' : '#4ecdc4',
+            strokeWidth: geometryType === 'point' ? 0 : 2,
+            radius: 5,
+            shape: 'circle',
+            fillOpacity: 30
+        };
+        const setInput = (id, value, fallback) => {
+            const input = document.getElementById(id);
+            input.value = value !== null ? value : fallback;
+            input.dataset.initial = input.value;
+            input.dataset.unset = value === null ? 'true' : '';
+        };
+        setInput('style-fill', symbol.fill, defaults.fill);
+        setInput('style-stroke', symbol.stroke, defaults.stroke);
+        setInput('style-stroke-width', symbol.strokeWidth, defaults.strokeWidth);
+        setInput('style-radius', symbol.radius, defaults.radius);
+        setInput('style-shape', symbol.shape, defaults.shape);
+        setInput('style-fill-opacity', symbol.fillOpacity !== null ? Math.round(symbol.fillOpacity * 100) : null, defaults.fillOpacity);
+        
+        const chartFieldset = document.getElementById('style-chart');
+        chartFieldset.style.display = geometryType === 'point' ? '' : 'none';
+        document.getElementById('style-chart-type').value = draft.chart ? draft.chart.type : '';
+        document.getElementById('style-chart-size').value = draft.chart ? draft.chart.maxSize : 25;
+        
+        document.getElementById('style-cluster').style.display = geometryType === 'point' ? '' : 'none';
+        document.getElementById('style-cluster-toggle').checked = draft.cluster !== null;
+        document.getElementById('style-cluster-radius').value = draft.cluster ? draft.cluster.radius : 40;
+        document.getElementById('style-cluster-field').value = draft.cluster && draft.cluster.field ? draft.cluster.field : '';
+        
+        // Charted fields first, in chart order, then the other numeric fields
+        const charted = draft.chart ? draft.chart.fields : [];
+        const numeric = LayerStyle.fieldsOf(this.styleLayer.features).filter(field => field.numeric).map(field => field.name);
+        const chartFields = document.getElementById('style-chart-fields');
+        chartFields.innerHTML = '';
+        [...charted, ...numeric.filter(name => !charted.includes(name))].forEach(name => {
+            const row = document.createElement('li');
+            row.innerHTML = '<label class="checkbox-label"><input type="checkbox"><span></span></label>';
+            row.querySelector('input').value = name;
+            row.querySelector('input').checked = charted.includes(name);
+            row.querySelector('span').textContent = name;
+            chartFields.appendChild(row);
+        });
         
-        this.ctx.save();
+        document.getElementById('style-mode').value = draft.mode;
+        document.getElementById('style-label').value = draft.label || '';
         
-        for (const feature of features) {
-            this.drawGeoJSONFeature(feature);
+        const categoryField = document.getElementById('style-category-field');
+        const graduatedField = document.getElementById('style-graduated-field');
+        if (draft.field) {
+            categoryField.value = draft.field;
+            graduatedField.value = draft.field;
         }
-        
-        this.ctx.restore();
+        document.getElementById('style-method').value = draft.method;
+        document.getElementById('style-classes').value = draft.classes;
+        document.getElementById('style-ramp').value = draft.ramp;
+        document.getElementById('style-size-toggle').checked = draft.sizeRange !== null;
+        document.getElementById('style-size-min').value = draft.sizeRange ? draft.sizeRange[0] : 4;
+        document.getElementById('style-size-max').value = draft.sizeRange ? draft.sizeRange[1] : 16;
+        
+        document.getElementById('style-categorized').style.display = draft.mode === 'categorized' ? '' : 'none';
+        document.getElementById('style-graduated').style.display = draft.mode === 'graduated' ? '' : 'none';
+        document.getElementById('style-rules').style.display = draft.mode === 'rules' ? '' : 'none';
+        document.getElementById('style-heatmap').style.display = draft.mode === 'heatmap' ? '' : 'none';
+        
+        document.getElementById('style-heatmap-field').value = draft.field || '';
+        document.getElementById('style-heatmap-radius').value = draft.heatmap.radius;
+        document.getElementById('style-heatmap-ramp').value = draft.ramp;
+        document.getElementById('style-heatmap-opacity').value = Math.round(draft.heatmap.opacity * 100);
+        
+        this.updateStyleClassLists();
     }
     
     /**
-     * Draw individual GeoJSON feature
+     * Rebuild the category, class and rule lists in the style dialog
      */
-    drawGeoJSONFeature(feature) {
-        const geometry = feature.geometry;
-        if (!geometry) return;
+    updateStyleClassLists() {
+        const draft = this.styleDraft;
+        
+        const categoryList = document.getElementById('style-category-list');
+        categoryList.innerHTML = '';
+        draft.categories.forEach(category => {
+            const row = document.createElement('li');
+            row.innerHTML = '<input type="color"><input type="text" title="Legend label">';
+            const [color, label] = row.querySelectorAll('input');
+            color.value = category.color;
+            color.addEventListener('input', () => { category.color = color.value; });
+            label.value = category.label;
+            label.addEventListener('input', () => { category.label = label.value; });
+            categoryList.appendChild(row);
+        });
         
-        switch (geometry.type) {
-            case 'Point':
-                this.drawGeoJSONPoint(geometry.coordinates, feature.properties);
-                break;
-            case 'LineString':
-                this.drawGeoJSONLineString(geometry.coordinates, feature.properties);
-                break;
-            case 'Polygon':
-                this.drawGeoJSONPolygon(geometry.coordinates, feature.properties);
-                break;
-            case 'MultiPoint':
-                geometry.coordinates.forEach(coords => 
-                    this.drawGeoJSONPoint(coords, feature.properties));
-                break;
-            case 'MultiLineString':
-                geometry.coordinates.forEach(coords => 
-                    this.drawGeoJSONLineString(coords, feature.properties));
-                break;
-            case 'MultiPolygon':
-                geometry.coordinates.forEach(coords => 
-                    this.drawGeoJSONPolygon(coords, feature.properties));
-                break;
-        }
+        const classList = document.getElementById('style-class-list');
+        classList.innerHTML = '';
+        draft.legendEntries().forEach(entry => {
+            if (draft.mode !== 'graduated') return;
+            const row = document.createElement('li');
+            const swatch = document.createElement('canvas');
+            swatch.width = 16;
+            swatch.height = 16;
+            this.drawLegendSwatch(swatch.getContext('2d'), 0, 0, 16, entry.symbol, this.styleLayer.geometryType);
+            const range = document.createElement('span');
+            range.className = 'class-range';
+            range.textContent = entry.label;
+            row.append(swatch, range);
+            classList.appendChild(row);
+        });
+        
+        const ruleList = document.getElementById('style-rule-list');
+        ruleList.innerHTML = '';
+        draft.rules.forEach((rule, index) => {
+            const row = document.createElement('li');
+            row.innerHTML = '<input type="text" class="rule-expression" placeholder="Expression (empty = else)">' +
+                '<input type="color" title="Colour">' +
+                '<input type="text" class="rule-label" placeholder="Legend label">' +
+                '<button class="btn danger small" title="Remove rule">✕</button>';
+            const [expression, color, label] = row.querySelectorAll('input');
+            expression.value = rule.expression || '';
+            color.value = rule.color || '#ff6b6b';
+            label.value = rule.label || '';
+            
+            expression.addEventListener('input', () => {
+                rule.expression = expression.value;
+                expression.classList.remove('invalid');
+                expression.title = '';
+            });
+            color.addEventListener('input', () => { rule.color = color.value; });
+            label.addEventListener('input', () => { rule.label = label.value; });
+            row.querySelector('button').addEventListener('click', () => {
+                draft.rules.splice(index, 1);
+                this.updateStyleClassLists();
+            });
+            
+            ruleList.appendChild(row);
+        });
     }
     
     /**
-     * Draw GeoJSON point
+     * Copy the dialog's inputs into the draft style
      */
-    drawGeoJSONPoint(coordinates, properties) {
-        const [lng, lat] = coordinates;
-        const pixel = this.geoToPixel(lat, lng);
-        if (!pixel) return;
+    readStyleInputs() {
+        const draft = this.styleDraft;
+        
+        // Base symbol values stay unset (following feature properties) unless edited
+        const readSymbol = (id, key, parse = value => value) => {
+            const input = document.getElementById(id);
+            if (input.dataset.unset && input.value === input.dataset.initial) {
+                draft.symbol[key] = null;
+            } else {
+                draft.symbol[key] = parse(input.value);
+            }
+        };
+        readSymbol('style-fill', 'fill');
+        readSymbol('style-stroke', 'stroke');
+        readSymbol('style-stroke-width', 'strokeWidth', value => parseFloat(value) || null);
+        readSymbol('style-radius', 'radius', value => parseFloat(value) || null);
+        readSymbol('style-shape', 'shape');
+        readSymbol('style-fill-opacity', 'fillOpacity', value => parseInt(value, 10) / 100);
+        
+        draft.mode = document.getElementById('style-mode').value;
+        draft.label = document.getElementById('style-label').value || null;
+        
+        if (draft.mode === 'categorized') {
+            draft.field = document.getElementById('style-category-field').value || null;
+        } else if (draft.mode === 'graduated') {
+            draft.field = document.getElementById('style-graduated-field').value || null;
+        }
         
-        const screen = this.mapToScreen(pixel.x, pixel.y);
+        draft.method = document.getElementById('style-method').value;
+        draft.classes = Math.max(2, Math.min(9, parseInt(document.getElementById('style-classes').value, 10) || 5));
+        draft.ramp = document.getElementById('style-ramp').value;
         
-        // Special styling for historical population data
-        if (properties?.category === 'jewish-population') {
-            this.drawPopulationMarker(screen, properties);
-        } else {
-            // Standard point
-            this.ctx.fillStyle = properties?.color || '#ff6b6b';
-            this.ctx.beginPath();
-            this.ctx.arc(screen.x, screen.y, 5, 0, 2 * Math.PI);
-            this.ctx.fill();
+        if (draft.mode === 'heatmap') {
+            draft.field = document.getElementById('style-heatmap-field').value || null;
+            draft.ramp = document.getElementById('style-heatmap-ramp').value;
         }
+        draft.heatmap = {
+            radius: Math.max(2, Math.min(2000, parseFloat(document.getElementById('style-heatmap-radius').value) || 30)),
+            opacity: Math.max(0.05, Math.min(1, parseInt(document.getElementById('style-heatmap-opacity').value, 10) / 100 || 0.8))
+        };
+        
+        const min = parseFloat(document.getElementById('style-size-min').value) || 4;
+        const max = parseFloat(document.getElementById('style-size-max').value) || 16;
+        draft.sizeRange = document.getElementById('style-size-toggle').checked ? [Math.min(min, max), Math.max(min, max)] : null;
+        
+        draft.compileRules();
+        
+        const chartType = document.getElementById('style-chart-type').value;
+        const chartFields = [...document.querySelectorAll('#style-chart-fields input:checked')].map(input => input.value);
+        draft.chart = chartType && chartFields.length > 0 && this.styleLayer.geometryType === 'point' ? {
+            type: chartType,
+            fields: chartFields,
+            maxSize: Math.max(5, Math.min(40, parseFloat(document.getElementById('style-chart-size').value) || 25)),
+            maxValue: null,
+            maxTotal: null
+        } : null;
+        
+        draft.cluster = document.getElementById('style-cluster-toggle').checked && this.styleLayer.geometryType === 'point' ? {
+            radius: Math.max(10, Math.min(200, parseFloat(document.getElementById('style-cluster-radius').value) || 40)),
+            field: document.getElementById('style-cluster-field').value || null
+        } : null;
     }
     
     /**
-     * Draw population marker with special styling
+     * Recompute categories or classes after a field or method change
      */
-    drawPopulationMarker(screen, properties) {
-        const { x, y } = screen;
-        const pop1900 = properties.population_1900 || 0;
-        const pop1930 = properties.population_1930 || 0;
-        const maxPop = Math.max(pop1900, pop1930);
-        
-        // Scale marker size based on population
-        const baseSize = 8;
-        const maxSize = 25;
-        const size = Math.min(maxSize, baseSize + (maxPop / 50000) * 10);
-        
-        // Draw outer ring (1930 population)
-        this.ctx.fillStyle = '#8e24aa';
-        this.ctx.strokeStyle = '#ffffff';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, size, 0, 2 * Math.PI);
-        this.ctx.fill();
-        this.ctx.stroke();
+    classifyStyleDraft() {
+        const previousField = this.styleDraft.field;
+        this.readStyleInputs();
         
-        // Draw inner ring (1900 population) if different
-        if (pop1900 > 0 && pop1900 !== pop1930) {
-            const innerSize = Math.max(3, (pop1900 / maxPop) * size * 0.7);
-            this.ctx.fillStyle = '#ab47bc';
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, innerSize, 0, 2 * Math.PI);
-            this.ctx.fill();
+        if (this.styleDraft.mode === 'categorized' && this.styleDraft.field !== previousField) {
+            this.styleDraft.categories = []; // New field: start from fresh colours
         }
         
-        // Draw city name
-        if (properties.name) {
-            this.ctx.fillStyle = '#2f3542';
-            this.ctx.font = 'bold 11px Arial';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText(properties.name, x, y - size - 8);
-            
-            // Draw population numbers if space allows
-            if (size > 12) {
-                this.ctx.font = '9px Arial';
-                this.ctx.fillStyle = '#666';
-                if (pop1900 && pop1930) {
-                    this.ctx.fillText(`${(pop1930/1000).toFixed(0)}k`, x, y + 3);
-                    this.ctx.fillText(`(${(pop1900/1000).toFixed(0)}k)`, x, y + 14);
-                } else if (pop1930) {
-                    this.ctx.fillText(`${(pop1930/1000).toFixed(0)}k`, x, y + 3);
-                }
-            }
-        }
+        this.styleDraft.classify(this.styleLayer.features);
+        this.updateStyleModal();
     }
     
     /**
-     * Draw GeoJSON line string
+     * Apply the edited style to its layer
      */
-    drawGeoJSONLineString(coordinates, properties) {
-        if (coordinates.length < 2) return;
+    confirmStyle() {
+        this.readStyleInputs();
+        const draft = this.styleDraft;
         
-        this.ctx.strokeStyle = properties?.color || '#4ecdc4';
-        this.ctx.lineWidth = properties?.weight || 2;
-        this.ctx.beginPath();
+        if ((draft.mode === 'categorized' || draft.mode === 'graduated') && !draft.field) {
+            alert(`Choose a ${draft.mode === 'graduated' ? 'numeric ' : ''}field to classify by.`);
+            return;
+        }
         
-        let first = true;
-        for (const [lng, lat] of coordinates) {
-            const pixel = this.geoToPixel(lat, lng);
-            if (!pixel) continue;
-            
-            const screen = this.mapToScreen(pixel.x, pixel.y);
-            
-            if (first) {
-                this.ctx.moveTo(screen.x, screen.y);
-                first = false;
-            } else {
-                this.ctx.lineTo(screen.x, screen.y);
-            }
+        // Point out the first invalid rule rather than silently skipping it
+        const invalid = draft.mode === 'rules' ? draft.compiledRules.findIndex(rule => rule.error) : -1;
+        if (invalid !== -1) {
+            const input = document.querySelectorAll('#style-rule-list .rule-expression')[invalid];
+            input.classList.add('invalid');
+            input.title = draft.compiledRules[invalid].error;
+            alert(`Rule ${invalid + 1}: ${draft.compiledRules[invalid].error}`);
+            return;
         }
         
-        this.ctx.stroke();
+        // Refresh classes and chart scaling from the data
+        draft.classify(this.styleLayer.features);
+        
+        this.styleLayer.style = draft;
+        if (this.spiderfied && this.spiderfied.layer === this.styleLayer) {
+            this.spiderfied = null;
+        }
+        this.saveLayers();
+        this.updateLayerPanel();
+        this.render();
+        this.hideModal('style-modal');
+        this.updateStatus(`Style applied to "${this.styleLayer.name}"`);
     }
     
     /**
-     * Draw GeoJSON polygon
+     * Open the time dialog for a layer
      */
-    drawGeoJSONPolygon(coordinates, properties) {
-        if (coordinates.length === 0) return;
+    showTimeModal(layer) {
+        this.timeLayer = layer;
+        const time = layer.time;
+        const fields = LayerStyle.fieldsOf(layer.features);
+        const series = LayerStyle.detectSeries(layer.features) || [];
+        
+        document.getElementById('time-modal-title').textContent = `Time: ${layer.name}`;
+        document.getElementById('time-mode').value = time ? time.mode : '';
+        
+        // Field choices, guessing a date field by name
+        const guess = fields.find(field => /date|year|time|period/i.test(field.name));
+        [['time-field', time && time.field], ['time-start-field', time && time.startField], ['time-end-field', time && time.endField]]
+            .forEach(([id, value]) => {
+                const select = document.getElementById(id);
+                select.innerHTML = id === 'time-field' ? '' : '<option value="">(none)</option>';
+                fields.forEach(field => {
+                    const option = document.createElement('option');
+                    option.value = field.name;
+                    option.textContent = field.name;
+                    select.appendChild(option);
+                });
+                select.value = value || (id === 'time-field' && guess ? guess.name : '');
+            });
         
-        this.ctx.fillStyle = properties?.fillColor || 'rgba(76, 205, 196, 0.3)';
-        this.ctx.strokeStyle = properties?.color || '#4ecdc4';
-        this.ctx.lineWidth = properties?.weight || 2;
+        document.getElementById('time-duration').value = time && time.duration ? time.duration : '';
+        document.getElementById('time-interpolate').checked = time ? time.interpolate : true;
+        
+        // Numeric fields with a year suffix, in year order
+        const selected = time && time.mode === 'series' ? time.fields.map(entry => entry.field) : series;
+        const yearFields = fields
+            .filter(field => field.numeric && /^\d{4}$/.test(LayerStyle.fieldLabel(field.name)))
+            .map(field => field.name)
+            .sort((a, b) => LayerStyle.fieldLabel(a) - LayerStyle.fieldLabel(b));
+        const list = document.getElementById('time-series-fields');
+        list.innerHTML = yearFields.length === 0 ? '<li>No numeric fields end in a year</li>' : '';
+        yearFields.forEach(name => {
+            const row = document.createElement('li');
+            row.innerHTML = '<label class="checkbox-label"><input type="checkbox"><span></span></label>';
+            row.querySelector('input').value = name;
+            row.querySelector('input').checked = selected.includes(name);
+            row.querySelector('span').textContent = name;
+            list.appendChild(row);
+        });
         
-        // Draw each ring (first is exterior, others are holes)
-        for (let ringIndex = 0; ringIndex < coordinates.length; ringIndex++) {
-            const ring = coordinates[ringIndex];
-            if (ring.length < 3) continue;
-            
-            this.ctx.beginPath();
-            let first = true;
-            
-            for (const [lng, lat] of ring) {
-                const pixel = this.geoToPixel(lat, lng);
-                if (!pixel) continue;
-                
-                const screen = this.mapToScreen(pixel.x, pixel.y);
-                
-                if (first) {
-                    this.ctx.moveTo(screen.x, screen.y);
-                    first = false;
-                } else {
-                    this.ctx.lineTo(screen.x, screen.y);
-                }
-            }
-            
-            this.ctx.closePath();
-            
-            if (ringIndex === 0) {
-                // Exterior ring
-                this.ctx.fill();
-                this.ctx.stroke();
-            } else {
-                // Hole - create clipping region (simplified approach)
-                this.ctx.globalCompositeOperation = 'destination-out';
-                this.ctx.fill();
-                this.ctx.globalCompositeOperation = 'source-over';
-            }
-        }
+        this.updateTimeModalMode();
+        this.showModal('time-modal');
     }
     
     /**
-     * Draw annotations
+     * Show the time dialog options for the chosen mode
      */
-    drawAnnotations() {
-        if (!this.mapImage) return;
-        
-        this.ctx.save();
-        
-        for (const annotation of this.annotations) {
-            const screen = this.mapToScreen(annotation.pixel.x, annotation.pixel.y);
-            
-            // Draw marker
-            this.ctx.fillStyle = '#ff4757';
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 2;
+    updateTimeModalMode() {
+        const mode = document.getElementById('time-mode').value;
+        document.getElementById('time-field-options').style.display = mode === 'field' ? '' : 'none';
+        document.getElementById('time-range-options').style.display = mode === 'range' ? '' : 'none';
+        document.getElementById('time-series-options').style.display = mode === 'series' ? '' : 'none';
+    }
+    
+    /**
+     * Apply the time dialog to its layer
+     */
+    confirmLayerTime() {
+        const layer = this.timeLayer;
+        const mode = document.getElementById('time-mode').value;
+        
+        if (mode) {
+            const time = new LayerTime({
+                mode,
+                field: document.getElementById('time-field').value,
+                duration: parseFloat(document.getElementById('time-duration').value),
+                startField: document.getElementById('time-start-field').value,
+                endField: document.getElementById('time-end-field').value,
+                fields: [...document.querySelectorAll('#time-series-fields input:checked')].map(input => input.value),
+                interpolate: document.getElementById('time-interpolate').checked
+            });
             
-            this.ctx.beginPath();
-            this.ctx.arc(screen.x, screen.y, 8, 0, 2 * Math.PI);
-            this.ctx.fill();
-            this.ctx.stroke();
+            if (mode === 'series' && time.fields.length < 2) {
+                alert('Tick at least two fields to step through.');
+                return;
+            }
+            if (!time.extent(layer.features)) {
+                alert('None of the layer\'s features has a date, year or period in the chosen field.');
+                return;
+            }
             
-            // Draw label
-            this.ctx.fillStyle = '#2f3542';
-            this.ctx.font = '12px Arial';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText(annotation.label, screen.x, screen.y - 15);
+            layer.time = time;
+        } else {
+            layer.time = null;
         }
         
-        this.ctx.restore();
+        this.saveLayers();
+        this.updateLayerPanel();
+        this.render();
+        this.hideModal('time-modal');
+        this.updateStatus(layer.time ? `Time set up for "${layer.name}"` : `Time removed from "${layer.name}"`);
     }
     
     /**
-     * Draw reference points
+     * Timeline over the visible time-enabled layers as { min, max, step }, or null.
+     * Whole years unless the layers only span a few.
      */
-    drawReferencePoints() {
-        if (!this.mapImage) return;
+    getTimeExtent() {
+        const extents = this.layers
+            .filter(layer => layer.visible && layer.time)
+            .map(layer => layer.time.extent(layer.features))
+            .filter(extent => extent);
         
-        this.ctx.save();
+        if (extents.length === 0) return null;
         
-        for (let i = 0; i < this.referencePoints.length; i++) {
-            const point = this.referencePoints[i];
-            const screen = this.mapToScreen(point.pixel.x, point.pixel.y);
-            
-            // Draw marker
-            this.ctx.fillStyle = '#5352ed';
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 2;
-            
-            this.ctx.beginPath();
-            this.ctx.arc(screen.x, screen.y, 10, 0, 2 * Math.PI);
-            this.ctx.fill();
-            this.ctx.stroke();
-            
-            // Draw number
-            this.ctx.fillStyle = '#ffffff';
-            this.ctx.font = 'bold 12px Arial';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText((i + 1).toString(), screen.x, screen.y + 4);
+        const extent = {
+            min: Math.min(...extents.map(e => e.min)),
+            max: Math.max(...extents.map(e => e.max))
+        };
+        extent.step = LayerTime.stepFor(extent);
+        if (extent.step === 1) {
+            extent.min = Math.floor(extent.min);
+            extent.max = Math.ceil(extent.max);
         }
-        
-        this.ctx.restore();
+        return extent;
     }
     
     /**
-     * Draw measurement points
+     * Update the timeline to the time-enabled layers, keeping the current time within it
      */
-    drawMeasurementPoints() {
-        if (!this.mapImage || this.measurementPoints.length === 0) return;
-        
-        this.ctx.save();
-        
-        for (let i = 0; i < this.measurementPoints.length; i++) {
-            const point = this.measurementPoints[i];
-            const screen = this.mapToScreen(point.x, point.y);
-            
-            // Draw marker
-            this.ctx.fillStyle = '#ffa502';
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 2;
-            
-            this.ctx.beginPath();
-            this.ctx.arc(screen.x, screen.y, 6, 0, 2 * Math.PI);
-            this.ctx.fill();
-            this.ctx.stroke();
+    updateTimePanel() {
+        const extent = this.getTimeExtent();
+        const controls = document.getElementById('time-controls');
+        const summary = document.getElementById('time-summary');
+        
+        if (!extent) {
+            this.stopTimePlayback();
+            this.currentTime = null;
+            controls.style.display = 'none';
+            summary.textContent = 'No time-enabled layers - click Time on a layer to set one up';
+            return;
         }
         
-        // Draw line between points
-        if (this.measurementPoints.length === 2) {
-            const start = this.mapToScreen(this.measurementPoints[0].x, this.measurementPoints[0].y);
-            const end = this.mapToScreen(this.measurementPoints[1].x, this.measurementPoints[1].y);
-            
-            this.ctx.strokeStyle = '#ffa502';
-            this.ctx.lineWidth = 2;
-            this.ctx.setLineDash([5, 5]);
-            
-            this.ctx.beginPath();
-            this.ctx.moveTo(start.x, start.y);
-            this.ctx.lineTo(end.x, end.y);
-            this.ctx.stroke();
-            
-            this.ctx.setLineDash([]);
-        }
+        this.timeStep = extent.step;
+        const slider = document.getElementById('time-slider');
+        slider.min = extent.min;
+        slider.max = extent.max;
+        slider.step = this.timeStep;
         
-        this.ctx.restore();
+        controls.style.display = '';
+        summary.textContent = `${LayerTime.formatTime(extent.min, this.timeStep)} – ${LayerTime.formatTime(extent.max, this.timeStep)}`;
+        
+        // Start with everything shown
+        this.currentTime = this.currentTime === null ? extent.max : Math.max(extent.min, Math.min(extent.max, this.currentTime));
+        this.updateTimeDisplay();
     }
     
     /**
-     * Show modal
+     * Show the current time and playback state in the time panel
      */
-    showModal(modalId) {
-        document.getElementById(modalId).classList.add('show');
+    updateTimeDisplay() {
+        if (this.currentTime !== null) {
+            document.getElementById('time-slider').value = this.currentTime;
+            document.getElementById('time-value').textContent = LayerTime.formatTime(this.currentTime, this.timeStep);
+        }
+        
+        document.getElementById('time-play').textContent = this.timePlayback ? 'Pause' : 'Play';
+        document.getElementById('time-record').textContent = this.timeRecorder ? 'Stop' : 'Record';
     }
     
     /**
-     * Hide modal
+     * Show the map as of a time
      */
-    hideModal(modalId) {
-        document.getElementById(modalId).classList.remove('show');
+    setCurrentTime(time) {
+        this.currentTime = time;
+        this.updateTimeDisplay();
+        this.scheduleRender();
     }
     
     /**
-     * Clear modal inputs
+     * Play the timeline from the current time to the end, or pause it
      */
-    clearModalInputs(modalId) {
-        const modal = document.getElementById(modalId);
-        const inputs = modal.querySelectorAll('input, textarea');
-        inputs.forEach(input => input.value = '');
+    toggleTimePlayback() {
+        if (this.timePlayback) {
+            this.stopTimePlayback();
+            return;
+        }
+        
+        const extent = this.getTimeExtent();
+        if (!extent) return;
+        
+        // Start over once the end has been reached
+        if (this.currentTime >= extent.max) {
+            this.currentTime = extent.min;
+        }
+        
+        const playback = { frame: null, last: null };
+        const step = (timestamp) => {
+            if (this.timePlayback !== playback) return;
+            
+            if (playback.last !== null) {
+                this.currentTime = Math.min(extent.max, this.currentTime + (timestamp - playback.last) / 1000 * this.timeSpeed);
+                this.updateTimeDisplay();
+                this.render();
+                
+                if (this.currentTime >= extent.max) {
+                    this.stopTimePlayback();
+                    return;
+                }
+            }
+            
+            playback.last = timestamp;
+            playback.frame = requestAnimationFrame(step);
+        };
+        
+        this.timePlayback = playback;
+        playback.frame = requestAnimationFrame(step);
+        this.updateTimeDisplay();
     }
     
     /**
-     * Update status message
+     * Stop playing the timeline, finishing any recording
      */
-    updateStatus(message) {
-        document.getElementById('status-text').textContent = message;
+    stopTimePlayback() {
+        if (this.timePlayback) {
+            cancelAnimationFrame(this.timePlayback.frame);
+            this.timePlayback = null;
+        }
+        
+        if (this.timeRecorder) {
+            this.timeRecorder.stop(); // Saved in its onstop handler
+            this.timeRecorder = null;
+        }
+        
+        this.updateTimeDisplay();
     }
     
     /**
-     * Update calibration status
+     * Play the timeline from the start while recording the map as a WebM video,
+     * or stop a recording in progress
      */
-    updateCalibrationStatus() {
-        const status = document.getElementById('calibration-status');
-        if (this.isCalibrated) {
-            status.textContent = `Calibrated (${this.referencePoints.length} points)`;
-            status.classList.add('calibrated');
-        } else {
-            status.textContent = 'Not Calibrated';
-            status.classList.remove('calibrated');
+    recordTimeAnimation() {
+        if (this.timeRecorder) {
+            this.stopTimePlayback();
+            return;
+        }
+        
+        if (!this.canvas.captureStream || typeof MediaRecorder === 'undefined') {
+            alert('This browser cannot record the map.');
+            return;
+        }
+        
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            alert('This browser cannot record WebM video.');
+            return;
         }
+        
+        const extent = this.getTimeExtent();
+        if (!extent) return;
+        
+        this.stopTimePlayback();
+        this.currentTime = extent.min;
+        this.render();
+        
+        const chunks = [];
+        const stream = this.canvas.captureStream(30);
+        const recorder = new MediaRecorder(stream, { mimeType });
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            this.downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${this.getExportBaseName()}-timeline.webm`);
+            this.updateStatus('Timeline recording saved');
+        };
+        
+        this.timeRecorder = recorder;
+        recorder.start();
+        this.toggleTimePlayback();
+        this.updateStatus('Recording the timeline - press Stop or Pause to finish early');
     }
     
     /**
      * Update UI elements
      */
     updateUI() {
+        document.getElementById('transform-type').value = this.transformType;
+        document.getElementById('robust-calibration-toggle').checked = this.robustCalibration;
+        document.getElementById('coordinate-format').value = this.coordinateFormat;
+        this.updateCRSSelect();
         this.updateCalibrationStatus();
+        this.updateLayerPanel();
+        document.getElementById('file-name').textContent = this.mapImage ? this.mapFileName : '';
     }
     
     /**
@@ -1503,32 +4952,24 @@ class GISViewer {
      */
     processHistoricalData(data) {
         if (data.type === 'FeatureCollection' && data.features) {
-            // Add historical features to GeoJSON data
-            if (!this.geoJsonData) {
-                this.geoJsonData = {
-                    type: 'FeatureCollection',
-                    features: []
-                };
-            }
-            
             // Add metadata to features
             data.features.forEach(feature => {
                 feature.properties = feature.properties || {};
                 feature.properties.imported = true;
                 feature.properties.importDate = new Date().toISOString();
                 feature.properties.historical = true;
-                
-                // Add to GeoJSON data
-                this.geoJsonData.features.push(feature);
             });
             
-            // Update storage and render
-            this.saveData();
-            this.render();
-            
-            // Update status
+            // Each import becomes its own layer
             const metadata = data.metadata || {};
             const title = metadata.title || 'Historical Data';
+            this.addLayer(new GeoJSONLayer({
+                name: title,
+                data: { type: 'FeatureCollection', features: data.features, metadata }, // Metadata credits the source in map exports
+                source: 'historical'
+            }));
+            
+            // Update status
             this.updateStatus(`Imported: ${title} (${data.features.length} features)`);
             
         } else {
@@ -1573,10 +5014,17 @@ class GISViewer {
      * Export data as JSON
      */
     exportData() {
+        this.activeMap.captureFrom(this);
+        
         const data = {
             annotations: this.annotations,
             referencePoints: this.referencePoints,
+            transformType: this.transformType,
+            crs: this.mapCRSDefinition,
             measurements: this.measurements,
+            maps: this.baseMaps,
+            activeMap: this.baseMaps.indexOf(this.activeMap),
+            layers: this.layers,
             metadata: {
                 exportDate: new Date().toISOString(),
                 isCalibrated: this.isCalibrated,
@@ -1585,17 +5033,624 @@ class GISViewer {
         };
         
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `gis-viewer-export-${new Date().toISOString().split('T')[0]}.json`);
+        
+        this.updateStatus('Data exported successfully');
+    }
+    
+    /**
+     * Trigger a browser download for a blob
+     */
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `gis-viewer-export-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         
         URL.revokeObjectURL(url);
-        this.updateStatus('Data exported successfully');
+    }
+    
+    /**
+     * Handle QGIS .points file upload
+     */
+    handleControlPointsUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.importControlPoints(e.target.result);
+            } catch (error) {
+                alert('Invalid .points file: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+        
+        // Allow the same file to be selected again
+        event.target.value = '';
+    }
+    
+    /**
+     * Import reference points from QGIS Georeferencer .points text.
+     * mapX/mapY are in the map CRS; pixelY is negative (QGIS measures rows upwards).
+     */
+    importControlPoints(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line);
+        const dataLines = lines.filter(line => !line.startsWith('#'));
+        
+        if (dataLines.length < 2) {
+            throw new Error('No control points found');
+        }
+        
+        const header = dataLines[0].split(/[,\t]/).map(h => h.trim().toLowerCase());
+        const column = (...names) => header.findIndex(h => names.includes(h));
+        const columns = {
+            mapX: column('mapx'),
+            mapY: column('mapy'),
+            pixelX: column('pixelx', 'sourcex'),
+            pixelY: column('pixely', 'sourcey'),
+            enable: column('enable')
+        };
+        
+        if (columns.mapX < 0 || columns.mapY < 0 || columns.pixelX < 0 || columns.pixelY < 0) {
+            throw new Error('Expected mapX, mapY, pixelX and pixelY columns');
+        }
+        
+        const points = dataLines.slice(1).map((line, i) => {
+            const values = line.split(/[,\t]/).map(v => parseFloat(v));
+            const [mapX, mapY, pixelX, pixelY] = [columns.mapX, columns.mapY, columns.pixelX, columns.pixelY]
+                .map(index => values[index]);
+            
+            if ([mapX, mapY, pixelX, pixelY].some(isNaN)) {
+                throw new Error(`Invalid values on row ${i + 1}`);
+            }
+            
+            const { lat, lng } = this.mapCRS.inverse(mapX, mapY);
+            
+            return {
+                pixel: { x: pixelX, y: -pixelY },
+                geo: { lat, lng },
+                enabled: columns.enable < 0 || values[columns.enable] !== 0
+            };
+        });
+        
+        if (this.referencePoints.length > 0 &&
+            confirm(`Replace the existing ${this.referencePoints.length} reference points? Cancel to append instead.`)) {
+            this.referencePoints = [];
+        }
+        
+        this.referencePoints.push(...points);
+        
+        this.calculateTransform();
+        this.saveData();
+        this.render();
+        this.updateStatus(`Imported ${points.length} control points (${this.mapCRS.name})`);
+    }
+    
+    /**
+     * Format reference points as QGIS Georeferencer .points text
+     */
+    formatControlPoints() {
+        const rows = ['mapX,mapY,pixelX,pixelY,enable,dX,dY,residual'];
+        
+        // Map coordinates to about a millimetre, pixels to a ten-thousandth
+        const mapDecimals = this.mapCRS.isGeographic ? 8 : 3;
+        const number = (value, decimals) => String(Number(value.toFixed(decimals)));
+        
+        this.referencePoints.forEach((point, index) => {
+            const mapCoords = this.mapCRS.forward(point.geo.lng, point.geo.lat);
+            const residual = this.residuals[index];
+            const dx = residual && isFinite(residual.pixels) ? residual.dx : 0;
+            const dy = residual && isFinite(residual.pixels) ? -residual.dy : 0;
+            const error = residual && isFinite(residual.pixels) ? residual.pixels : 0;
+            
+            rows.push([
+                number(mapCoords.x, mapDecimals), number(mapCoords.y, mapDecimals),
+                number(point.pixel.x, 4), number(-point.pixel.y, 4),
+                point.enabled === false ? 0 : 1,
+                number(dx, 4), number(dy, 4), number(error, 4)
+            ].join(','));
+        });
+        
+        return rows.join('\n') + '\n';
+    }
+    
+    /**
+     * Export reference points as a QGIS Georeferencer .points file
+     */
+    exportControlPoints() {
+        if (this.referencePoints.length === 0) {
+            alert('There are no reference points to export.');
+            return;
+        }
+        
+        const blob = new Blob([this.formatControlPoints()], { type: 'text/csv' });
+        this.downloadBlob(blob, `${this.mapFileName || 'gis-viewer-map'}.points`);
+        
+        this.updateStatus(`Exported ${this.referencePoints.length} control points`);
+    }
+    
+    /**
+     * File name of the loaded map without its extension, for exported files
+     */
+    getExportBaseName() {
+        return (this.mapFileName || 'gis-viewer-map').replace(/\.[^.]+$/, '');
+    }
+    
+    /**
+     * World file extension matching the loaded image type
+     */
+    getWorldFileExtension() {
+        const extension = (this.mapFileName || '').split('.').pop().toLowerCase();
+        const extensions = { png: 'pgw', jpg: 'jgw', jpeg: 'jgw' };
+        return extensions[extension] || 'wld';
+    }
+    
+    /**
+     * Format an affine transform as ESRI world file text.
+     * Lines are A, D, B, E, C, F with C/F at the centre of the top-left pixel.
+     */
+    formatWorldFile(transform) {
+        const { a, b, c, d, e, f } = transform;
+        const lines = [d, a, e, b, d * 0.5 + e * 0.5 + f, a * 0.5 + b * 0.5 + c];
+        return lines.map(value => value.toFixed(12)).join('\n') + '\n';
+    }
+    
+    /**
+     * Open the world file export options
+     */
+    showWorldFileExportModal() {
+        if (!this.mapImage) {
+            alert('Please load a map image first.');
+            return;
+        }
+        
+        if (!this.isCalibrated) {
+            alert('Please calibrate the map before exporting a world file.');
+            return;
+        }
+        
+        const approximation = this.transform.affineApproximation(this.mapImage.width, this.mapImage.height);
+        if (!approximation) {
+            alert('The calibration cannot be approximated by an affine transform, so it cannot be written as a world file. Please rectify the map to a GeoTIFF instead.');
+            return;
+        }
+        
+        const note = document.getElementById('world-file-note');
+        const extension = this.getWorldFileExtension();
+        const rectifyButton = document.getElementById('world-file-rectify');
+        
+        rectifyButton.style.display = this.transform.isAffine ? 'none' : '';
+        
+        if (this.transform.isAffine) {
+            note.textContent = `Writes a .${extension} world file in ${this.mapCRS.name}.`;
+            note.classList.remove('warning');
+        } else {
+            const { maxError } = approximation;
+            const { label } = CoordinateTransform.TYPES[this.transformType];
+            note.textContent = `World files can only store an affine transform. The ${label} calibration ` +
+                `will be approximated by its best-fit affine transform (up to ${maxError.toFixed(1)} px off). ` +
+                'Rectify the map to a GeoTIFF instead for an exact result.';
+            note.classList.add('warning');
+        }
+        
+        this.showModal('world-file-modal');
+    }
+    
+    /**
+     * Export the world file, optionally with a .prj and bundled with the image
+     */
+    async confirmWorldFileExport() {
+        const includePrj = document.getElementById('world-file-prj').checked;
+        const bundle = document.getElementById('world-file-bundle').checked;
+        
+        const approximation = this.transform.affineApproximation(this.mapImage.width, this.mapImage.height);
+        if (!approximation) {
+            alert('The calibration cannot be approximated by an affine transform, so it cannot be written as a world file.');
+            return;
+        }
+        
+        const { transform } = approximation;
+        const baseName = this.getExportBaseName();
+        const extension = this.getWorldFileExtension();
+        const worldFile = this.formatWorldFile(transform);
+        const prj = this.mapCRS.toWKT();
+        
+        this.hideModal('world-file-modal');
+        
+        if (!bundle) {
+            this.downloadBlob(new Blob([worldFile], { type: 'text/plain' }), `${baseName}.${extension}`);
+            if (includePrj) {
+                this.downloadBlob(new Blob([prj], { type: 'text/plain' }), `${baseName}.prj`);
+            }
+            this.updateStatus(`Exported ${baseName}.${extension}`);
+            return;
+        }
+        
+        if (!this.mapFile) {
+            alert('The original image file is not available. Please reload the map image to export a bundle.');
+            return;
+        }
+        
+        try {
+            const zip = new ZipWriter();
+            zip.addFile(this.mapFileName, new Uint8Array(await this.mapFile.arrayBuffer()));
+            zip.addFile(`${baseName}.${extension}`, worldFile);
+            if (includePrj) {
+                zip.addFile(`${baseName}.prj`, prj);
+            }
+            
+            this.downloadBlob(zip.generate(), `${baseName}-georeferenced.zip`);
+            this.updateStatus(`Exported ${baseName}-georeferenced.zip`);
+        } catch (error) {
+            alert('Failed to export bundle: ' + error.message);
+        }
+    }
+    
+    /**
+     * Open the rectification options
+     */
+    showRectifyModal() {
+        if (!this.mapImage) {
+            alert('Please load a map image first.');
+            return;
+        }
+        
+        if (!this.isCalibrated) {
+            alert('Please calibrate the map before rectifying it.');
+            return;
+        }
+        
+        const projectedOption = document.querySelector('#rectify-grid option[value="projected"]');
+        projectedOption.textContent = `Map CRS grid (${this.mapCRS.name})`;
+        projectedOption.disabled = this.mapCRS.isGeographic;
+        if (this.mapCRS.isGeographic) {
+            document.getElementById('rectify-grid').value = 'geographic';
+        }
+        
+        this.showModal('rectify-modal');
+    }
+    
+    /**
+     * Resample the map through the calibration and download it as a GeoTIFF
+     */
+    async confirmRectify() {
+        const grid = document.getElementById('rectify-grid').value;
+        const resampling = document.getElementById('rectify-resampling').value;
+        
+        this.hideModal('rectify-modal');
+        
+        // Tiled scans only keep a preview in memory; rectify from the full image
+        let image = this.mapImage;
+        try {
+            if (image.tiled) {
+                image = await createImageBitmap(this.mapFile);
+            }
+            
+            const rectifier = new MapRectifier({ image, transform: this.transform, mapCRS: this.mapCRS, grid, resampling });
+            const result = await rectifier.rectify(progress => {
+                this.updateStatus(`Rectifying map... ${Math.round(progress * 100)}%`);
+            });
+            
+            const tiff = GeoTIFFWriter.encode(result);
+            const filename = `${this.getExportBaseName()}-rectified.tif`;
+            this.downloadBlob(new Blob([tiff], { type: 'image/tiff' }), filename);
+            this.updateStatus(`Exported ${filename} (${result.width} x ${result.height} px, ${result.crs.name})`);
+        } catch (error) {
+            alert('Failed to rectify map: ' + error.message);
+            this.updateStatus('Rectification failed');
+        } finally {
+            if (image !== this.mapImage) image.close();
+        }
+    }
+    
+    /**
+     * Show the map export dialog, with the sources drafted from the base map and layers
+     */
+    showMapExportModal() {
+        if (!this.mapImage) {
+            alert('Please load a map image first.');
+            return;
+        }
+        
+        document.getElementById('export-map-title').value = this.activeMap.title || this.getExportBaseName();
+        document.getElementById('export-map-attribution-text').value = this.getAttributionLines().join('\n');
+        
+        // The scale bar and north arrow are measured through the calibration
+        ['export-map-scale-bar', 'export-map-north-arrow'].forEach(id => {
+            document.getElementById(id).disabled = !this.isCalibrated;
+        });
+        
+        this.showModal('export-map-modal');
+    }
+    
+    /**
+     * Credits for an export: the base map, then each visible layer, top first, with
+     * the attribution, source, creator, licence and URL from its metadata
+     */
+    getAttributionLines() {
+        const lines = [`Base map: ${this.activeMap.name}`];
+        [...this.layers].reverse().forEach(layer => {
+            if (!layer.visible || layer.opacity === 0) return;
+            
+            const metadata = layer.data.metadata || {};
+            const credits = [metadata.attribution || layer.data.attribution, metadata.source, metadata.creator, metadata.license, metadata.url]
+                .filter(value => typeof value === 'string' && value.trim() !== '');
+            lines.push(credits.length > 0 ? `${layer.name}: ${credits.join(', ')}` : layer.name);
+        });
+        return lines;
+    }
+    
+    /**
+     * Draw the map onto a page as set in the export dialog and download it as PNG or PDF
+     */
+    async confirmMapExport() {
+        const value = id => document.getElementById(id).value;
+        const checked = id => document.getElementById(id).checked;
+        const options = {
+            extent: value('export-map-extent'),
+            paper: value('export-map-paper'),
+            landscape: value('export-map-orientation') === 'landscape',
+            dpi: parseInt(value('export-map-dpi'), 10),
+            format: value('export-map-format'),
+            title: value('export-map-title').trim(),
+            legend: checked('export-map-legend'),
+            scaleBar: checked('export-map-scale-bar') && this.isCalibrated,
+            northArrow: checked('export-map-north-arrow') && this.isCalibrated,
+            gridLabels: this.showGridLabels,
+            attribution: checked('export-map-attribution')
+                ? value('export-map-attribution-text').split('\n').map(line => line.trim()).filter(line => line)
+                : []
+        };
+        
+        const layout = this.getExportLayout(options);
+        if (layout.frame.height < 72) {
+            alert('The title and attribution leave too little room for the map. Please shorten the attribution or choose a larger paper size.');
+            return;
+        }
+        
+        // Browsers refuse to draw canvases much larger than this
+        if (layout.rasterWidth * layout.rasterHeight > 50000000 || Math.max(layout.rasterWidth, layout.rasterHeight) > 16384) {
+            alert(`At ${options.dpi} DPI the map would be ${layout.rasterWidth} x ${layout.rasterHeight} pixels, more than the browser can draw. Please choose a lower resolution or a smaller paper size.`);
+            return;
+        }
+        
+        this.hideModal('export-map-modal');
+        this.updateStatus('Exporting map...');
+        
+        // Tiled scans draw only cached tiles, so load the ones the export needs first
+        const pyramid = this.tilePyramid;
+        try {
+            if (pyramid) {
+                await pyramid.loadTiles(layout.viewport, layout.mapWidth, layout.mapHeight, layout.pixelRatio);
+            }
+            const blob = options.format === 'pdf' ? await this.exportMapPDF(layout, options) : await this.exportMapPNG(layout, options);
+            const filename = `${this.getExportBaseName()}-map.${options.format}`;
+            this.downloadBlob(blob, filename);
+            this.updateStatus(`Exported ${filename} (${layout.paper.label} ${options.landscape ? 'landscape' : 'portrait'}, ${options.dpi} DPI)`);
+        } catch (error) {
+            alert('Failed to export map: ' + error.message);
+            this.updateStatus('Map export failed');
+        } finally {
+            if (pyramid) pyramid.releaseTiles();
+        }
+    }
+    
+    /**
+     * Page layout in points: the page, a title band, the map frame and the attribution
+     * lines below it. The map is drawn in screen pixels of 1/96 inch, mapWidth x mapHeight,
+     * and the raster drawn for the format (the whole page for PNG, the map for PDF) is
+     * rasterWidth x rasterHeight pixels, pixelRatio raster pixels per screen pixel.
+     */
+    getExportLayout(options) {
+        const paper = PDFWriter.PAPER_SIZES[options.paper] || PDFWriter.PAPER_SIZES.a4;
+        let width = PDFWriter.mmToPoints(paper.width);
+        let height = PDFWriter.mmToPoints(paper.height);
+        if (options.landscape) [width, height] = [height, width];
+        
+        const margin = 36;
+        const titleHeight = options.title ? 30 : 0;
+        const attribution = [].concat(...options.attribution.map(line => this.wrapText(line, width - margin * 2, 8)));
+        const attributionHeight = attribution.length > 0 ? 6 + attribution.length * 10 : 0;
+        const frame = {
+            x: margin,
+            y: margin + titleHeight,
+            width: width - margin * 2,
+            height: height - margin * 2 - titleHeight - attributionHeight
+        };
+        
+        const mapWidth = frame.width * 4 / 3;
+        const mapHeight = frame.height * 4 / 3;
+        const raster = options.format === 'pdf' ? frame : { width, height };
+        
+        return {
+            paper,
+            width,
+            height,
+            frame,
+            attribution,
+            mapWidth,
+            mapHeight,
+            viewport: this.getExportViewport(options.extent, mapWidth, mapHeight),
+            rasterWidth: Math.round(raster.width / 72 * options.dpi),
+            rasterHeight: Math.round(raster.height / 72 * options.dpi),
+            pixelRatio: options.dpi / 96
+        };
+    }
+    
+    /**
+     * Viewport fitting the current view, or the whole map image, into an area of the
+     * given size in screen pixels
+     */
+    getExportViewport(extent, width, height) {
+        if (extent === 'full') {
+            const scale = Math.min(width / this.mapImage.width, height / this.mapImage.height);
+            return Object.assign({}, this.viewport, {
+                scale,
+                x: (width - this.mapImage.width * scale) / 2,
+                y: (height - this.mapImage.height * scale) / 2
+            });
+        }
+        
+        const centre = this.screenToMap(this.displayWidth / 2, this.displayHeight / 2);
+        const scale = this.viewport.scale * Math.min(width / this.displayWidth, height / this.displayHeight);
+        return Object.assign({}, this.viewport, {
+            scale,
+            x: width / 2 - centre.x * scale,
+            y: height / 2 - centre.y * scale
+        });
+    }
+    
+    /**
+     * Break text into lines no wider than a width in points, at spaces
+     */
+    wrapText(text, width, size) {
+        const lines = [];
+        let line = '';
+        text.split(/\s+/).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && PDFWriter.textWidth(candidate, size) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+    
+    /**
+     * Draw the whole page onto a canvas at the export resolution
+     */
+    async exportMapPNG(layout, options) {
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.rasterWidth;
+        canvas.height = layout.rasterHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(canvas.width / layout.width, canvas.height / layout.height);
+        
+        this.drawExportPage(ctx, layout, options, () => this.drawExportMap());
+        
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('The browser could not encode the image. Please try a lower resolution.');
+        return blob;
+    }
+    
+    /**
+     * Draw the map with its layers, labels and annotations as a JPEG at the export
+     * resolution, and the page around it, including the map furniture, as vectors
+     */
+    async exportMapPDF(layout, options) {
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.rasterWidth;
+        canvas.height = layout.rasterHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(canvas.width / layout.mapWidth, canvas.height / layout.mapHeight);
+        
+        const rasterOptions = Object.assign({}, options, { legend: false, scaleBar: false, northArrow: false, gridLabels: false });
+        this.withExportState(ctx, layout, rasterOptions, () => this.drawExportMap());
+        
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+        if (!blob) throw new Error('The browser could not encode the map image. Please try a lower resolution.');
+        const jpeg = new Uint8Array(await blob.arrayBuffer());
+        
+        const pdf = new PDFWriter(layout.width, layout.height);
+        this.drawExportPage(pdf, layout, options, () => {
+            pdf.drawJPEG(jpeg, canvas.width, canvas.height, 0, 0, layout.mapWidth, layout.mapHeight);
+            if (this.isCalibrated) this.drawMapFurniture();
+        });
+        return pdf.generate();
+    }
+    
+    /**
+     * Draw the map for an export on a white background
+     */
+    drawExportMap() {
+        this.render();
+        
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'destination-over';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw an export page in points onto a canvas context or a PDFWriter: the title,
+     * the map frame and the attribution. drawMap fills the frame, in screen pixels.
+     */
+    drawExportPage(ctx, layout, options, drawMap) {
+        const { frame } = layout;
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, layout.width, layout.height);
+        
+        ctx.save();
+        ctx.translate(frame.x, frame.y);
+        ctx.beginPath();
+        ctx.rect(0, 0, frame.width, frame.height);
+        ctx.clip();
+        ctx.scale(0.75, 0.75);
+        this.withExportState(ctx, layout, options, drawMap);
+        ctx.restore();
+        
+        ctx.strokeStyle = '#2f3542';
+        ctx.lineWidth = 0.75;
+        ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+        
+        ctx.fillStyle = '#2f3542';
+        ctx.textAlign = 'left';
+        if (options.title) {
+            ctx.font = 'bold 18px Helvetica, Arial, sans-serif';
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillText(options.title, frame.x, frame.y - 10);
+        }
+        
+        ctx.font = '8px Helvetica, Arial, sans-serif';
+        ctx.textBaseline = 'top';
+        layout.attribution.forEach((line, i) => {
+            ctx.fillText(line, frame.x, frame.y + frame.height + 6 + i * 10);
+        });
+    }
+    
+    /**
+     * Run a drawing function with the viewer drawing onto another context at the export
+     * size and viewport, without editing aids or comparison, then put everything back
+     */
+    withExportState(ctx, layout, options, draw) {
+        const state = {
+            ctx,
+            displayWidth: layout.mapWidth,
+            displayHeight: layout.mapHeight,
+            viewport: layout.viewport,
+            exporting: true,
+            exportPixelRatio: layout.pixelRatio,
+            compareMap: null,
+            selectedFeature: null,
+            spiderfied: null,
+            showLegend: options.legend,
+            showScaleBar: options.scaleBar,
+            showNorthArrow: options.northArrow,
+            showGridLabels: options.gridLabels
+        };
+        
+        const saved = {};
+        Object.keys(state).forEach(key => {
+            saved[key] = this[key];
+        });
+        
+        Object.assign(this, state);
+        try {
+            draw();
+        } finally {
+            Object.assign(this, saved);
+        }
     }
     
     /**
@@ -1628,14 +5683,25 @@ class GISViewer {
      */
     clearAllData() {
         if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
+            // Only the active map's image is kept
+            this.baseMaps.filter(map => map !== this.activeMap).forEach(map => map.dispose());
+            this.baseMaps = [this.activeMap];
+            this.compareMap = null;
+            
             this.annotations = [];
             this.referencePoints = [];
             this.measurements = [];
-            this.geoJsonData = null;
+            this.layers = [];
+            this.selectedFeature = null;
+            this.spiderfied = null;
             this.isCalibrated = false;
             this.transform = null;
+            this.residuals = [];
+            this.outlierIndices = [];
+            this.gotoMarker = null;
             
             localStorage.removeItem(this.storageKey);
+            localStorage.removeItem(this.layersStorageKey);
             this.updateUI();
             this.render();
             this.updateStatus('All data cleared');
@@ -1650,6 +5716,7 @@ class GISViewer {
             this.referencePoints = [];
             this.isCalibrated = false;
             this.transform = null;
+            this.residuals = [];
             
             this.saveData();
             this.updateUI();
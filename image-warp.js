@@ -0,0 +1,133 @@
+/**
+ * Image Warp
+ * Draws an image through an arbitrary point mapping, e.g. one calibrated map in the
+ * pixel space of another. The destination rectangle is cut into a mesh of triangles,
+ * each drawn with the affine transform that fits its three corners, so curved mappings
+ * (polynomial or thin plate spline calibrations, different map projections) are
+ * followed closely. Mappings that turn out to be affine are drawn in one piece.
+ */
+
+class ImageWarp {
+    /**
+     * Draw an image into the rectangle { x, y, width, height } of a context, where
+     * toSource(x, y) gives the image pixel to show at a position, or null for none.
+     * The mesh has cells of about cellSize pixels.
+     */
+    static draw(ctx, image, rect, toSource, cellSize = 48) {
+        const cols = Math.max(1, Math.ceil(rect.width / cellSize));
+        const rows = Math.max(1, Math.ceil(rect.height / cellSize));
+
+        // Mesh vertices: { target, source }, source null where the mapping is undefined
+        const grid = [];
+        for (let row = 0; row <= rows; row++) {
+            const line = [];
+            for (let col = 0; col <= cols; col++) {
+                const target = { x: rect.x + rect.width * col / cols, y: rect.y + rect.height * row / rows };
+                line.push({ target, source: toSource(target.x, target.y) });
+            }
+            grid.push(line);
+        }
+
+        const corners = [grid[0][0], grid[0][cols], grid[rows][0]];
+        if (corners.every(vertex => vertex.source)) {
+            const matrix = ImageWarp.fit(corners.map(v => v.source), corners.map(v => v.target));
+            if (matrix && ImageWarp.fitsMesh(grid, matrix)) {
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(rect.x, rect.y, rect.width, rect.height);
+                ctx.clip();
+                ctx.transform(...matrix);
+                ctx.drawImage(image, 0, 0);
+                ctx.restore();
+                return;
+            }
+        }
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const topLeft = grid[row][col];
+                const topRight = grid[row][col + 1];
+                const bottomLeft = grid[row + 1][col];
+                const bottomRight = grid[row + 1][col + 1];
+                ImageWarp.drawTriangle(ctx, image, [topLeft, topRight, bottomLeft]);
+                ImageWarp.drawTriangle(ctx, image, [topRight, bottomRight, bottomLeft]);
+            }
+        }
+    }
+
+    /**
+     * Canvas transform [a, b, c, d, e, f] taking three source points onto three
+     * target points, or null if the source points are collinear
+     */
+    static fit(source, target) {
+        const [s0, s1, s2] = source;
+        const [t0, t1, t2] = target;
+        const u1x = s1.x - s0.x, u1y = s1.y - s0.y;
+        const u2x = s2.x - s0.x, u2y = s2.y - s0.y;
+        const v1x = t1.x - t0.x, v1y = t1.y - t0.y;
+        const v2x = t2.x - t0.x, v2y = t2.y - t0.y;
+
+        const det = u1x * u2y - u2x * u1y;
+        if (Math.abs(det) < 1e-12) return null;
+
+        const a = (v1x * u2y - v2x * u1y) / det;
+        const b = (v1y * u2y - v2y * u1y) / det;
+        const c = (v2x * u1x - v1x * u2x) / det;
+        const d = (v2y * u1x - v1y * u2x) / det;
+        return [a, b, c, d, t0.x - a * s0.x - c * s0.y, t0.y - b * s0.x - d * s0.y];
+    }
+
+    /**
+     * Whether a transform places every mesh vertex within half a pixel of its target
+     */
+    static fitsMesh(grid, [a, b, c, d, e, f]) {
+        return grid.every(line => line.every(({ source, target }) => source &&
+            Math.abs(a * source.x + c * source.y + e - target.x) <= 0.5 &&
+            Math.abs(b * source.x + d * source.y + f - target.y) <= 0.5));
+    }
+
+    /**
+     * Draw the part of the image inside one mesh triangle. The clip is grown by
+     * a fraction of a pixel so neighbouring triangles meet without hairline gaps.
+     */
+    static drawTriangle(ctx, image, vertices) {
+        if (vertices.some(vertex => !vertex.source)) return;
+
+        const matrix = ImageWarp.fit(vertices.map(v => v.source), vertices.map(v => v.target));
+        if (!matrix) return;
+
+        // Only the image pixels under the triangle need drawing
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const xs = vertices.map(v => v.source.x);
+        const ys = vertices.map(v => v.source.y);
+        const sx = Math.max(0, Math.floor(Math.min(...xs)) - 2);
+        const sy = Math.max(0, Math.floor(Math.min(...ys)) - 2);
+        const sw = Math.min(width, Math.ceil(Math.max(...xs)) + 2) - sx;
+        const sh = Math.min(height, Math.ceil(Math.max(...ys)) + 2) - sy;
+        if (sw <= 0 || sh <= 0) return;
+
+        const cx = vertices.reduce((sum, v) => sum + v.target.x, 0) / 3;
+        const cy = vertices.reduce((sum, v) => sum + v.target.y, 0) / 3;
+
+        ctx.save();
+        ctx.beginPath();
+        vertices.forEach(({ target }, i) => {
+            const length = Math.hypot(target.x - cx, target.y - cy) || 1;
+            const x = target.x + (target.x - cx) / length * 0.75;
+            const y = target.y + (target.y - cy) / length * 0.75;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+        ctx.clip();
+        ctx.transform(...matrix);
+        ctx.drawImage(image, sx, sy, sw, sh, sx, sy, sw, sh);
+        ctx.restore();
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageWarp;
+}
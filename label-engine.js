@@ -0,0 +1,328 @@
+/**
+ * Label Engine
+ * Places map labels in screen space without overlaps. Labels are queued while the
+ * map is drawn, then placed in priority order (ties keep queue order): each tries its
+ * candidate positions in turn and takes the first that is on screen and clear of
+ * labels already placed and of registered obstacles such as markers. Labels with no
+ * free position are dropped.
+ *
+ * Point labels try eight positions around the marker, area labels the centre and just
+ * above or below it, and line labels are set along the line glyph by glyph.
+ */
+
+class LabelEngine {
+    constructor(ctx, width, height, cellSize = 64) {
+        this.ctx = ctx;
+        this.width = width;
+        this.height = height;
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Grid cell key -> boxes overlapping the cell
+        this.labels = [];
+        this.placed = 0;
+        this.dropped = 0;
+    }
+
+    static get DEFAULTS() {
+        return {
+            priority: 0,
+            font: 'bold 11px Arial',
+            fontSize: 11,
+            color: '#2f3542',
+            halo: 'rgba(255, 255, 255, 0.9)',
+            opacity: 1
+        };
+    }
+
+    /**
+     * Keep labels clear of a screen box, e.g. a marker
+     */
+    addObstacle(minX, minY, maxX, maxY) {
+        this.insert({ minX, minY, maxX, maxY });
+    }
+
+    /**
+     * Label beside a marker of the given radius
+     */
+    addPointLabel(text, x, y, options = {}) {
+        this.queue('point', text, { x, y, radius: options.radius || 5 }, options);
+    }
+
+    /**
+     * Label centred on an area
+     */
+    addAreaLabel(text, x, y, options = {}) {
+        this.queue('area', text, { x, y }, options);
+    }
+
+    /**
+     * Label following a line given as screen points
+     */
+    addLineLabel(text, points, options = {}) {
+        if (points.length >= 2) this.queue('line', text, { points }, options);
+    }
+
+    queue(type, text, geometry, options) {
+        if (text === null || text === undefined || String(text).trim() === '') return;
+        this.labels.push(Object.assign({}, LabelEngine.DEFAULTS, options, geometry, {
+            type,
+            text: String(text),
+            order: this.labels.length
+        }));
+    }
+
+    /**
+     * Place and draw the queued labels; returns { placed, dropped }
+     */
+    place() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 3;
+
+        this.labels.sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+        for (const label of this.labels) {
+            ctx.font = label.font;
+            const placement = this.candidates(label).find(candidate => this.isFree(candidate.boxes));
+
+            if (!placement) {
+                this.dropped++;
+                continue;
+            }
+
+            placement.boxes.forEach(box => this.insert(box));
+            this.draw(label, placement);
+            this.placed++;
+        }
+
+        ctx.restore();
+        this.labels = [];
+        return { placed: this.placed, dropped: this.dropped };
+    }
+
+    /**
+     * Candidate placements for a label, best first: { boxes, glyphs: [{ text, x, y, angle }] }
+     */
+    candidates(label) {
+        if (label.type === 'line') return this.lineCandidates(label);
+
+        const width = this.ctx.measureText(label.text).width;
+        const height = label.fontSize + 2;
+        const at = (x, y) => ({
+            boxes: [{ minX: x - width / 2, minY: y - height / 2, maxX: x + width / 2, maxY: y + height / 2 }],
+            glyphs: [{ text: label.text, x, y, angle: 0 }]
+        });
+
+        if (label.type === 'area') {
+            return [at(label.x, label.y), at(label.x, label.y - height), at(label.x, label.y + height)];
+        }
+
+        // Above, right, left, below, then the diagonals
+        const { x, y } = label;
+        const r = label.radius + 3;
+        const d = r * 0.7;
+        return [
+            at(x, y - r - height / 2),
+            at(x + r + width / 2, y),
+            at(x - r - width / 2, y),
+            at(x, y + r + height / 2),
+            at(x + d + width / 2, y - d - height / 2),
+            at(x - d - width / 2, y - d - height / 2),
+            at(x + d + width / 2, y + d + height / 2),
+            at(x - d - width / 2, y + d + height / 2)
+        ];
+    }
+
+    /**
+     * Placements along the parts of a line on screen, longest part first
+     */
+    lineCandidates(label) {
+        const runs = LabelEngine.clipLine(label.points, this.width, this.height);
+        const length = run => run.reduce((sum, p, i) => (i > 0 ? sum + Math.hypot(p.x - run[i - 1].x, p.y - run[i - 1].y) : 0), 0);
+        runs.sort((a, b) => length(b) - length(a));
+        return [].concat(...runs.map(run => this.runCandidates(label, run)));
+    }
+
+    /**
+     * Parts of a polyline inside the rectangle from (0, 0) to (width, height)
+     */
+    static clipLine(points, width, height) {
+        const runs = [];
+        let run = [];
+
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            let t0 = 0;
+            let t1 = 1;
+
+            // Liang-Barsky: narrow [t0, t1] against each edge
+            const inside = [[-dx, a.x], [dx, width - a.x], [-dy, a.y], [dy, height - a.y]].every(([p, q]) => {
+                if (p === 0) return q >= 0;
+                const t = q / p;
+                if (p < 0) t0 = Math.max(t0, t);
+                else t1 = Math.min(t1, t);
+                return t0 <= t1;
+            });
+
+            if (!inside) {
+                if (run.length > 1) runs.push(run);
+                run = [];
+                continue;
+            }
+
+            const start = { x: a.x + dx * t0, y: a.y + dy * t0 };
+            const end = { x: a.x + dx * t1, y: a.y + dy * t1 };
+            if (run.length === 0 || t0 > 0) {
+                if (run.length > 1) runs.push(run);
+                run = [start];
+            }
+            run.push(end);
+
+            if (t1 < 1) {
+                runs.push(run);
+                run = [];
+            }
+        }
+
+        if (run.length > 1) runs.push(run);
+        return runs;
+    }
+
+    /**
+     * Placements along one run of a line, centred at points along its length, middle
+     * first. Text reads left to right and bends by at most 45 degrees between glyphs.
+     */
+    runCandidates(label, points) {
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+
+        const total = lengths[lengths.length - 1];
+        const characters = [...label.text];
+        const widths = characters.map(character => this.ctx.measureText(character).width);
+        const textWidth = widths.reduce((sum, width) => sum + width, 0);
+        if (textWidth + 10 > total) return [];
+
+        // Read left to right: follow the line backwards if it mostly runs leftwards
+        if (points[points.length - 1].x < points[0].x) {
+            points = [...points].reverse();
+            lengths.reverse();
+            for (let i = 0; i < lengths.length; i++) lengths[i] = total - lengths[i];
+        }
+
+        const pointAt = (distance) => {
+            let i = 1;
+            while (i < lengths.length - 1 && lengths[i] < distance) i++;
+            const a = points[i - 1];
+            const b = points[i];
+            const span = lengths[i] - lengths[i - 1];
+            const t = span > 0 ? (distance - lengths[i - 1]) / span : 0;
+            return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, angle: Math.atan2(b.y - a.y, b.x - a.x) };
+        };
+
+        const placements = [];
+        for (const fraction of [0.5, 0.35, 0.65, 0.2, 0.8]) {
+            const start = Math.max(0, Math.min(total - textWidth, total * fraction - textWidth / 2));
+            const glyphs = [];
+            const boxes = [];
+            let offset = start;
+            let straight = true;
+
+            characters.forEach((character, i) => {
+                const position = pointAt(offset + widths[i] / 2);
+                const previous = glyphs[glyphs.length - 1];
+                if (previous) {
+                    const bend = Math.abs(Math.atan2(Math.sin(position.angle - previous.angle), Math.cos(position.angle - previous.angle)));
+                    if (bend > Math.PI / 4) straight = false;
+                }
+
+                const half = Math.max(widths[i], label.fontSize) / 2;
+                glyphs.push({ text: character, x: position.x, y: position.y, angle: position.angle });
+                boxes.push({ minX: position.x - half, minY: position.y - half, maxX: position.x + half, maxY: position.y + half });
+                offset += widths[i];
+            });
+
+            if (straight) placements.push({ boxes, glyphs });
+        }
+
+        return placements;
+    }
+
+    /**
+     * Whether boxes are on screen and overlap nothing placed so far
+     */
+    isFree(boxes) {
+        return boxes.every(box => {
+            if (box.minX < 0 || box.minY < 0 || box.maxX > this.width || box.maxY > this.height) return false;
+
+            for (const key of this.cellKeys(box)) {
+                const others = this.cells.get(key);
+                if (others && others.some(other => other.minX < box.maxX && other.maxX > box.minX &&
+                    other.minY < box.maxY && other.maxY > box.minY)) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    insert(box) {
+        for (const key of this.cellKeys(box)) {
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(box);
+        }
+    }
+
+    /**
+     * Keys of the grid cells a box overlaps
+     */
+    cellKeys(box) {
+        const keys = [];
+        const col0 = Math.floor(box.minX / this.cellSize);
+        const col1 = Math.floor(box.maxX / this.cellSize);
+        const row0 = Math.floor(box.minY / this.cellSize);
+        const row1 = Math.floor(box.maxY / this.cellSize);
+
+        for (let row = row0; row <= row1; row++) {
+            for (let col = col0; col <= col1; col++) {
+                keys.push(`${col},${row}`);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Draw a placed label: all halos first so they never cover the label's own glyphs
+     */
+    draw(label, placement) {
+        const ctx = this.ctx;
+        ctx.globalAlpha = label.opacity;
+        ctx.strokeStyle = label.halo;
+        ctx.fillStyle = label.color;
+
+        ['strokeText', 'fillText'].forEach(method => {
+            placement.glyphs.forEach(({ text, x, y, angle }) => {
+                if (angle === 0) {
+                    ctx[method](text, x, y);
+                    return;
+                }
+                ctx.save();
+                ctx.translate(x, y);
+                ctx.rotate(angle);
+                ctx[method](text, 0, 0);
+                ctx.restore();
+            });
+        });
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LabelEngine;
+}
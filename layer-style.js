@@ -0,0 +1,601 @@
+/**
+ * Layer Style
+ * Data-driven symbology for a GeoJSON layer. A style has a base symbol and one of:
+ * - single: every feature uses the base symbol
+ * - categorized: a colour per distinct value of a field
+ * - graduated: numeric classes (quantile, equal interval or Jenks natural breaks)
+ *   coloured from a ramp and optionally sized
+ * - rules: the first matching expression (see feature-expression.js) wins
+ * - heatmap: points are drawn as a kernel density surface, optionally weighted by a
+ *   field and coloured from a ramp; other geometries keep the base symbol
+ * Point layers can also draw a chart of one or more numeric fields in place of the
+ * symbol: nested circles, a pie, bars or a sparkline, scaled by value, and gather
+ * nearby points into cluster markers showing their count or the sum of a field.
+ * Symbol values left null fall back to the feature's own properties, then the defaults.
+ * The same definition drives drawing and the legend.
+ */
+
+class LayerStyle {
+    constructor(definition = {}) {
+        this.mode = LayerStyle.MODES[definition.mode] ? definition.mode : 'single';
+        this.symbol = Object.assign(LayerStyle.emptySymbol(), definition.symbol);
+        this.label = definition.label || null; // Field shown as a label
+
+        // Categorized and graduated
+        this.field = definition.field || null;
+        this.categories = definition.categories || []; // [{ value, color, label }]
+
+        // Graduated
+        this.method = LayerStyle.METHODS[definition.method] ? definition.method : 'quantile';
+        this.classes = definition.classes || 5;
+        this.ramp = LayerStyle.RAMPS[definition.ramp] ? definition.ramp : 'YlOrRd';
+        this.breaks = definition.breaks || []; // classes + 1 bounds, lowest first
+        this.sizeRange = definition.sizeRange || null; // [min, max] radius, or null for a fixed size
+
+        // Heatmap: kernel radius in map pixels and opacity; weighted by field and coloured by ramp
+        this.heatmap = Object.assign({ radius: 30, opacity: 0.8 }, definition.heatmap);
+
+        // Rules: [{ expression, color, radius, shape, label }]; an empty expression matches everything
+        this.rules = (definition.rules || []).map(rule => Object.assign({}, rule));
+        this.compileRules();
+
+        // Proportional symbol chart: { type, fields, maxSize, maxValue, maxTotal }, or null
+        this.chart = definition.chart && definition.chart.fields && definition.chart.fields.length > 0 ?
+            Object.assign({ type: 'nested', maxSize: 25, maxValue: null, maxTotal: null }, definition.chart) : null;
+
+        // Point clustering: { radius (screen pixels), field (summed, or null to count) }, or null
+        this.cluster = definition.cluster ? Object.assign({ radius: 40, field: null }, definition.cluster) : null;
+    }
+
+    static get MODES() {
+        return {
+            single: 'Single symbol',
+            categorized: 'Categorized',
+            graduated: 'Graduated',
+            rules: 'Rule-based',
+            heatmap: 'Heatmap'
+        };
+    }
+
+    static get METHODS() {
+        return {
+            quantile: 'Quantile (equal count)',
+            equal: 'Equal interval',
+            jenks: 'Natural breaks (Jenks)'
+        };
+    }
+
+    static get CHART_TYPES() {
+        return {
+            nested: 'Nested circles',
+            pie: 'Pie chart',
+            bar: 'Bar chart',
+            sparkline: 'Sparkline'
+        };
+    }
+
+    static get SHAPES() {
+        return ['circle', 'square', 'triangle', 'diamond', 'star'];
+    }
+
+    /**
+     * Colour ramps, low to high (ColorBrewer)
+     */
+    static get RAMPS() {
+        return {
+            YlOrRd: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+            Blues: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'],
+            Greens: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'],
+            Purples: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'],
+            RdYlBu: ['#d7191c', '#fdae61', '#ffffbf', '#abd9e9', '#2c7bb6'],
+            Viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']
+        };
+    }
+
+    /**
+     * Distinct colours for categories (ColorBrewer Set1 + Dark2)
+     */
+    static get PALETTE() {
+        return ['#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#a65628', '#f781bf',
+            '#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02'];
+    }
+
+    /**
+     * Most categories listed before the rest are grouped as "Other"
+     */
+    static get MAX_CATEGORIES() {
+        return 12;
+    }
+
+    static emptySymbol() {
+        return { fill: null, stroke: null, strokeWidth: null, radius: null, shape: null, fillOpacity: null };
+    }
+
+    /**
+     * Whether the style changes nothing, leaving features to their own properties
+     */
+    get isDefault() {
+        return this.mode === 'single' && !this.label && !this.chart && !this.cluster &&
+            Object.values(this.symbol).every(value => value === null);
+    }
+
+    /**
+     * Parse rule expressions; invalid ones keep their error and never match
+     */
+    compileRules() {
+        this.compiledRules = this.rules.map(rule => {
+            if (!rule.expression || !rule.expression.trim()) {
+                return { rule, expression: null, error: null };
+            }
+            try {
+                return { rule, expression: new FeatureExpression(rule.expression), error: null };
+            } catch (error) {
+                return { rule, expression: null, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * Symbol for a feature: { fill, stroke, strokeWidth, radius, shape, fillOpacity, color, label, chart }.
+     * color is the data-driven colour (fill for points and polygons, stroke for lines),
+     * or null when the base symbol applies; chart is the feature's chart (see resolveChart) or null.
+     * Returns null for features hidden by rules.
+     */
+    resolve(properties) {
+        const props = properties || {};
+        const symbol = Object.assign({}, this.symbol, { color: null, chart: this.chart ? this.resolveChart(props) : null });
+
+        switch (this.mode) {
+            case 'categorized': {
+                const category = this.findCategory(props[this.field]);
+                if (category) symbol.color = category.color;
+                break;
+            }
+            case 'graduated': {
+                const index = this.classIndex(props[this.field]);
+                if (index !== -1) {
+                    symbol.color = this.classColor(index);
+                    if (this.sizeRange) symbol.radius = this.classRadius(index);
+                }
+                break;
+            }
+            case 'rules': {
+                const match = this.compiledRules.find(({ expression, error }) =>
+                    !error && (!expression || expression.test(props)));
+                if (!match) return null;
+
+                const rule = match.rule;
+                if (rule.color) symbol.color = rule.color;
+                if (rule.radius) symbol.radius = rule.radius;
+                if (rule.shape) symbol.shape = rule.shape;
+                break;
+            }
+        }
+
+        const text = this.label ? props[this.label] : null;
+        symbol.label = text === null || text === undefined || text === '' ? null : String(text);
+        return symbol;
+    }
+
+    /**
+     * Category for a value; values not listed fall into the "Other" category (value null)
+     */
+    findCategory(value) {
+        const key = LayerStyle.categoryKey(value);
+        return this.categories.find(c => c.value !== null && LayerStyle.categoryKey(c.value) === key) ||
+            this.categories.find(c => c.value === null) || null;
+    }
+
+    static categoryKey(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    /**
+     * Graduated class of a value, or -1 if it is not numeric or out of range.
+     * Classes include their upper bound, so the maximum falls in the last class.
+     */
+    classIndex(value) {
+        const number = FeatureExpression.toNumber(value);
+        const count = this.breaks.length - 1;
+        if (number === null || count < 1) return -1;
+        if (number < this.breaks[0] || number > this.breaks[count]) return -1;
+
+        for (let i = 0; i < count; i++) {
+            if (number <= this.breaks[i + 1]) return i;
+        }
+        return count - 1;
+    }
+
+    classColor(index) {
+        return LayerStyle.rampColors(this.ramp, this.breaks.length - 1)[index];
+    }
+
+    classRadius(index) {
+        const count = this.breaks.length - 1;
+        const [min, max] = this.sizeRange;
+        return count > 1 ? min + (max - min) * index / (count - 1) : max;
+    }
+
+    /**
+     * Recompute categories or class breaks from the layer's features.
+     * Existing category colours are kept for values that remain.
+     */
+    classify(features) {
+        if (this.mode === 'categorized' && this.field) {
+            const previous = new Map(this.categories.map(c => [LayerStyle.categoryKey(c.value), c]));
+            const counts = new Map();
+            features.forEach(feature => {
+                const value = (feature.properties || {})[this.field];
+                if (value === null || value === undefined || value === '') return;
+                const key = LayerStyle.categoryKey(value);
+                counts.set(key, { value, count: (counts.get(key) || { count: 0 }).count + 1 });
+            });
+
+            // Most frequent values first, the remainder grouped as "Other"
+            const values = [...counts.values()].sort((a, b) => b.count - a.count);
+            const listed = values.slice(0, LayerStyle.MAX_CATEGORIES)
+                .sort((a, b) => FeatureExpression.compare(a.value, b.value));
+
+            this.categories = listed.map(({ value }, i) => {
+                const old = previous.get(LayerStyle.categoryKey(value));
+                return {
+                    value,
+                    color: old ? old.color : LayerStyle.PALETTE[i % LayerStyle.PALETTE.length],
+                    label: old ? old.label : String(value)
+                };
+            });
+
+            if (values.length > listed.length) {
+                const old = previous.get('');
+                this.categories.push({ value: null, color: old && old.value === null ? old.color : '#999999', label: 'Other' });
+            }
+        }
+
+        if (this.mode === 'graduated' && this.field) {
+            const values = features
+                .map(feature => FeatureExpression.toNumber((feature.properties || {})[this.field]))
+                .filter(value => value !== null);
+            this.breaks = LayerStyle.computeBreaks(values, this.method, this.classes);
+        }
+
+        if (this.chart) {
+            // Largest value of any charted field (or total, for pies) sets the full chart size
+            let maxValue = 0;
+            let maxTotal = 0;
+            features.forEach(feature => {
+                const values = this.chartValues(feature.properties).map(({ value }) => Math.abs(value || 0));
+                maxValue = Math.max(maxValue, ...values);
+                maxTotal = Math.max(maxTotal, values.reduce((sum, value) => sum + value, 0));
+            });
+            this.chart.maxValue = maxValue || null;
+            this.chart.maxTotal = maxTotal || null;
+        }
+    }
+
+    /**
+     * A feature's chart: { type, values, colors, size, maxSize, maxValue }, where values are
+     * from chartValues and size is the radius the chart extends to in screen pixels.
+     * Nested circles and pies get a radius per value (pies: total) in radii.
+     */
+    resolveChart(properties) {
+        const { type, maxSize, maxValue, maxTotal } = this.chart;
+        const values = this.chartValues(properties);
+        const chart = { type, values, colors: this.chartColors(), maxSize, maxValue, size: 0 };
+
+        if (type === 'nested') {
+            chart.radii = values.map(({ value }) => this.chartRadius(value, maxValue));
+            chart.size = Math.max(0, ...chart.radii);
+        } else if (type === 'pie') {
+            const total = values.reduce((sum, { value }) => sum + Math.abs(value || 0), 0);
+            chart.size = total > 0 ? this.chartRadius(total, maxTotal) : 0;
+        } else {
+            chart.size = maxSize;
+        }
+
+        return chart;
+    }
+
+    /**
+     * Charted values of a feature: [{ field, label, value }], value null when missing
+     */
+    chartValues(properties) {
+        if (!this.chart) return [];
+        const props = properties || {};
+        return this.chart.fields.map(field => ({
+            field,
+            label: LayerStyle.fieldLabel(field),
+            value: FeatureExpression.toNumber(props[field])
+        }));
+    }
+
+    /**
+     * Radius of a circle whose area is proportional to the value, reaching maxSize at max
+     */
+    chartRadius(value, max) {
+        if (!max || value === null || value === 0) return 0;
+        return Math.max(3, this.chart.maxSize * Math.sqrt(Math.min(1, Math.abs(value) / max)));
+    }
+
+    /**
+     * Chart colours, one per field
+     */
+    chartColors() {
+        const count = this.chart.fields.length;
+        if (this.chart.type === 'nested' || this.chart.type === 'sparkline') {
+            // Shades of one hue, darker for later fields (which are drawn on the outside)
+            return LayerStyle.rampColors('Purples', count + 1).slice(1);
+        }
+        return this.chart.fields.map((field, i) => LayerStyle.PALETTE[i % LayerStyle.PALETTE.length]);
+    }
+
+    /**
+     * Numeric fields that form a time series by a year suffix, e.g. population_1900, population_1930.
+     * Returns the fields of the longest such series in year order, or null.
+     */
+    static detectSeries(features) {
+        const series = new Map();
+
+        LayerStyle.fieldsOf(features).filter(field => field.numeric).forEach(field => {
+            const match = field.name.match(/^(.*?)[_\s-]?(1[5-9]\d\d|20\d\d)$/);
+            if (!match) return;
+            const prefix = match[1];
+            if (!series.has(prefix)) series.set(prefix, []);
+            series.get(prefix).push({ name: field.name, year: parseInt(match[2], 10) });
+        });
+
+        const longest = [...series.values()].sort((a, b) => b.length - a.length)[0];
+        return longest && longest.length >= 2 ? longest.sort((a, b) => a.year - b.year).map(f => f.name) : null;
+    }
+
+    /**
+     * Heading for a set of charted fields: their shared name before the year, if any
+     */
+    static seriesTitle(fields) {
+        const prefixes = new Set(fields.map(field => field.replace(/[_\s-]?(1[5-9]\d\d|20\d\d)$/, '')));
+        if (prefixes.size !== 1) return 'Values';
+        const prefix = [...prefixes][0].replace(/[_-]+/g, ' ').trim();
+        return prefix ? prefix[0].toUpperCase() + prefix.slice(1) : 'Values';
+    }
+
+    /**
+     * Short label for a field: the year of year-suffixed fields, otherwise the name
+     */
+    static fieldLabel(field) {
+        const match = field.match(/(?:^|\D)(1[5-9]\d\d|20\d\d)$/);
+        return match ? match[1] : field;
+    }
+
+    /**
+     * Legend rows: [{ label, symbol }], in the order they should be listed
+     */
+    legendEntries() {
+        const entries = this.modeLegendEntries();
+
+        // One swatch per charted field; a sparkline's single line needs none
+        if (this.chart && this.chart.type !== 'sparkline') {
+            const colors = this.chartColors();
+            this.chart.fields.forEach((field, i) => entries.push({
+                label: LayerStyle.fieldLabel(field),
+                symbol: Object.assign(LayerStyle.emptySymbol(), {
+                    color: colors[i],
+                    shape: this.chart.type === 'bar' ? 'square' : 'circle'
+                })
+            }));
+        }
+
+        return entries;
+    }
+
+    modeLegendEntries() {
+        switch (this.mode) {
+            case 'categorized':
+                return this.categories.map(category => ({
+                    label: category.label,
+                    symbol: Object.assign({}, this.symbol, { color: category.color })
+                }));
+            case 'graduated':
+                return this.breaks.slice(0, -1).map((low, i) => ({
+                    label: low === this.breaks[i + 1]
+                        ? LayerStyle.formatValue(low)
+                        : `${LayerStyle.formatValue(low)} – ${LayerStyle.formatValue(this.breaks[i + 1])}`,
+                    symbol: Object.assign({}, this.symbol, {
+                        color: this.classColor(i),
+                        radius: this.sizeRange ? this.classRadius(i) : this.symbol.radius
+                    })
+                }));
+            case 'rules':
+                return this.compiledRules.filter(({ error }) => !error).map(({ rule }) => ({
+                    label: rule.label || rule.expression || 'Everything else',
+                    symbol: Object.assign({}, this.symbol, {
+                        color: rule.color || null,
+                        radius: rule.radius || this.symbol.radius,
+                        shape: rule.shape || this.symbol.shape
+                    })
+                }));
+            case 'heatmap': {
+                const colors = LayerStyle.rampColors(this.ramp, 5);
+                const what = this.field ? `${this.field} density` : 'density';
+                return [
+                    { label: `Low ${what}`, symbol: Object.assign(LayerStyle.emptySymbol(), { color: colors[1] }) },
+                    { label: `High ${what}`, symbol: Object.assign(LayerStyle.emptySymbol(), { color: colors[4] }) }
+                ];
+            }
+            default:
+                return [];
+        }
+    }
+
+    static formatValue(value) {
+        return Number(value).toLocaleString(undefined, { maximumFractionDigits: Math.abs(value) < 10 ? 2 : 0 });
+    }
+
+    /**
+     * Class bounds for the values: classes + 1 numbers from the minimum to the maximum.
+     * Duplicate bounds (from repeated values) are merged, so fewer classes may result;
+     * a single distinct value gives one class from the value to itself.
+     */
+    static computeBreaks(values, method, classes) {
+        if (values.length === 0) return [];
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const count = Math.max(1, Math.min(classes, sorted.length));
+        let inner;
+
+        if (method === 'equal') {
+            inner = Array.from({ length: count - 1 }, (_, i) => min + (max - min) * (i + 1) / count);
+        } else if (method === 'jenks') {
+            inner = LayerStyle.jenksBreaks(LayerStyle.sampleSorted(sorted, 1000), count);
+        } else {
+            inner = Array.from({ length: count - 1 }, (_, i) =>
+                LayerStyle.quantile(sorted, (i + 1) / count));
+        }
+
+        const breaks = [min, ...inner, max];
+        const distinct = breaks.filter((value, i) => i === 0 || value > breaks[i - 1]);
+        return distinct.length > 1 ? distinct : [min, max];
+    }
+
+    /**
+     * Linearly interpolated quantile of sorted values
+     */
+    static quantile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.min(sorted.length - 1, lower + 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Evenly spaced subset of sorted values, keeping both ends; Jenks is quadratic in n
+     */
+    static sampleSorted(sorted, size) {
+        if (sorted.length <= size) return sorted;
+        return Array.from({ length: size }, (_, i) => sorted[Math.round(i * (sorted.length - 1) / (size - 1))]);
+    }
+
+    /**
+     * Inner breaks (upper bounds of all but the last class) by Fisher-Jenks optimal
+     * classification, minimising the within-class sum of squared deviations
+     */
+    static jenksBreaks(sorted, classes) {
+        const n = sorted.length;
+        if (classes >= n) return sorted.slice(0, -1);
+
+        // lowerClassLimits[i][k]: start of the last class when the first i values form k classes
+        const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+        const variances = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+
+        for (let k = 1; k <= classes; k++) {
+            lowerClassLimits[1][k] = 1;
+            variances[1][k] = 0;
+        }
+
+        for (let i = 2; i <= n; i++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let variance = 0;
+
+            for (let m = 1; m <= i; m++) {
+                const lower = i - m + 1;
+                const value = sorted[lower - 1];
+                sum += value;
+                sumSquares += value * value;
+                variance = sumSquares - (sum * sum) / m;
+
+                if (lower > 1) {
+                    for (let k = 2; k <= classes; k++) {
+                        const candidate = variance + variances[lower - 1][k - 1];
+                        if (candidate <= variances[i][k]) {
+                            lowerClassLimits[i][k] = lower;
+                            variances[i][k] = candidate;
+                        }
+                    }
+                }
+            }
+
+            lowerClassLimits[i][1] = 1;
+            variances[i][1] = variance;
+        }
+
+        const inner = [];
+        let end = n;
+        for (let k = classes; k > 1; k--) {
+            const start = lowerClassLimits[end][k];
+            inner.unshift(sorted[start - 2]);
+            end = start - 1;
+        }
+        return inner;
+    }
+
+    /**
+     * n colours spread along a ramp
+     */
+    static rampColors(name, n) {
+        const stops = (LayerStyle.RAMPS[name] || LayerStyle.RAMPS.YlOrRd).map(LayerStyle.parseHex);
+        return Array.from({ length: n }, (_, i) => {
+            const t = n > 1 ? i / (n - 1) * (stops.length - 1) : stops.length - 1;
+            const lower = Math.min(Math.floor(t), stops.length - 2);
+            const f = t - lower;
+            const rgb = stops[lower].map((c, j) => Math.round(c + (stops[lower + 1][j] - c) * f));
+            return '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+        });
+    }
+
+    static parseHex(hex) {
+        const value = hex.replace('#', '');
+        return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+    }
+
+    /**
+     * CSS rgba() for a hex colour at the given opacity
+     */
+    static rgba(hex, alpha) {
+        const [r, g, b] = LayerStyle.parseHex(hex);
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    /**
+     * Property names across the features, with whether every value is numeric
+     */
+    static fieldsOf(features, limit = 1000) {
+        const fields = new Map();
+
+        features.slice(0, limit).forEach(feature => {
+            Object.entries(feature.properties || {}).forEach(([name, value]) => {
+                if (value === null || value === undefined || value === '' || typeof value === 'object') return;
+                const numeric = FeatureExpression.toNumber(value) !== null && typeof value !== 'boolean';
+                const field = fields.get(name) || { name, numeric: true };
+                field.numeric = field.numeric && numeric;
+                fields.set(name, field);
+            });
+        });
+
+        return [...fields.values()];
+    }
+
+    toJSON() {
+        return {
+            mode: this.mode,
+            symbol: this.symbol,
+            label: this.label,
+            field: this.field,
+            categories: this.categories,
+            method: this.method,
+            classes: this.classes,
+            ramp: this.ramp,
+            breaks: this.breaks,
+            sizeRange: this.sizeRange,
+            heatmap: this.heatmap,
+            rules: this.rules,
+            chart: this.chart,
+            cluster: this.cluster
+        };
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayerStyle;
+}
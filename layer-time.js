@@ -0,0 +1,191 @@
+/**
+ * Layer Time
+ * Time dimension of a GeoJSON layer, used to show the map as of a point in time.
+ * Times are decimal years (1905.5 is mid-1905). A layer takes its time from one of:
+ * - field: a date, year or "1900-1930" period in one field
+ * - range: a start and an end field; a missing bound leaves that side open
+ * - series: year-suffixed fields such as population_1900, population_1930
+ * Features without a time value are always shown.
+ */
+
+class LayerTime {
+    constructor(definition = {}) {
+        this.mode = LayerTime.MODES[definition.mode] ? definition.mode : 'field';
+
+        // Field
+        this.field = definition.field || null;
+        this.duration = definition.duration > 0 ? definition.duration : null; // Years an instant stays shown, or null for ever after
+
+        // Range
+        this.startField = definition.startField || null;
+        this.endField = definition.endField || null;
+
+        // Series: fields in year order; fields not yet reached are cleared
+        this.fields = (definition.fields || [])
+            .map(field => ({ field, year: parseInt(LayerStyle.fieldLabel(field), 10) }))
+            .filter(entry => !isNaN(entry.year))
+            .sort((a, b) => a.year - b.year);
+        this.interpolate = definition.interpolate === true; // Fill the next field in with the value in between
+
+        this.intervals = new WeakMap(); // Properties -> parsed interval
+    }
+
+    static get MODES() {
+        return {
+            field: 'Date field',
+            range: 'Start and end fields',
+            series: 'Year-suffixed fields'
+        };
+    }
+
+    /**
+     * Decimal year for a year number, a date string or a Date, or null
+     */
+    static parseTime(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+
+        let date = value instanceof Date ? value : null;
+        if (!date) {
+            const text = String(value).trim();
+            if (/^-?\d{1,4}$/.test(text)) return parseInt(text, 10);
+
+            const iso = text.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?/);
+            date = iso ?
+                new Date(Date.UTC(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, iso[3] ? parseInt(iso[3], 10) : 1)) :
+                new Date(text);
+        }
+
+        const time = date.getTime();
+        if (isNaN(time)) return null;
+
+        const year = date.getUTCFullYear();
+        const start = Date.UTC(year, 0, 1);
+        return year + (time - start) / (Date.UTC(year + 1, 0, 1) - start);
+    }
+
+    /**
+     * { start, end } for a period such as "1900-1930" or "1900 to 1930",
+     * or an instant for any other time value; null if there is no time
+     */
+    static parseInterval(value) {
+        const period = typeof value === 'string' && value.match(/^\s*(-?\d{3,4})\s*(?:-|–|—|to)\s*(-?\d{3,4})\s*$/i);
+        if (period) {
+            const start = parseInt(period[1], 10);
+            const end = parseInt(period[2], 10);
+            return { start: Math.min(start, end), end: Math.max(start, end) };
+        }
+
+        const time = LayerTime.parseTime(value);
+        return time === null ? null : { start: time, end: time };
+    }
+
+    /**
+     * Year, or year and month when stepping by less than a year
+     */
+    static formatTime(time, step = 1 / 12) {
+        const year = Math.floor(time + 1e-6);
+        const month = Math.floor((time - year) * 12 + 1e-6);
+        return step < 1 ? `${year}-${String(month + 1).padStart(2, '0')}` : String(year);
+    }
+
+    /**
+     * Slider step for a time extent: years, or months for short extents
+     */
+    static stepFor(extent) {
+        return extent.max - extent.min >= 3 ? 1 : 1 / 12;
+    }
+
+    /**
+     * When a feature is present as { start, end }, open ends being infinite; null if it has no time
+     */
+    featureInterval(properties) {
+        if (this.intervals.has(properties)) return this.intervals.get(properties);
+
+        let interval = null;
+        if (this.mode === 'field') {
+            interval = LayerTime.parseInterval(properties[this.field]);
+            if (interval && interval.start === interval.end) {
+                interval.end = this.duration ? interval.start + this.duration : Infinity;
+            }
+        } else if (this.mode === 'range') {
+            const start = LayerTime.parseInterval(properties[this.startField]);
+            const end = LayerTime.parseInterval(properties[this.endField]);
+            if (start || end) {
+                interval = { start: start ? start.start : -Infinity, end: end ? end.end : Infinity };
+            }
+        }
+
+        this.intervals.set(properties, interval);
+        return interval;
+    }
+
+    /**
+     * { min, max } of the layer's times, or null if none of its features have one
+     */
+    extent(features) {
+        if (this.mode === 'series') {
+            return this.fields.length > 0 ?
+                { min: this.fields[0].year, max: this.fields[this.fields.length - 1].year } : null;
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        features.forEach(feature => {
+            const interval = this.featureInterval(feature.properties || {});
+            if (!interval) return;
+            [interval.start, interval.end].filter(isFinite).forEach(time => {
+                min = Math.min(min, time);
+                max = Math.max(max, time);
+            });
+        });
+
+        return min <= max ? { min, max } : null;
+    }
+
+    /**
+     * Properties to style a feature with as of a time, or null if it is not present then
+     */
+    apply(properties, time) {
+        if (this.mode !== 'series') {
+            const interval = this.featureInterval(properties);
+            return !interval || (interval.start <= time && time <= interval.end) ? properties : null;
+        }
+
+        if (this.fields.length === 0) return properties;
+        if (time < this.fields[0].year) return null;
+
+        const result = Object.assign({}, properties);
+        this.fields.forEach(({ field, year }, i) => {
+            if (year <= time) return;
+
+            const previous = this.fields[i - 1];
+            const from = FeatureExpression.toNumber(properties[previous.field]);
+            const to = FeatureExpression.toNumber(properties[field]);
+            const next = previous.year <= time; // First field not yet reached
+
+            result[field] = this.interpolate && next && from !== null && to !== null ?
+                from + (to - from) * (time - previous.year) / (year - previous.year) :
+                null;
+        });
+
+        return result;
+    }
+
+    toJSON() {
+        return {
+            mode: this.mode,
+            field: this.field,
+            duration: this.duration,
+            startField: this.startField,
+            endField: this.endField,
+            fields: this.fields.map(entry => entry.field),
+            interpolate: this.interpolate
+        };
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayerTime;
+}
@@ -0,0 +1,178 @@
+/**
+ * Overview Map
+ * Small picture of the whole map image in a corner of the map, with a rectangle for
+ * the part shown in the main view. The viewer redraws it with every frame, so the
+ * rectangle follows panning and zooming. Clicking the overview centres the main view
+ * on that spot; dragging moves the view with the pointer, keeping hold of the
+ * rectangle where it was grabbed.
+ */
+
+class OverviewMap {
+    constructor(gisViewer, canvas, maxSize = 180) {
+        this.gisViewer = gisViewer;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.maxSize = maxSize; // Longest side in CSS pixels
+        this.width = 0;
+        this.height = 0;
+        this.scale = 1; // Overview pixels per map image pixel
+        this.thumbnail = null; // Downscaled copy of the map image
+        this.thumbnailSource = null;
+        this.dragOffset = null; // Grab point relative to the view centre, in map pixels, while dragging
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', () => this.handleMouseUp());
+    }
+
+    /**
+     * Main view's visible extent in map pixels; only the left pane of a split comparison shows the active map
+     */
+    getViewRect() {
+        const viewer = this.gisViewer;
+        const split = viewer.getComparison() && viewer.compareMode === 'split';
+        const topLeft = viewer.screenToMap(0, 0);
+        const bottomRight = viewer.screenToMap(split ? viewer.displayWidth / 2 : viewer.displayWidth, viewer.displayHeight);
+        return { minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y };
+    }
+
+    /**
+     * Fit the canvas to the map image's proportions
+     */
+    resize(image) {
+        this.scale = this.maxSize / Math.max(image.width, image.height);
+        const width = Math.max(1, Math.round(image.width * this.scale));
+        const height = Math.max(1, Math.round(image.height * this.scale));
+        if (width === this.width && height === this.height) return;
+
+        const dpr = window.devicePixelRatio || 1;
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.thumbnail = null;
+    }
+
+    /**
+     * Downscaled copy of the map image, made once per image: scans can be far too
+     * large to scale down on every frame
+     */
+    getThumbnail(image) {
+        if (this.thumbnail && this.thumbnailSource === image) return this.thumbnail;
+
+        const dpr = window.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width * dpr;
+        canvas.height = this.height * dpr;
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        this.thumbnail = canvas;
+        this.thumbnailSource = image;
+        return canvas;
+    }
+
+    /**
+     * Draw the overview, or hide it when it is turned off or there is no map
+     */
+    render() {
+        const viewer = this.gisViewer;
+        const image = viewer.mapImage;
+        if (!viewer.showOverview || !image) {
+            this.canvas.style.display = 'none';
+            return;
+        }
+
+        this.canvas.style.display = 'block';
+        this.resize(image);
+
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        // Cached thumbnail of the image, or of a tiled scan's preview
+        ctx.drawImage(this.getThumbnail(image.tiled ? image.preview : image), 0, 0, this.width, this.height);
+
+        // Shade what is out of view, then outline the view
+        const view = this.getViewRect();
+        const x = view.minX * this.scale;
+        const y = view.minY * this.scale;
+        const width = (view.maxX - view.minX) * this.scale;
+        const height = (view.maxY - view.minY) * this.scale;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.beginPath();
+        ctx.rect(0, 0, this.width, this.height);
+        ctx.rect(x, y, width, height);
+        ctx.fill('evenodd');
+
+        ctx.strokeStyle = '#ff6b35';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+        ctx.restore();
+    }
+
+    /**
+     * Map image pixel under a mouse position
+     */
+    eventToMap(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) / this.scale,
+            y: (event.clientY - rect.top) / this.scale
+        };
+    }
+
+    handleMouseDown(event) {
+        event.preventDefault();
+        const point = this.eventToMap(event);
+        const view = this.getViewRect();
+
+        // Grabbing the rectangle keeps hold of it; elsewhere the view jumps to the spot
+        const inside = point.x >= view.minX && point.x <= view.maxX && point.y >= view.minY && point.y <= view.maxY;
+        this.dragOffset = inside
+            ? { x: point.x - (view.minX + view.maxX) / 2, y: point.y - (view.minY + view.maxY) / 2 }
+            : { x: 0, y: 0 };
+
+        this.canvas.style.cursor = 'grabbing';
+        this.centreOn(point.x - this.dragOffset.x, point.y - this.dragOffset.y);
+    }
+
+    handleMouseMove(event) {
+        if (!this.dragOffset) return;
+
+        const point = this.eventToMap(event);
+        this.centreOn(point.x - this.dragOffset.x, point.y - this.dragOffset.y);
+    }
+
+    handleMouseUp() {
+        if (!this.dragOffset) return;
+
+        this.dragOffset = null;
+        this.canvas.style.cursor = '';
+    }
+
+    /**
+     * Pan the main view so a map image pixel is at its centre, keeping the zoom
+     */
+    centreOn(x, y) {
+        const viewer = this.gisViewer;
+        const view = this.getViewRect();
+        const scale = viewer.viewport.scale;
+
+        viewer.viewport.x -= (x - (view.minX + view.maxX) / 2) * scale;
+        viewer.viewport.y -= (y - (view.minY + view.maxY) / 2) * scale;
+        viewer.scheduleRender();
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OverviewMap;
+}
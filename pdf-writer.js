@@ -0,0 +1,349 @@
+/**
+ * PDF Writer
+ * Minimal single-page PDF builder for map exports. It draws through a subset of the
+ * Canvas 2D API (paths, rectangles, arcs, text, transforms, colours with alpha), so
+ * code that draws map furniture onto a canvas can draw the same furniture as vectors.
+ * JPEG images are embedded as they are. Units are points (1/72 inch) from the top-left
+ * corner of the page, y increasing downwards.
+ *
+ * Unlike a canvas, paths are stored as drawn and transformed when they are filled or
+ * stroked, so the transform should not change while a path is being built. Text uses
+ * the standard Helvetica fonts, so only the WinAnsi (Latin-1) characters are available.
+ */
+
+class PDFWriter {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.content = [`1 0 0 -1 0 ${PDFWriter.number(height)} cm`]; // Flip to top-left origin
+        this.path = [];
+        this.images = [];
+        this.alphaStates = new Map(); // 'fill stroke' alphas -> graphics state name
+
+        // Drawing state, as on a canvas context
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineJoin = 'miter';
+        this.font = '10px Helvetica';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.stack = [];
+    }
+
+    /**
+     * Paper sizes in millimetres, portrait
+     */
+    static get PAPER_SIZES() {
+        return {
+            a4: { label: 'A4', width: 210, height: 297 },
+            a3: { label: 'A3', width: 297, height: 420 },
+            a2: { label: 'A2', width: 420, height: 594 },
+            letter: { label: 'Letter', width: 215.9, height: 279.4 },
+            legal: { label: 'Legal', width: 215.9, height: 355.6 },
+            tabloid: { label: 'Tabloid', width: 279.4, height: 431.8 }
+        };
+    }
+
+    /**
+     * Millimetres to points
+     */
+    static mmToPoints(mm) {
+        return mm / 25.4 * 72;
+    }
+
+    /**
+     * { rgb: [r, g, b] in 0-1, alpha } from '#rgb', '#rrggbb', 'rgb()', 'rgba()', 'white' or 'black'
+     */
+    static parseColor(color) {
+        const text = String(color).trim();
+        const rgb = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+        if (rgb) {
+            return { rgb: [rgb[1], rgb[2], rgb[3]].map(v => parseFloat(v) / 255), alpha: rgb[4] !== undefined ? parseFloat(rgb[4]) : 1 };
+        }
+
+        let hex = text.replace('#', '');
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        if (!/^[0-9a-f]{6}$/i.test(hex)) hex = text === 'white' ? 'ffffff' : '000000';
+        return { rgb: [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255), alpha: 1 };
+    }
+
+    static number(value) {
+        return parseFloat(value.toFixed(3)).toString();
+    }
+
+    write(...operators) {
+        this.content.push(operators.map(op => (typeof op === 'number' ? PDFWriter.number(op) : op)).join(' '));
+    }
+
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineJoin: this.lineJoin,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            globalAlpha: this.globalAlpha
+        });
+        this.write('q');
+    }
+
+    restore() {
+        if (this.stack.length === 0) return;
+        Object.assign(this, this.stack.pop());
+        this.write('Q');
+    }
+
+    translate(x, y) {
+        this.write(1, 0, 0, 1, x, y, 'cm');
+    }
+
+    scale(x, y) {
+        this.write(x, 0, 0, y, 0, 0, 'cm');
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.write(cos, sin, -sin, cos, 0, 0, 'cm');
+    }
+
+    beginPath() {
+        this.path = [];
+    }
+
+    moveTo(x, y) {
+        this.path.push(`${PDFWriter.number(x)} ${PDFWriter.number(y)} m`);
+    }
+
+    lineTo(x, y) {
+        // A canvas starts a path at its first point, whichever call adds it
+        this.path.push(`${PDFWriter.number(x)} ${PDFWriter.number(y)} ${this.path.length === 0 ? 'm' : 'l'}`);
+    }
+
+    closePath() {
+        if (this.path.length > 0) this.path.push('h');
+    }
+
+    rect(x, y, width, height) {
+        this.path.push([x, y, width, height].map(PDFWriter.number).join(' ') + ' re');
+    }
+
+    /**
+     * Circular arc as Bezier curves of at most a quarter turn each
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (!counterclockwise && sweep < 0) sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+        if (counterclockwise && sweep > 0) sweep = sweep % (2 * Math.PI) - 2 * Math.PI;
+        sweep = Math.max(-2 * Math.PI, Math.min(2 * Math.PI, sweep));
+
+        const point = angle => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+        const [startX, startY] = point(startAngle);
+        if (this.path.length === 0) this.moveTo(startX, startY);
+        else this.lineTo(startX, startY);
+
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+        const step = sweep / segments;
+        const k = 4 / 3 * Math.tan(step / 4) * radius;
+
+        for (let i = 0; i < segments; i++) {
+            const a0 = startAngle + i * step;
+            const a1 = a0 + step;
+            const [x0, y0] = point(a0);
+            const [x3, y3] = point(a1);
+            const control = [
+                x0 - k * Math.sin(a0), y0 + k * Math.cos(a0),
+                x3 + k * Math.sin(a1), y3 - k * Math.cos(a1)
+            ];
+            this.path.push([...control, x3, y3].map(PDFWriter.number).join(' ') + ' c');
+        }
+    }
+
+    fill() {
+        if (this.path.length === 0) return;
+        this.setPaint('fill');
+        this.write(this.path.join(' '), 'f');
+    }
+
+    stroke() {
+        if (this.path.length === 0) return;
+        this.setPaint('stroke');
+        this.write(this.path.join(' '), 'S');
+    }
+
+    clip() {
+        if (this.path.length === 0) return;
+        this.write(this.path.join(' '), 'W n');
+    }
+
+    fillRect(x, y, width, height) {
+        this.setPaint('fill');
+        this.write(x, y, width, height, 're f');
+    }
+
+    strokeRect(x, y, width, height) {
+        this.setPaint('stroke');
+        this.write(x, y, width, height, 're S');
+    }
+
+    /**
+     * Set the colour, alpha and line style for a fill or stroke
+     */
+    setPaint(mode) {
+        const { rgb, alpha } = PDFWriter.parseColor(mode === 'fill' ? this.fillStyle : this.strokeStyle);
+        this.write(...rgb, mode === 'fill' ? 'rg' : 'RG');
+
+        const opacity = Math.max(0, Math.min(1, alpha * this.globalAlpha));
+        const key = mode === 'fill' ? `${opacity} 1` : `1 ${opacity}`;
+        if (!this.alphaStates.has(key)) this.alphaStates.set(key, `GS${this.alphaStates.size + 1}`);
+        this.write(`/${this.alphaStates.get(key)}`, 'gs');
+
+        if (mode === 'stroke') {
+            this.write(this.lineWidth, 'w', { miter: 0, round: 1, bevel: 2 }[this.lineJoin] || 0, 'j');
+        }
+    }
+
+    /**
+     * Size and weight of the current font
+     */
+    getFont() {
+        const match = this.font.match(/(bold\s+)?([\d.]+)px/);
+        return { bold: Boolean(match && match[1]), size: match ? parseFloat(match[2]) : 10 };
+    }
+
+    measureText(text) {
+        const { size, bold } = this.getFont();
+        return { width: PDFWriter.textWidth(text, size, bold) };
+    }
+
+    fillText(text, x, y) {
+        this.setPaint('fill');
+        this.drawText(text, x, y, 0);
+    }
+
+    strokeText(text, x, y) {
+        this.setPaint('stroke');
+        this.drawText(text, x, y, 1);
+    }
+
+    /**
+     * Write text aligned as on a canvas, with render mode 0 (fill) or 1 (stroke)
+     */
+    drawText(text, x, y, renderMode) {
+        const { size, bold } = this.getFont();
+        const width = PDFWriter.textWidth(text, size, bold);
+        const left = this.textAlign === 'center' ? x - width / 2
+            : this.textAlign === 'right' || this.textAlign === 'end' ? x - width : x;
+
+        // Baseline offsets for Helvetica's ascent and descent
+        const shift = { top: 0.75, hanging: 0.7, middle: 0.35, bottom: -0.2, ideographic: -0.2 }[this.textBaseline] || 0;
+
+        // The text matrix flips glyphs back upright on the flipped page
+        this.write('BT', bold ? '/F2' : '/F1', size, 'Tf', renderMode, 'Tr',
+            1, 0, 0, -1, left, y + shift * size, 'Tm', `(${PDFWriter.encodeText(text)})`, 'Tj', 'ET');
+    }
+
+    /**
+     * Width of a text in points, measured with a canvas as Helvetica (or its metric twin Arial)
+     */
+    static textWidth(text, size, bold = false) {
+        if (!PDFWriter.measureContext) {
+            PDFWriter.measureContext = document.createElement('canvas').getContext('2d');
+        }
+        PDFWriter.measureContext.font = `${bold ? 'bold ' : ''}${size}px Helvetica, Arial, sans-serif`;
+        return PDFWriter.measureContext.measureText(String(text)).width;
+    }
+
+    /**
+     * Text as a PDF string in WinAnsiEncoding; characters it lacks become '?'
+     */
+    static encodeText(text) {
+        const special = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+        return [...String(text)].map(character => {
+            const code = special[character] || character.charCodeAt(0);
+            if (code > 255 || (code < 32 && !special[character])) return '?';
+            const byte = String.fromCharCode(code);
+            return byte === '(' || byte === ')' || byte === '\\' ? '\\' + byte : byte;
+        }).join('');
+    }
+
+    /**
+     * Draw a JPEG, given as bytes, of pixelWidth x pixelHeight pixels into a box
+     */
+    drawJPEG(jpeg, pixelWidth, pixelHeight, x, y, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, jpeg, pixelWidth, pixelHeight });
+        this.write('q', width, 0, 0, -height, x, y + height, 'cm', `/${name}`, 'Do', 'Q');
+    }
+
+    /**
+     * Build the document as a Blob
+     */
+    generate() {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const push = (bytes) => {
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const object = (number, body, stream = null) => {
+            offsets[number] = length;
+            push(encoder.encode(`${number} 0 obj\n${body}\n`));
+            if (stream) {
+                push(encoder.encode('stream\n'));
+                push(stream);
+                push(encoder.encode('\nendstream\n'));
+            }
+            push(encoder.encode('endobj\n'));
+        };
+
+        // Content is Latin-1, one byte per character, which TextEncoder (UTF-8) would not keep
+        const text = this.content.join('\n');
+        const content = Uint8Array.from(text, character => character.charCodeAt(0) & 0xff);
+
+        // 1 catalog, 2 pages, 3 page, 4 contents, 5-6 fonts, then images and alpha states
+        const imageNumber = i => 7 + i;
+        const alphaNumber = i => 7 + this.images.length + i;
+        const images = this.images.map((image, i) => `/${image.name} ${imageNumber(i)} 0 R`).join(' ');
+        const alphas = [...this.alphaStates.values()].map((name, i) => `/${name} ${alphaNumber(i)} 0 R`).join(' ');
+
+        push(encoder.encode('%PDF-1.4\n'));
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+        object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDFWriter.number(this.width)} ${PDFWriter.number(this.height)}] ` +
+            `/Resources << /Font << /F1 5 0 R /F2 6 0 R >> /XObject << ${images} >> /ExtGState << ${alphas} >> >> /Contents 4 0 R >>`);
+        object(4, `<< /Length ${content.length} >>`, content);
+        object(5, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        object(6, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        this.images.forEach((image, i) => {
+            object(imageNumber(i), `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>`, image.jpeg);
+        });
+        [...this.alphaStates.keys()].forEach((key, i) => {
+            const [fill, stroke] = key.split(' ');
+            object(alphaNumber(i), `<< /Type /ExtGState /ca ${fill} /CA ${stroke} >>`);
+        });
+
+        const count = alphaNumber(this.alphaStates.size);
+        const xref = length;
+        let table = `xref\n0 ${count}\n0000000000 65535 f \n`;
+        for (let i = 1; i < count; i++) {
+            table += `${String(offsets[i]).padStart(10, '0')} 00000 n \n`;
+        }
+        push(encoder.encode(`${table}trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`));
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFWriter;
+}
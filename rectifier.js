@@ -0,0 +1,208 @@
+/**
+ * Map Rectifier
+ * Resamples a calibrated map image onto a regular lat/lng or projected grid
+ */
+
+class MapRectifier {
+    /**
+     * image: loaded map image; transform: calibration from image pixels to
+     * coordinates in mapCRS; grid: 'projected' (map CRS) or 'geographic' (WGS84)
+     */
+    constructor({ image, transform, mapCRS, grid = 'projected', resampling = 'bilinear', maxSize = 8192 }) {
+        this.image = image;
+        this.transform = transform;
+        this.mapCRS = mapCRS;
+        this.outputCRS = grid === 'geographic' ? CRS.fromCode('EPSG:4326') : mapCRS;
+        this.resampling = resampling;
+        this.maxSize = maxSize;
+        this.gridStep = 16; // Output pixels between exactly inverted grid nodes
+    }
+
+    /**
+     * Convert map CRS coordinates to the output grid CRS and back
+     */
+    mapToOutput(x, y) {
+        if (this.outputCRS === this.mapCRS) return { x, y };
+        const { lng, lat } = this.mapCRS.inverse(x, y);
+        return this.outputCRS.forward(lng, lat);
+    }
+
+    outputToMap(x, y) {
+        if (this.outputCRS === this.mapCRS) return { x, y };
+        const { lng, lat } = this.outputCRS.inverse(x, y);
+        return this.mapCRS.forward(lng, lat);
+    }
+
+    /**
+     * Output grid extent, pixel size and dimensions, keeping roughly the
+     * resolution of the original scan
+     */
+    computeGrid() {
+        const { width, height } = this.image;
+        const edge = [];
+        const steps = 64;
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            edge.push([width * t, 0], [width * t, height], [0, height * t], [width, height * t]);
+        }
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        edge.forEach(([px, py]) => {
+            const mapped = this.transform.forward(px, py);
+            const { x, y } = this.mapToOutput(mapped.x, mapped.y);
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        });
+
+        // Ground size of one source pixel at the image centre
+        const toOutput = (px, py) => {
+            const mapped = this.transform.forward(px, py);
+            return this.mapToOutput(mapped.x, mapped.y);
+        };
+        const centre = toOutput(width / 2, height / 2);
+        const right = toOutput(width / 2 + 1, height / 2);
+        const down = toOutput(width / 2, height / 2 + 1);
+        const area = Math.abs((right.x - centre.x) * (down.y - centre.y) - (right.y - centre.y) * (down.x - centre.x));
+
+        let pixelSize = Math.sqrt(area);
+        if (!isFinite(pixelSize) || pixelSize <= 0 || !isFinite(minX) || !isFinite(maxY)) {
+            throw new Error('Calibration cannot be rectified');
+        }
+
+        pixelSize = Math.max(pixelSize, (maxX - minX) / this.maxSize, (maxY - minY) / this.maxSize);
+
+        return {
+            origin: { x: minX, y: maxY },
+            pixelSize,
+            width: Math.max(1, Math.ceil((maxX - minX) / pixelSize)),
+            height: Math.max(1, Math.ceil((maxY - minY) / pixelSize))
+        };
+    }
+
+    /**
+     * RGBA pixels of the source image
+     */
+    getSourcePixels() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.image.width;
+        canvas.height = this.image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.image, 0, 0);
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Source pixel positions for a row of grid nodes (inverse calibration)
+     */
+    invertNodeRow(grid, nodeRow, columns) {
+        const nodes = [];
+        const y = grid.origin.y - Math.min(nodeRow * this.gridStep, grid.height) * grid.pixelSize;
+
+        for (let column = 0; column < columns; column++) {
+            const x = grid.origin.x + Math.min(column * this.gridStep, grid.width) * grid.pixelSize;
+            const mapped = this.outputToMap(x, y);
+            const source = this.transform.inverse(mapped.x, mapped.y);
+            nodes.push(source && isFinite(source.x) && isFinite(source.y) ? source : null);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Resample the image; resolves to { width, height, data, origin, pixelSize, crs }.
+     * The calibration is inverted exactly on a coarse grid and interpolated in between.
+     */
+    async rectify(onProgress = () => {}) {
+        const grid = this.computeGrid();
+        const source = this.getSourcePixels();
+        const data = new Uint8ClampedArray(grid.width * grid.height * 4);
+        const step = this.gridStep;
+        const columns = Math.ceil(grid.width / step) + 1;
+        const nodeRows = Math.ceil(grid.height / step);
+
+        let upper = this.invertNodeRow(grid, 0, columns);
+
+        for (let nodeRow = 0; nodeRow < nodeRows; nodeRow++) {
+            const lower = this.invertNodeRow(grid, nodeRow + 1, columns);
+            const rowStart = nodeRow * step;
+            const rowEnd = Math.min(rowStart + step, grid.height);
+            const rowSpan = Math.min((nodeRow + 1) * step, grid.height) - rowStart;
+
+            for (let row = rowStart; row < rowEnd; row++) {
+                const v = (row + 0.5 - rowStart) / rowSpan;
+
+                for (let col = 0; col < grid.width; col++) {
+                    const column = Math.floor(col / step);
+                    const colStart = column * step;
+                    const colSpan = Math.min((column + 1) * step, grid.width) - colStart;
+                    const u = (col + 0.5 - colStart) / colSpan;
+
+                    const n00 = upper[column], n10 = upper[column + 1];
+                    const n01 = lower[column], n11 = lower[column + 1];
+                    if (!n00 || !n10 || !n01 || !n11) continue;
+
+                    const x = (1 - v) * ((1 - u) * n00.x + u * n10.x) + v * ((1 - u) * n01.x + u * n11.x);
+                    const y = (1 - v) * ((1 - u) * n00.y + u * n10.y) + v * ((1 - u) * n01.y + u * n11.y);
+
+                    this.sample(source, x, y, data, (row * grid.width + col) * 4);
+                }
+            }
+
+            upper = lower;
+            onProgress((nodeRow + 1) / nodeRows);
+
+            // Yield so the page stays responsive on large maps
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return {
+            width: grid.width,
+            height: grid.height,
+            data,
+            origin: grid.origin,
+            pixelSize: { x: grid.pixelSize, y: grid.pixelSize },
+            crs: this.outputCRS
+        };
+    }
+
+    /**
+     * Sample the source at pixel position (x, y) into out[offset..offset+3].
+     * Pixel centres lie at half-integer positions; outside the image stays transparent.
+     */
+    sample(source, x, y, out, offset) {
+        const { width, height, data } = source;
+
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+
+        if (this.resampling === 'nearest') {
+            const index = (Math.floor(y) * width + Math.floor(x)) * 4;
+            out[offset] = data[index];
+            out[offset + 1] = data[index + 1];
+            out[offset + 2] = data[index + 2];
+            out[offset + 3] = data[index + 3];
+            return;
+        }
+
+        const fx = Math.min(Math.max(x - 0.5, 0), width - 1);
+        const fy = Math.min(Math.max(y - 0.5, 0), height - 1);
+        const x0 = Math.floor(fx), y0 = Math.floor(fy);
+        const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+        const tx = fx - x0, ty = fy - y0;
+
+        const i00 = (y0 * width + x0) * 4, i10 = (y0 * width + x1) * 4;
+        const i01 = (y1 * width + x0) * 4, i11 = (y1 * width + x1) * 4;
+
+        for (let channel = 0; channel < 4; channel++) {
+            const top = data[i00 + channel] * (1 - tx) + data[i10 + channel] * tx;
+            const bottom = data[i01 + channel] * (1 - tx) + data[i11 + channel] * tx;
+            out[offset + channel] = top * (1 - ty) + bottom * ty;
+        }
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapRectifier;
+}
@@ -0,0 +1,144 @@
+/**
+ * Spatial Index
+ * Static R-tree over bounding boxes, bulk loaded with Sort-Tile-Recursive packing.
+ * Items are plain objects with minX, minY, maxX and maxY; any other fields are
+ * carried along untouched. The tree is rebuilt rather than updated in place.
+ */
+
+class SpatialIndex {
+    constructor(items = [], nodeSize = 16) {
+        this.nodeSize = Math.max(2, nodeSize);
+        this.size = items.length;
+        this.root = items.length > 0 ? this.build(items) : null;
+    }
+
+    /**
+     * Pack items into leaves, then pack each level into parents until one node remains
+     */
+    build(items) {
+        let nodes = this.pack(items.map(item => ({
+            minX: item.minX, minY: item.minY, maxX: item.maxX, maxY: item.maxY, item
+        })), true);
+
+        while (nodes.length > 1) {
+            nodes = this.pack(nodes, false);
+        }
+
+        return nodes[0];
+    }
+
+    /**
+     * Group entries into nodes of up to nodeSize: sort by x into vertical slices,
+     * then by y within each slice
+     */
+    pack(entries, leaf) {
+        const nodeCount = Math.ceil(entries.length / this.nodeSize);
+        const sliceCount = Math.ceil(Math.sqrt(nodeCount));
+        const sliceSize = sliceCount * this.nodeSize;
+        const centre = (min, max) => min + max;
+
+        entries.sort((a, b) => centre(a.minX, a.maxX) - centre(b.minX, b.maxX));
+
+        const nodes = [];
+        for (let i = 0; i < entries.length; i += sliceSize) {
+            const slice = entries.slice(i, i + sliceSize);
+            slice.sort((a, b) => centre(a.minY, a.maxY) - centre(b.minY, b.maxY));
+
+            for (let j = 0; j < slice.length; j += this.nodeSize) {
+                nodes.push(SpatialIndex.createNode(slice.slice(j, j + this.nodeSize), leaf));
+            }
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Node whose box covers all of its children
+     */
+    static createNode(children, leaf) {
+        const node = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, children, leaf };
+
+        for (const child of children) {
+            node.minX = Math.min(node.minX, child.minX);
+            node.minY = Math.min(node.minY, child.minY);
+            node.maxX = Math.max(node.maxX, child.maxX);
+            node.maxY = Math.max(node.maxY, child.maxY);
+        }
+
+        return node;
+    }
+
+    /**
+     * Items whose boxes intersect the given box
+     */
+    search(minX, minY, maxX, maxY) {
+        const results = [];
+        if (!this.root) return results;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.minX > maxX || node.maxX < minX || node.minY > maxY || node.maxY < minY) continue;
+
+            if (node.leaf) {
+                for (const entry of node.children) {
+                    if (entry.minX <= maxX && entry.maxX >= minX && entry.minY <= maxY && entry.maxY >= minY) {
+                        results.push(entry.item);
+                    }
+                }
+            } else {
+                stack.push(...node.children);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Distance from (x, y) to the segment from a to b
+     */
+    static distanceToSegment(x, y, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared)) : 0;
+        return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+    }
+
+    /**
+     * Distance from (x, y) to a polyline
+     */
+    static distanceToLine(x, y, points) {
+        if (points.length === 1) return Math.hypot(x - points[0].x, y - points[0].y);
+
+        let min = Infinity;
+        for (let i = 1; i < points.length; i++) {
+            min = Math.min(min, SpatialIndex.distanceToSegment(x, y, points[i - 1], points[i]));
+        }
+        return min;
+    }
+
+    /**
+     * Even-odd test against all rings, so holes are excluded
+     */
+    static pointInPolygon(x, y, rings) {
+        let inside = false;
+
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i];
+                const b = ring[j];
+                if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+            }
+        }
+
+        return inside;
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialIndex;
+}
@@ -1,11 +1,32 @@
 // Service Worker for GIS Viewer PWA
-const CACHE_NAME = 'gis-viewer-v1.0.0';
+const CACHE_NAME = 'gis-viewer-v1.1.0';
 const urlsToCache = [
   './',
   './index.html',
   './demo.html',
   './styles.css',
   './gis-viewer.js',
+  './historical-importer.js',
+  './crs.js',
+  './coordinate-parser.js',
+  './transforms.js',
+  './zip-writer.js',
+  './geotiff-writer.js',
+  './pdf-writer.js',
+  './rectifier.js',
+  './tile-store.js',
+  './tile-pyramid.js',
+  './tile-worker.js',
+  './spatial-index.js',
+  './feature-expression.js',
+  './layer-style.js',
+  './layer-time.js',
+  './density-grid.js',
+  './label-engine.js',
+  './image-warp.js',
+  './base-map.js',
+  './overview-map.js',
+  './geojson-layer.js',
   './sample-data.geojson',
   './README.md',
   './manifest.json'
@@ -0,0 +1,52 @@
+/**
+ * Coordinate parser checks: positions formatted as UTM and MGRS must parse back to
+ * the same place, in every latitude band and both hemispheres.
+ * Run with: node tests/coordinate-parser.test.js
+ */
+
+const assert = require('assert');
+
+global.CRS = require('../crs.js');
+const CoordinateParser = require('../coordinate-parser.js');
+
+const places = [
+    { name: 'Athens (band S)', lat: 37.98, lng: 23.73 },
+    { name: 'Malta (band S)', lat: 35, lng: 15 },
+    { name: 'Tokyo (band S)', lat: 35.68, lng: 139.69 },
+    { name: 'Paris (band U)', lat: 48.8566, lng: 2.3522 },
+    { name: 'Equator (band N)', lat: 0.5, lng: 10 },
+    { name: 'Sydney (band H)', lat: -33.86, lng: 151.21 },
+    { name: 'Cape Horn (band F)', lat: -55.98, lng: -67.27 }
+];
+
+// Formats truncate to whole metres, so allow a couple of metres in degrees
+const tolerance = 3e-5;
+
+for (const format of ['utm', 'mgrs']) {
+    for (const place of places) {
+        const text = CoordinateParser.format(place.lat, place.lng, format);
+        const parsed = CoordinateParser.parse(text);
+        assert.ok(Math.abs(parsed.lat - place.lat) < tolerance && Math.abs(parsed.lng - place.lng) < tolerance,
+            `${place.name}: "${text}" parsed as ${parsed.lat}, ${parsed.lng}`);
+    }
+}
+
+// A spelled-out hemisphere is read as the hemisphere
+const south = CoordinateParser.parse('56 South 334873 6252266');
+assert.ok(Math.abs(south.lat + 33.86) < 0.01, `56 South parsed as ${south.lat}`);
+const north = CoordinateParser.parse('UTM 31 North 448251 5411932');
+assert.ok(north.lat > 48 && north.lat < 49, `31 North parsed as ${north.lat}`);
+
+// A hemisphere letter on just one of the values
+for (const text of ['48.85N, 2.35', '48.85 2.35E', '2.35E, 48.85', 'N48.85 2.35']) {
+    const position = CoordinateParser.parse(text);
+    assert.deepStrictEqual(position, { lat: 48.85, lng: 2.35 }, `"${text}" parsed as ${position.lat}, ${position.lng}`);
+}
+
+// Decimal commas, with the values separated by whitespace or a semicolon
+for (const text of ['48,8566 2,3522', '48,8566; 2,3522', '48,8566N 2,3522']) {
+    const position = CoordinateParser.parse(text);
+    assert.deepStrictEqual(position, { lat: 48.8566, lng: 2.3522 }, `"${text}" parsed as ${position.lat}, ${position.lng}`);
+}
+
+console.log('coordinate-parser: all checks passed');
@@ -0,0 +1,70 @@
+/**
+ * Feature expression checks: operator precedence, NULL handling, IN/LIKE, the
+ * fields an expression reads, and the errors reported for malformed input.
+ * Run with: node tests/feature-expression.test.js
+ */
+
+const assert = require('assert');
+
+const FeatureExpression = require('../feature-expression.js');
+
+const properties = { population: 120000, country: 'Poland', type: 'chapel', name: 'St Anne', founded: null, ratio: '0.5' };
+const evaluate = (source) => new FeatureExpression(source).evaluate(properties);
+const test = (source) => new FeatureExpression(source).test(properties);
+
+// Arithmetic binds tighter than comparison, comparison than NOT, NOT than AND, AND than OR
+assert.strictEqual(evaluate('1 + 2 * 3'), 7);
+assert.strictEqual(evaluate('(1 + 2) * 3'), 9);
+assert.strictEqual(evaluate('-2 - -3'), 1);
+assert.strictEqual(evaluate('7 % 4'), 3);
+assert.strictEqual(test('"population" > 100000 AND country = \'Poland\''), true);
+assert.strictEqual(test('FALSE AND FALSE OR TRUE'), true);
+assert.strictEqual(test('NOT 1 > 2'), true);
+assert.strictEqual(test('! (population > 1 && country = \'France\')'), true);
+
+// Numeric strings compare as numbers; other strings compare as text
+assert.strictEqual(test('ratio = 0.5'), true);
+assert.strictEqual(test('ratio * 2 = 1'), true);
+assert.strictEqual(test('\'10\' > \'9\''), true);
+assert.strictEqual(test('country < \'Portugal\''), true);
+
+// NULL: IS [NOT] NULL works, comparisons and arithmetic with NULL do not hold
+assert.strictEqual(test('founded IS NULL'), true);
+assert.strictEqual(test('missing IS NULL'), true);
+assert.strictEqual(test('name IS NOT NULL'), true);
+assert.strictEqual(test('founded = NULL'), false);
+assert.strictEqual(test('founded <> 1'), false);
+assert.strictEqual(evaluate('founded + 1'), null);
+assert.strictEqual(evaluate('1 / 0'), null);
+
+// IN, NOT IN and case-insensitive LIKE with % and _
+assert.strictEqual(test('type IN (\'church\', \'chapel\')'), true);
+assert.strictEqual(test('type NOT IN (\'church\', \'chapel\')'), false);
+assert.strictEqual(test('name LIKE \'st %\''), true);
+assert.strictEqual(test('name LIKE \'St _nne\''), true);
+assert.strictEqual(test('name NOT LIKE \'St %\''), false);
+assert.strictEqual(test('name LIKE \'St.%\''), false);
+
+// Quoted strings escape quotes by doubling; "quoted" names are fields
+assert.strictEqual(evaluate('\'it\'\'s\''), 'it\'s');
+assert.strictEqual(new FeatureExpression('"a b" = 1').evaluate({ 'a b': 1 }), true);
+
+// The fields an expression reads
+assert.deepStrictEqual([...new FeatureExpression('"population_1930" - population_1900 < 0 OR name IS NULL').fields],
+    ['population_1930', 'population_1900', 'name']);
+
+// Malformed expressions are rejected with the position of the problem
+const errors = {
+    '': /Expression is empty/,
+    'population >': /Unexpected end of expression/,
+    'population > 1 1': /Unexpected "1" at position 16/,
+    '(population > 1': /Expected "\)" but found end of expression/,
+    'name NOT = 1': /Expected IN or LIKE after NOT/,
+    'name IS 1': /Expected "NULL" but found "1" at position 9/,
+    'population # 1': /Unexpected character at position 12: #/
+};
+Object.entries(errors).forEach(([source, message]) => {
+    assert.throws(() => new FeatureExpression(source), message, `"${source}"`);
+});
+
+console.log('feature-expression: all checks passed');
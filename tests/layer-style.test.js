@@ -0,0 +1,46 @@
+/**
+ * Layer style checks: graduated class breaks for each classification method, and
+ * how values are assigned to the resulting classes.
+ * Run with: node tests/layer-style.test.js
+ */
+
+const assert = require('assert');
+
+global.FeatureExpression = require('../feature-expression.js');
+const LayerStyle = require('../layer-style.js');
+
+// Quantiles interpolate between sorted values
+assert.deepStrictEqual(LayerStyle.computeBreaks([4, 1, 3, 2], 'quantile', 2), [1, 2.5, 4]);
+assert.deepStrictEqual(LayerStyle.computeBreaks([1, 2, 3, 4, 5], 'quantile', 4), [1, 2, 3, 4, 5]);
+
+// Equal intervals split the range evenly
+assert.deepStrictEqual(LayerStyle.computeBreaks([0, 1, 2, 3, 100], 'equal', 4), [0, 25, 50, 75, 100]);
+
+// Jenks finds the natural gaps between clusters of values
+const clustered = [1, 2, 3, 20, 21, 22, 50, 51, 52];
+assert.deepStrictEqual(LayerStyle.computeBreaks(clustered, 'jenks', 3), [1, 3, 22, 52]);
+assert.deepStrictEqual(LayerStyle.jenksBreaks([1, 2, 10, 11], 2), [2]);
+assert.deepStrictEqual(LayerStyle.jenksBreaks([1, 2, 3], 5), [1, 2]);
+
+// Repeated values merge duplicate bounds; a single distinct value is one class
+assert.deepStrictEqual(LayerStyle.computeBreaks([1, 1, 1, 1, 9], 'quantile', 4), [1, 9]);
+for (const method of ['quantile', 'equal', 'jenks']) {
+    assert.deepStrictEqual(LayerStyle.computeBreaks([5, 5, 5], method, 5), [5, 5], method);
+}
+assert.deepStrictEqual(LayerStyle.computeBreaks([], 'quantile', 5), []);
+
+// Classes include their upper bound; values outside the range or not numeric have none
+const style = new LayerStyle({ mode: 'graduated', field: 'value', breaks: [0, 10, 20] });
+assert.strictEqual(style.classIndex(0), 0);
+assert.strictEqual(style.classIndex(10), 0);
+assert.strictEqual(style.classIndex(10.5), 1);
+assert.strictEqual(style.classIndex(20), 1);
+assert.strictEqual(style.classIndex('15'), 1);
+assert.strictEqual(style.classIndex(-1), -1);
+assert.strictEqual(style.classIndex(21), -1);
+assert.strictEqual(style.classIndex('n/a'), -1);
+
+const single = new LayerStyle({ mode: 'graduated', field: 'value', breaks: [5, 5] });
+assert.strictEqual(single.classIndex(5), 0);
+
+console.log('layer-style: all checks passed');
@@ -0,0 +1,67 @@
+/**
+ * Spatial index checks: box searches must find exactly what a full scan finds, and
+ * the distance and point-in-polygon helpers used for hit-testing must be exact.
+ * Run with: node tests/spatial-index.test.js
+ */
+
+const assert = require('assert');
+
+const SpatialIndex = require('../spatial-index.js');
+
+// Pseudo-random boxes, so a failure can be reproduced
+let seed = 1;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+const items = [];
+for (let id = 0; id < 3000; id++) {
+    const x = random() * 1000;
+    const y = random() * 1000;
+    const size = random() * 20;
+    items.push({ id, minX: x, minY: y, maxX: x + size, maxY: y + size });
+}
+
+for (const nodeSize of [2, 16]) {
+    const index = new SpatialIndex(items, nodeSize);
+    for (let query = 0; query < 100; query++) {
+        const minX = random() * 1000;
+        const minY = random() * 1000;
+        const maxX = minX + random() * 150;
+        const maxY = minY + random() * 150;
+
+        const found = index.search(minX, minY, maxX, maxY).map(item => item.id).sort((a, b) => a - b);
+        const expected = items
+            .filter(item => item.minX <= maxX && item.maxX >= minX && item.minY <= maxY && item.maxY >= minY)
+            .map(item => item.id);
+        assert.deepStrictEqual(found, expected, `node size ${nodeSize}: search ${minX}, ${minY}, ${maxX}, ${maxY}`);
+    }
+}
+
+// Boxes that only touch count as intersecting; an empty index finds nothing
+const touching = new SpatialIndex([{ minX: 0, minY: 0, maxX: 10, maxY: 10 }]);
+assert.strictEqual(touching.search(10, 10, 20, 20).length, 1);
+assert.strictEqual(touching.search(10.01, 0, 20, 10).length, 0);
+assert.deepStrictEqual(new SpatialIndex([]).search(-Infinity, -Infinity, Infinity, Infinity), []);
+
+// Distance to a segment: perpendicular inside it, to the nearer end beyond it
+const a = { x: 0, y: 0 };
+const b = { x: 10, y: 0 };
+assert.strictEqual(SpatialIndex.distanceToSegment(5, 3, a, b), 3);
+assert.strictEqual(SpatialIndex.distanceToSegment(-3, 4, a, b), 5);
+assert.strictEqual(SpatialIndex.distanceToSegment(13, 4, a, b), 5);
+assert.strictEqual(SpatialIndex.distanceToSegment(3, 4, a, a), 5);
+
+// Distance to a polyline is to its nearest segment; a single point is a point
+const line = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }];
+assert.strictEqual(SpatialIndex.distanceToLine(12, 5, line), 2);
+assert.strictEqual(SpatialIndex.distanceToLine(5, 2, line), 2);
+assert.strictEqual(SpatialIndex.distanceToLine(3, 4, [{ x: 0, y: 0 }]), 5);
+
+// Point in polygon, with a hole excluded
+const square = (min, max) => [{ x: min, y: min }, { x: max, y: min }, { x: max, y: max }, { x: min, y: max }];
+const rings = [square(0, 10), square(4, 6)];
+assert.strictEqual(SpatialIndex.pointInPolygon(2, 2, rings), true);
+assert.strictEqual(SpatialIndex.pointInPolygon(5, 5, rings), false);
+assert.strictEqual(SpatialIndex.pointInPolygon(11, 5, rings), false);
+assert.strictEqual(SpatialIndex.pointInPolygon(5, 5, [square(0, 10)]), true);
+
+console.log('spatial-index: all checks passed');
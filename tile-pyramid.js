@@ -0,0 +1,335 @@
+/**
+ * Tile Pyramid
+ * Draws large map scans from a multi-resolution tile pyramid (see tile-worker.js).
+ * Only tiles visible at the current zoom are loaded; while they load, the
+ * matching part of a coarser tile is drawn in their place.
+ */
+
+class TilePyramid {
+    /**
+     * onUpdate: called when new tiles can be drawn; onProgress: (fraction) while building
+     */
+    constructor(file, { tileSize = 512, maxCachedTiles = 192, onUpdate = () => {}, onProgress = () => {} } = {}) {
+        this.file = file;
+        this.imageKey = TilePyramid.imageKey(file);
+        this.tileSize = tileSize;
+        this.maxCachedTiles = maxCachedTiles;
+        this.onUpdate = onUpdate;
+        this.onProgress = onProgress;
+
+        this.metadata = null;
+        this.readyLevels = new Set(); // Levels whose tiles are all stored
+        this.cache = new Map(); // Tile key -> ImageBitmap, in least recently used order
+        this.pending = new Map(); // Tile key -> load promise
+        this.heldTiles = 0; // Tiles loadTiles() needs cached at once
+        this.store = new TileStore();
+        this.worker = null;
+        this.disposed = false;
+    }
+
+    /**
+     * Images with more pixels than this are drawn from tiles
+     */
+    static get THRESHOLD_PIXELS() {
+        return 4096 * 4096;
+    }
+
+    /**
+     * Number of pyramids kept in IndexedDB
+     */
+    static get STORED_PYRAMIDS() {
+        return 3;
+    }
+
+    /**
+     * Identify a file across sessions so its tiles can be reused
+     */
+    static imageKey(file) {
+        return `${file.name}|${file.size}|${file.lastModified}`;
+    }
+
+    /**
+     * Whether the browser can build pyramids
+     */
+    static get isSupported() {
+        return typeof Worker !== 'undefined' && typeof indexedDB !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Reuse stored tiles or build them in the worker.
+     * Resolves with the pyramid metadata once the coarsest level can be drawn.
+     */
+    async open() {
+        const stored = await this.store.getPyramid(this.imageKey);
+        if (stored && stored.complete) {
+            this.metadata = stored;
+            stored.levelSizes.forEach((size, level) => this.readyLevels.add(level));
+            return stored;
+        }
+
+        if (stored) {
+            await this.store.deletePyramid(this.imageKey); // Interrupted build
+        }
+
+        return new Promise((resolve, reject) => {
+            let resolved = false;
+            const fail = (message) => {
+                if (resolved) {
+                    // Coarser levels are usable; finer ones stay as placeholders
+                    console.warn('Tile pyramid incomplete:', message);
+                    this.stopWorker();
+                } else {
+                    this.dispose();
+                    reject(new Error(message));
+                }
+            };
+
+            this.worker = new Worker('tile-worker.js');
+
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+
+                switch (message.type) {
+                    case 'metadata':
+                        this.metadata = message.metadata;
+                        this.store.prune(TilePyramid.STORED_PYRAMIDS).catch(error =>
+                            console.warn('Failed to prune stored tiles:', error));
+                        break;
+                    case 'progress':
+                        this.onProgress(message.done / message.total);
+                        break;
+                    case 'level':
+                        this.readyLevels.add(message.level);
+                        if (message.level === this.metadata.levelSizes.length - 1) {
+                            resolved = true;
+                            resolve(this.metadata);
+                        }
+                        this.onUpdate();
+                        break;
+                    case 'complete':
+                        this.metadata.complete = true;
+                        this.onProgress(1);
+                        this.stopWorker();
+                        break;
+                    case 'error':
+                        fail(message.message);
+                        break;
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                fail(event.message || 'Tile worker failed');
+            };
+
+            this.worker.postMessage({ file: this.file, imageKey: this.imageKey, tileSize: this.tileSize });
+        });
+    }
+
+    /**
+     * Whether at least the coarsest level can be drawn
+     */
+    get isReady() {
+        return this.metadata !== null && this.readyLevels.has(this.metadata.levelSizes.length - 1);
+    }
+
+    /**
+     * Level and tile range covering the visible part of the map. pixelRatio is the
+     * number of device pixels per display pixel the tiles will be drawn at.
+     */
+    getVisibleTiles(viewport, displayWidth, displayHeight, pixelRatio = 1) {
+        const { levelSizes, width, height } = this.metadata;
+        const scale = viewport.scale;
+
+        // Coarsest level that still has at least device resolution
+        const level = Math.max(0, Math.min(levelSizes.length - 1, Math.floor(Math.log2(1 / (scale * pixelRatio)))));
+        const size = levelSizes[level];
+        const fx = width / size.width;
+        const fy = height / size.height;
+        const span = this.tileSize;
+
+        // Visible extent in full-resolution pixels
+        const left = -viewport.x / scale;
+        const top = -viewport.y / scale;
+        const right = left + displayWidth / scale;
+        const bottom = top + displayHeight / scale;
+
+        return {
+            level,
+            col0: Math.max(0, Math.floor(left / (span * fx))),
+            row0: Math.max(0, Math.floor(top / (span * fy))),
+            col1: Math.min(Math.ceil(size.width / span) - 1, Math.floor(right / (span * fx))),
+            row1: Math.min(Math.ceil(size.height / span) - 1, Math.floor(bottom / (span * fy)))
+        };
+    }
+
+    /**
+     * Draw the tiles covering the visible part of the map
+     */
+    draw(ctx, viewport, displayWidth, displayHeight, pixelRatio = 1) {
+        if (!this.isReady) return;
+
+        const { level, col0, row0, col1, row1 } = this.getVisibleTiles(viewport, displayWidth, displayHeight, pixelRatio);
+
+        ctx.save();
+        ctx.translate(viewport.x, viewport.y);
+        ctx.scale(viewport.scale, viewport.scale);
+
+        for (let row = row0; row <= row1; row++) {
+            for (let col = col0; col <= col1; col++) {
+                this.drawTile(ctx, level, col, row);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Load every tile draw() would use for a view, keeping them cached until
+     * releaseTiles(), so an export can be drawn without placeholders
+     */
+    async loadTiles(viewport, displayWidth, displayHeight, pixelRatio = 1) {
+        if (!this.isReady) return;
+
+        const { level, col0, row0, col1, row1 } = this.getVisibleTiles(viewport, displayWidth, displayHeight, pixelRatio);
+        if (!this.readyLevels.has(level)) return; // Still being built; coarser tiles stand in
+
+        this.heldTiles = (col1 - col0 + 1) * (row1 - row0 + 1);
+        const loads = [];
+        for (let row = row0; row <= row1; row++) {
+            for (let col = col0; col <= col1; col++) {
+                const key = `${level}/${col}/${row}`;
+                if (!this.getTile(level, col, row)) {
+                    loads.push(this.pending.get(key));
+                }
+            }
+        }
+        await Promise.all(loads);
+    }
+
+    /**
+     * Return the cache to its usual size after loadTiles()
+     */
+    releaseTiles() {
+        this.heldTiles = 0;
+        this.evict();
+    }
+
+    /**
+     * Draw one tile, or the matching part of a cached coarser tile while it loads
+     */
+    drawTile(ctx, level, col, row) {
+        const { levelSizes, width, height } = this.metadata;
+        const span = this.tileSize;
+        const tile = this.getTile(level, col, row);
+
+        // Tile extent in full-resolution pixels
+        const fx = width / levelSizes[level].width;
+        const fy = height / levelSizes[level].height;
+        const x = col * span * fx;
+        const y = row * span * fy;
+        const w = Math.min(span, levelSizes[level].width - col * span) * fx;
+        const h = Math.min(span, levelSizes[level].height - row * span) * fy;
+
+        if (tile) {
+            ctx.drawImage(tile, x, y, w, h);
+            return;
+        }
+
+        for (let coarser = level + 1; coarser < levelSizes.length; coarser++) {
+            const shift = coarser - level;
+            const parentCol = col >> shift;
+            const parentRow = row >> shift;
+            const parent = this.getTile(coarser, parentCol, parentRow);
+            if (!parent) continue;
+
+            const pfx = width / levelSizes[coarser].width;
+            const pfy = height / levelSizes[coarser].height;
+            const sx = x / pfx - parentCol * span;
+            const sy = y / pfy - parentRow * span;
+            const sw = Math.min(w / pfx, parent.width - sx);
+            const sh = Math.min(h / pfy, parent.height - sy);
+
+            if (sw > 0 && sh > 0) {
+                ctx.drawImage(parent, sx, sy, sw, sh, x, y, sw * pfx, sh * pfy);
+            }
+            return;
+        }
+    }
+
+    /**
+     * Cached tile bitmap, or null after starting to load it
+     */
+    getTile(level, col, row) {
+        const key = `${level}/${col}/${row}`;
+        const tile = this.cache.get(key);
+
+        if (tile) {
+            // Mark as most recently used
+            this.cache.delete(key);
+            this.cache.set(key, tile);
+            return tile;
+        }
+
+        if (this.readyLevels.has(level) && !this.pending.has(key)) {
+            this.pending.set(key, this.loadTile(key, level, col, row));
+        }
+        return null;
+    }
+
+    async loadTile(key, level, col, row) {
+        try {
+            const blob = await this.store.getTile(this.imageKey, level, col, row);
+            if (!blob || this.disposed) return;
+
+            const bitmap = await createImageBitmap(blob);
+            if (this.disposed) {
+                bitmap.close();
+                return;
+            }
+
+            this.cache.set(key, bitmap);
+            this.evict();
+            this.onUpdate();
+        } catch (error) {
+            console.warn(`Failed to load tile ${key}:`, error);
+        } finally {
+            this.pending.delete(key);
+        }
+    }
+
+    /**
+     * Drop least recently used tiles beyond the cache limit
+     */
+    evict() {
+        while (this.cache.size > this.maxCachedTiles + this.heldTiles) {
+            const [key, bitmap] = this.cache.entries().next().value;
+            this.cache.delete(key);
+            if (bitmap.close) bitmap.close();
+        }
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Stop building and release cached tiles
+     */
+    dispose() {
+        this.disposed = true;
+        this.stopWorker();
+
+        this.cache.forEach(bitmap => bitmap.close && bitmap.close());
+        this.cache.clear();
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TilePyramid;
+}
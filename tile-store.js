@@ -0,0 +1,93 @@
+/**
+ * Tile Store
+ * IndexedDB storage for image pyramid tiles, shared by the page and the tile worker
+ */
+
+class TileStore {
+    constructor(name = 'gis-viewer-tiles') {
+        this.name = name;
+        this.db = null;
+    }
+
+    /**
+     * Open (and if needed create) the database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('pyramids', { keyPath: 'imageKey' });
+                db.createObjectStore('tiles'); // Keyed by [imageKey, level, col, row]
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against an object store
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getPyramid(imageKey) {
+        return this.run('pyramids', 'readonly', store => store.get(imageKey));
+    }
+
+    putPyramid(metadata) {
+        return this.run('pyramids', 'readwrite', store => store.put(metadata));
+    }
+
+    listPyramids() {
+        return this.run('pyramids', 'readonly', store => store.getAll());
+    }
+
+    getTile(imageKey, level, col, row) {
+        return this.run('tiles', 'readonly', store => store.get([imageKey, level, col, row]));
+    }
+
+    putTile(imageKey, level, col, row, blob) {
+        return this.run('tiles', 'readwrite', store => store.put(blob, [imageKey, level, col, row]));
+    }
+
+    /**
+     * Remove a pyramid and all of its tiles
+     */
+    async deletePyramid(imageKey) {
+        // Arrays sort after numbers, so [imageKey, []] bounds every tile key of this image
+        await this.run('tiles', 'readwrite', store => store.delete(IDBKeyRange.bound([imageKey], [imageKey, []])));
+        await this.run('pyramids', 'readwrite', store => store.delete(imageKey));
+    }
+
+    /**
+     * Keep only the most recently created pyramids
+     */
+    async prune(keep) {
+        const pyramids = await this.listPyramids();
+        const stale = pyramids.sort((a, b) => b.created - a.created).slice(keep);
+        for (const pyramid of stale) {
+            await this.deletePyramid(pyramid.imageKey);
+        }
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TileStore;
+}
@@ -0,0 +1,98 @@
+/**
+ * Tile Worker
+ * Decodes a map image off the main thread and slices it into a multi-resolution
+ * tile pyramid stored in IndexedDB. The image is decoded once, so it must be small
+ * enough for the browser to decode at all. Each tile is drawn straight from the
+ * decoded image at its level's scale, so no downscaled copy of a whole level is
+ * kept. Coarse levels are written first so the page can show a low-resolution
+ * preview while the finer tiles are produced.
+ *
+ * Messages in:  { file, imageKey, tileSize }
+ * Messages out: { type: 'metadata', metadata } | { type: 'progress', done, total }
+ *               { type: 'level', level } | { type: 'complete' } | { type: 'error', message }
+ */
+
+importScripts('tile-store.js');
+
+self.onmessage = async (event) => {
+    const { file, imageKey, tileSize } = event.data;
+
+    try {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file);
+        } catch (error) {
+            throw new Error('The image could not be decoded. It may be damaged, or larger than this browser can open.');
+        }
+
+        const levelSizes = getLevelSizes(bitmap, tileSize);
+        const metadata = {
+            imageKey,
+            width: bitmap.width,
+            height: bitmap.height,
+            tileSize,
+            levelSizes,
+            complete: false,
+            created: Date.now()
+        };
+
+        const store = new TileStore();
+        await store.putPyramid(metadata);
+        self.postMessage({ type: 'metadata', metadata });
+
+        const total = levelSizes.reduce((sum, size) =>
+            sum + Math.ceil(size.width / tileSize) * Math.ceil(size.height / tileSize), 0);
+        const format = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+        let done = 0;
+
+        for (let level = levelSizes.length - 1; level >= 0; level--) {
+            const size = levelSizes[level];
+            const fx = bitmap.width / size.width;
+            const fy = bitmap.height / size.height;
+
+            for (let row = 0; row * tileSize < size.height; row++) {
+                for (let col = 0; col * tileSize < size.width; col++) {
+                    const width = Math.min(tileSize, size.width - col * tileSize);
+                    const height = Math.min(tileSize, size.height - row * tileSize);
+                    const canvas = new OffscreenCanvas(width, height);
+                    const ctx = canvas.getContext('2d');
+                    ctx.imageSmoothingQuality = 'high';
+                    ctx.drawImage(bitmap, col * tileSize * fx, row * tileSize * fy, width * fx, height * fy,
+                        0, 0, width, height);
+
+                    const blob = await canvas.convertToBlob({ type: format, quality: 0.9 });
+                    await store.putTile(imageKey, level, col, row, blob);
+
+                    done++;
+                    if (done % 16 === 0) {
+                        self.postMessage({ type: 'progress', done, total });
+                    }
+                }
+            }
+
+            self.postMessage({ type: 'level', level });
+        }
+
+        metadata.complete = true;
+        await store.putPyramid(metadata);
+        bitmap.close();
+        self.postMessage({ type: 'complete' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
+
+/**
+ * Full-resolution size followed by successive halvings down to a single tile
+ */
+function getLevelSizes(image, tileSize) {
+    const sizes = [{ width: image.width, height: image.height }];
+    let current = sizes[0];
+
+    while (Math.max(current.width, current.height) > tileSize) {
+        current = { width: Math.ceil(current.width / 2), height: Math.ceil(current.height / 2) };
+        sizes.push(current);
+    }
+
+    return sizes;
+}
@@ -0,0 +1,666 @@
+/**
+ * Coordinate Transforms
+ * Transformation models used to georeference map images from reference points
+ *
+ * Every model maps image pixels (x, y) to map coordinates (x = longitude/easting,
+ * y = latitude/northing) and provides an inverse for the opposite direction.
+ */
+
+class CoordinateTransform {
+    /**
+     * Available transformation types and the number of points each needs
+     */
+    static get TYPES() {
+        return {
+            affine: { label: 'Affine (1st order)', minPoints: 2 },
+            northAligned: { label: 'North-aligned (no rotation)', minPoints: 2 },
+            polynomial2: { label: 'Polynomial (2nd order)', minPoints: 6 },
+            polynomial3: { label: 'Polynomial (3rd order)', minPoints: 10 },
+            tps: { label: 'Thin Plate Spline', minPoints: 3 }
+        };
+    }
+
+    /**
+     * Fit a transform of the given type to matching source and target points.
+     * Returns null if there are too few points or the system is degenerate.
+     * options.xScale is the ground length of one target x unit relative to one
+     * y unit (cos(latitude) for lng/lat), so two-point fits keep true angles.
+     */
+    static create(type, sources, targets, options = {}) {
+        const definition = CoordinateTransform.TYPES[type];
+        if (!definition || sources.length < definition.minPoints) {
+            return null;
+        }
+
+        switch (type) {
+            case 'affine':
+                return AffineTransform.fit(sources, targets, options);
+            case 'northAligned':
+                return AffineTransform.fitNorthAligned(sources, targets);
+            case 'polynomial2':
+                return PolynomialTransform.fit(sources, targets, 2);
+            case 'polynomial3':
+                return PolynomialTransform.fit(sources, targets, 3);
+            case 'tps':
+                return ThinPlateSplineTransform.fit(sources, targets);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Outlier-resistant fit. Candidate models are fitted to minimal subsets
+     * (RANSAC-style sampling) and scored by their median squared pixel error
+     * (least median of squares); points far outside the robust error scale are
+     * reported as outliers and the final transform is fitted without them.
+     * Returns { transform, outliers } with outliers as indices into sources.
+     */
+    static robustFit(type, sources, targets, options = {}) {
+        // Interpolating splines have no redundancy, so screen them with an affine model
+        const detectionType = type === 'tps' ? 'affine' : type;
+        const sampleSize = detectionType === 'affine' ? 3 : CoordinateTransform.TYPES[detectionType].minPoints;
+        const n = sources.length;
+
+        if (n < sampleSize + 3) {
+            return { transform: CoordinateTransform.create(type, sources, targets, options), outliers: [] };
+        }
+
+        const fitSubset = (fitType, indices) => CoordinateTransform.create(fitType,
+            indices.map(i => sources[i]), indices.map(i => targets[i]), options);
+
+        // Order statistic scored instead of the plain median so exact fits of the
+        // sample itself can never make up the majority
+        const h = Math.floor((n + sampleSize + 1) / 2);
+
+        let best = null;
+        CoordinateTransform.sampleSubsets(n, sampleSize, 200).forEach(subset => {
+            const model = fitSubset(detectionType, subset);
+            if (!model) return;
+
+            const errors = CoordinateTransform.pixelErrors(model, sources, targets);
+            const squared = errors.map(e => e * e).sort((a, b) => a - b);
+            const median = squared[h - 1];
+
+            if (isFinite(median) && (!best || median < best.median)) {
+                best = { errors, median };
+            }
+        });
+
+        if (!best) {
+            return { transform: CoordinateTransform.create(type, sources, targets, options), outliers: [] };
+        }
+
+        // Robust standard deviation (Rousseeuw & Leroy); sub-pixel errors are never outliers
+        const sigma = 1.4826 * (1 + 5 / (n - sampleSize)) * Math.sqrt(best.median);
+        const threshold = Math.max(2.5 * sigma, 1);
+        const all = sources.map((p, i) => i);
+        let inliers = all.filter(i => best.errors[i] <= threshold);
+
+        // Re-check every point against a least-squares fit of the inliers
+        const refined = fitSubset(detectionType, inliers);
+        if (refined) {
+            const errors = CoordinateTransform.pixelErrors(refined, sources, targets);
+            inliers = all.filter(i => errors[i] <= threshold);
+        }
+
+        const transform = inliers.length > sampleSize ? fitSubset(type, inliers) : null;
+        if (!transform) {
+            return { transform: CoordinateTransform.create(type, sources, targets, options), outliers: [] };
+        }
+
+        return { transform, outliers: all.filter(i => !inliers.includes(i)) };
+    }
+
+    /**
+     * Distance in pixels between each source point and its target mapped back
+     */
+    static pixelErrors(transform, sources, targets) {
+        return sources.map((p, i) => {
+            const back = transform.inverse(targets[i].x, targets[i].y);
+            return back ? Math.hypot(back.x - p.x, back.y - p.y) : Infinity;
+        });
+    }
+
+    /**
+     * Index subsets of size k from n items: all of them when there are few,
+     * otherwise a fixed pseudo-random selection so results are repeatable
+     */
+    static sampleSubsets(n, k, maxSubsets) {
+        const subsets = [];
+
+        let combinations = 1;
+        for (let i = 0; i < k; i++) {
+            combinations = combinations * (n - i) / (i + 1);
+        }
+
+        if (combinations <= maxSubsets) {
+            const subset = [];
+            const choose = (start) => {
+                if (subset.length === k) {
+                    subsets.push(subset.slice());
+                    return;
+                }
+                for (let i = start; i < n; i++) {
+                    subset.push(i);
+                    choose(i + 1);
+                    subset.pop();
+                }
+            };
+            choose(0);
+            return subsets;
+        }
+
+        let seed = 12345;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648;
+        };
+
+        while (subsets.length < maxSubsets) {
+            const subset = new Set();
+            while (subset.size < k) {
+                subset.add(Math.floor(random() * n));
+            }
+            subsets.push([...subset]);
+        }
+        return subsets;
+    }
+
+    /**
+     * Whether this transform can be expressed as a single affine matrix
+     */
+    get isAffine() {
+        return false;
+    }
+
+    /**
+     * Map pixel coordinates to map coordinates
+     */
+    forward(x, y) {
+        throw new Error('forward() not implemented');
+    }
+
+    /**
+     * Map map coordinates back to pixel coordinates
+     */
+    inverse(x, y) {
+        const guess = this.estimateInverse(x, y);
+        if (!guess) return null;
+        return this.refineInverse(x, y, guess);
+    }
+
+    /**
+     * Best-fit affine transform over a width x height image, sampled on a grid.
+     * maxError is the largest disagreement with this transform, in pixels.
+     */
+    affineApproximation(width, height, samples = 9) {
+        const sources = [];
+        for (let i = 0; i < samples; i++) {
+            for (let j = 0; j < samples; j++) {
+                sources.push({ x: width * j / (samples - 1), y: height * i / (samples - 1) });
+            }
+        }
+        const targets = sources.map(p => this.forward(p.x, p.y));
+
+        const transform = AffineTransform.fit(sources, targets);
+        if (!transform) return null;
+
+        let maxError = 0;
+        sources.forEach((p, i) => {
+            const approx = transform.inverse(targets[i].x, targets[i].y);
+            if (approx) maxError = Math.max(maxError, Math.hypot(approx.x - p.x, approx.y - p.y));
+        });
+
+        return { transform, maxError };
+    }
+
+    /**
+     * Approximate inverse used as the starting point for refinement
+     */
+    estimateInverse(x, y) {
+        return null;
+    }
+
+    /**
+     * Refine an inverse estimate with Newton iterations on the forward model,
+     * so that inverse(forward(p)) returns p even for non-linear transforms
+     */
+    refineInverse(targetX, targetY, guess) {
+        const h = 0.01; // Finite difference step in pixels
+        let { x, y } = guess;
+
+        for (let iteration = 0; iteration < 10; iteration++) {
+            const p = this.forward(x, y);
+            const px = this.forward(x + h, y);
+            const py = this.forward(x, y + h);
+
+            const rx = p.x - targetX;
+            const ry = p.y - targetY;
+
+            // Jacobian of the forward transform
+            const j11 = (px.x - p.x) / h;
+            const j12 = (py.x - p.x) / h;
+            const j21 = (px.y - p.y) / h;
+            const j22 = (py.y - p.y) / h;
+
+            const det = j11 * j22 - j12 * j21;
+            if (Math.abs(det) < 1e-20) break;
+
+            const dx = (j22 * rx - j12 * ry) / det;
+            const dy = (j11 * ry - j21 * rx) / det;
+
+            if (!isFinite(dx) || !isFinite(dy)) break;
+
+            x -= dx;
+            y -= dy;
+
+            if (Math.abs(dx) < 1e-6 && Math.abs(dy) < 1e-6) break;
+        }
+
+        if (!isFinite(x) || !isFinite(y)) {
+            return guess;
+        }
+
+        return { x, y };
+    }
+
+    /**
+     * Solve least squares problem Ax = b
+     */
+    static leastSquares(A, b) {
+        const m = A.length;
+        const n = A[0].length;
+
+        // Compute A^T * A and A^T * b
+        const AtA = Array(n).fill().map(() => Array(n).fill(0));
+        const Atb = Array(n).fill(0);
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                for (let k = 0; k < m; k++) {
+                    AtA[i][j] += A[k][i] * A[k][j];
+                }
+            }
+            for (let k = 0; k < m; k++) {
+                Atb[i] += A[k][i] * b[k];
+            }
+        }
+
+        // Solve using Gaussian elimination
+        return CoordinateTransform.gaussianElimination(AtA, Atb);
+    }
+
+    /**
+     * Gaussian elimination solver (modifies A and b in place)
+     */
+    static gaussianElimination(A, b) {
+        const n = A.length;
+        const x = Array(n).fill(0);
+
+        // Forward elimination
+        for (let i = 0; i < n; i++) {
+            // Find pivot
+            let maxRow = i;
+            for (let k = i + 1; k < n; k++) {
+                if (Math.abs(A[k][i]) > Math.abs(A[maxRow][i])) {
+                    maxRow = k;
+                }
+            }
+
+            // Swap rows
+            [A[i], A[maxRow]] = [A[maxRow], A[i]];
+            [b[i], b[maxRow]] = [b[maxRow], b[i]];
+
+            // Check for singular matrix
+            if (Math.abs(A[i][i]) < 1e-10) {
+                return null;
+            }
+
+            // Eliminate column
+            for (let k = i + 1; k < n; k++) {
+                const factor = A[k][i] / A[i][i];
+                for (let j = i; j < n; j++) {
+                    A[k][j] -= factor * A[i][j];
+                }
+                b[k] -= factor * b[i];
+            }
+        }
+
+        // Back substitution
+        for (let i = n - 1; i >= 0; i--) {
+            x[i] = b[i];
+            for (let j = i + 1; j < n; j++) {
+                x[i] -= A[i][j] * x[j];
+            }
+            x[i] /= A[i][i];
+        }
+
+        return x;
+    }
+
+    /**
+     * Compute centering and scaling that keep high-order fits well conditioned
+     */
+    static normalization(points) {
+        const n = points.length;
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / n;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / n;
+        const spread = Math.sqrt(points.reduce((sum, p) =>
+            sum + Math.pow(p.x - cx, 2) + Math.pow(p.y - cy, 2), 0) / n);
+
+        return { cx, cy, scale: spread > 1e-12 ? spread : 1 };
+    }
+}
+
+/**
+ * First-order transform:
+ *   lat (y) = a * x + b * y + c
+ *   lng (x) = d * x + e * y + f
+ */
+class AffineTransform extends CoordinateTransform {
+    constructor({ a, b, c, d, e, f }) {
+        super();
+        Object.assign(this, { a, b, c, d, e, f });
+        this.type = 'affine';
+    }
+
+    /**
+     * Fit from two points (similarity) or by least squares for three or more
+     */
+    static fit(sources, targets, { xScale = 1 } = {}) {
+        if (sources.length === 2) {
+            return AffineTransform.fitSimilarity(sources, targets, xScale);
+        }
+
+        // Set up matrices for least squares: Ax = b
+        const A = sources.map(p => [p.x, p.y, 1]);
+        const latCoeffs = CoordinateTransform.leastSquares(A, targets.map(p => p.y));
+        const lngCoeffs = CoordinateTransform.leastSquares(A, targets.map(p => p.x));
+
+        if (!latCoeffs || !lngCoeffs) return null;
+
+        return new AffineTransform({
+            a: latCoeffs[0], b: latCoeffs[1], c: latCoeffs[2],
+            d: lngCoeffs[0], e: lngCoeffs[1], f: lngCoeffs[2]
+        });
+    }
+
+    /**
+     * Two-point similarity transform: rotation, uniform scale and translation.
+     * Solved as w = s * z + t in complex numbers, with pixel y flipped upwards
+     * and target x multiplied by xScale so both axes share a ground unit.
+     */
+    static fitSimilarity(sources, targets, xScale = 1) {
+        const [p1, p2] = sources;
+        const [g1, g2] = targets;
+
+        const zx = p2.x - p1.x;
+        const zy = -(p2.y - p1.y);
+        const wx = (g2.x - g1.x) * xScale;
+        const wy = g2.y - g1.y;
+
+        const norm = zx * zx + zy * zy;
+        if (norm < 1e-20 || !(xScale > 0)) {
+            return null;
+        }
+
+        // s = (w2 - w1) / (z2 - z1)
+        const sr = (wx * zx + wy * zy) / norm;
+        const si = (wy * zx - wx * zy) / norm;
+
+        // x * xScale = sr * px + si * py + tx;  y = si * px - sr * py + ty
+        const tx = g1.x * xScale - (sr * p1.x + si * p1.y);
+        const ty = g1.y - (si * p1.x - sr * p1.y);
+
+        return new AffineTransform({
+            a: si, b: -sr, c: ty,
+            d: sr / xScale, e: si / xScale, f: tx / xScale
+        });
+    }
+
+    /**
+     * North-aligned calibration with independent axis scaling and no rotation,
+     * fitted by least squares on each axis
+     */
+    static fitNorthAligned(sources, targets) {
+        const xCoeffs = CoordinateTransform.leastSquares(sources.map(p => [p.x, 1]), targets.map(p => p.x));
+        const yCoeffs = CoordinateTransform.leastSquares(sources.map(p => [p.y, 1]), targets.map(p => p.y));
+
+        if (!xCoeffs || !yCoeffs || !xCoeffs.every(isFinite) || !yCoeffs.every(isFinite) ||
+            Math.abs(xCoeffs[0]) < 1e-20 || Math.abs(yCoeffs[0]) < 1e-20) {
+            return null;
+        }
+
+        const transform = new AffineTransform({
+            a: 0, b: yCoeffs[0], c: yCoeffs[1],
+            d: xCoeffs[0], e: 0, f: xCoeffs[1]
+        });
+        transform.type = 'northAligned';
+        return transform;
+    }
+
+    get isAffine() {
+        return true;
+    }
+
+    affineApproximation() {
+        return { transform: this, maxError: 0 };
+    }
+
+    forward(x, y) {
+        return {
+            x: this.d * x + this.e * y + this.f,
+            y: this.a * x + this.b * y + this.c
+        };
+    }
+
+    inverse(x, y) {
+        const det = this.a * this.e - this.b * this.d;
+        if (Math.abs(det) < 1e-20) return null;
+
+        return {
+            x: (this.e * (y - this.c) - this.b * (x - this.f)) / det,
+            y: (this.a * (x - this.f) - this.d * (y - this.c)) / det
+        };
+    }
+}
+
+/**
+ * Polynomial surface fitted by least squares on normalized coordinates
+ */
+class PolynomialModel {
+    constructor(order, norm, coeffsX, coeffsY) {
+        this.order = order;
+        this.norm = norm;
+        this.coeffsX = coeffsX;
+        this.coeffsY = coeffsY;
+    }
+
+    /**
+     * Number of coefficients for a polynomial of the given order
+     */
+    static termCount(order) {
+        return (order + 1) * (order + 2) / 2;
+    }
+
+    /**
+     * Polynomial terms x^i * y^j with i + j <= order
+     */
+    static terms(x, y, order) {
+        const terms = [];
+        for (let degree = 0; degree <= order; degree++) {
+            for (let j = 0; j <= degree; j++) {
+                terms.push(Math.pow(x, degree - j) * Math.pow(y, j));
+            }
+        }
+        return terms;
+    }
+
+    static fit(sources, targets, order) {
+        if (sources.length < PolynomialModel.termCount(order)) return null;
+
+        const norm = CoordinateTransform.normalization(sources);
+        const A = sources.map(p => PolynomialModel.terms(
+            (p.x - norm.cx) / norm.scale, (p.y - norm.cy) / norm.scale, order));
+
+        const coeffsX = CoordinateTransform.leastSquares(A, targets.map(p => p.x));
+        const coeffsY = CoordinateTransform.leastSquares(A, targets.map(p => p.y));
+
+        if (!coeffsX || !coeffsY) return null;
+
+        return new PolynomialModel(order, norm, coeffsX, coeffsY);
+    }
+
+    evaluate(x, y) {
+        const terms = PolynomialModel.terms(
+            (x - this.norm.cx) / this.norm.scale, (y - this.norm.cy) / this.norm.scale, this.order);
+
+        let resultX = 0;
+        let resultY = 0;
+        for (let i = 0; i < terms.length; i++) {
+            resultX += this.coeffsX[i] * terms[i];
+            resultY += this.coeffsY[i] * terms[i];
+        }
+
+        return { x: resultX, y: resultY };
+    }
+}
+
+/**
+ * Second or third order polynomial transform
+ */
+class PolynomialTransform extends CoordinateTransform {
+    constructor(order, forwardModel, inverseModel) {
+        super();
+        this.order = order;
+        this.forwardModel = forwardModel;
+        this.inverseModel = inverseModel;
+        this.type = `polynomial${order}`;
+    }
+
+    static fit(sources, targets, order) {
+        const forwardModel = PolynomialModel.fit(sources, targets, order);
+        const inverseModel = PolynomialModel.fit(targets, sources, order);
+
+        if (!forwardModel || !inverseModel) return null;
+
+        return new PolynomialTransform(order, forwardModel, inverseModel);
+    }
+
+    forward(x, y) {
+        return this.forwardModel.evaluate(x, y);
+    }
+
+    estimateInverse(x, y) {
+        return this.inverseModel.evaluate(x, y);
+    }
+}
+
+/**
+ * Thin plate spline interpolating one set of points onto another
+ */
+class ThinPlateSpline {
+    constructor(controlPoints, norm, weightsX, weightsY) {
+        this.controlPoints = controlPoints;
+        this.norm = norm;
+        this.weightsX = weightsX;
+        this.weightsY = weightsY;
+    }
+
+    /**
+     * Radial basis function U(r) = r^2 * log(r^2)
+     */
+    static kernel(r2) {
+        return r2 > 0 ? r2 * Math.log(r2) : 0;
+    }
+
+    static fit(sources, targets) {
+        const n = sources.length;
+        const norm = CoordinateTransform.normalization(sources);
+        const points = sources.map(p => ({
+            x: (p.x - norm.cx) / norm.scale,
+            y: (p.y - norm.cy) / norm.scale
+        }));
+
+        // Build the (n + 3) x (n + 3) system [K P; P^T 0]
+        const buildMatrix = () => {
+            const L = Array(n + 3).fill().map(() => Array(n + 3).fill(0));
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    const r2 = Math.pow(points[i].x - points[j].x, 2) + Math.pow(points[i].y - points[j].y, 2);
+                    L[i][j] = ThinPlateSpline.kernel(r2);
+                }
+                L[i][n] = L[n][i] = 1;
+                L[i][n + 1] = L[n + 1][i] = points[i].x;
+                L[i][n + 2] = L[n + 2][i] = points[i].y;
+            }
+            return L;
+        };
+
+        const weightsX = CoordinateTransform.gaussianElimination(
+            buildMatrix(), [...targets.map(p => p.x), 0, 0, 0]);
+        const weightsY = CoordinateTransform.gaussianElimination(
+            buildMatrix(), [...targets.map(p => p.y), 0, 0, 0]);
+
+        if (!weightsX || !weightsY) return null;
+
+        return new ThinPlateSpline(points, norm, weightsX, weightsY);
+    }
+
+    evaluate(x, y) {
+        const n = this.controlPoints.length;
+        const nx = (x - this.norm.cx) / this.norm.scale;
+        const ny = (y - this.norm.cy) / this.norm.scale;
+
+        let resultX = this.weightsX[n] + this.weightsX[n + 1] * nx + this.weightsX[n + 2] * ny;
+        let resultY = this.weightsY[n] + this.weightsY[n + 1] * nx + this.weightsY[n + 2] * ny;
+
+        for (let i = 0; i < n; i++) {
+            const p = this.controlPoints[i];
+            const u = ThinPlateSpline.kernel(Math.pow(nx - p.x, 2) + Math.pow(ny - p.y, 2));
+            resultX += this.weightsX[i] * u;
+            resultY += this.weightsY[i] * u;
+        }
+
+        return { x: resultX, y: resultY };
+    }
+}
+
+/**
+ * Thin plate spline transform passing exactly through every reference point
+ */
+class ThinPlateSplineTransform extends CoordinateTransform {
+    constructor(forwardSpline, inverseSpline) {
+        super();
+        this.forwardSpline = forwardSpline;
+        this.inverseSpline = inverseSpline;
+        this.type = 'tps';
+    }
+
+    static fit(sources, targets) {
+        const forwardSpline = ThinPlateSpline.fit(sources, targets);
+        const inverseSpline = ThinPlateSpline.fit(targets, sources);
+
+        if (!forwardSpline || !inverseSpline) return null;
+
+        return new ThinPlateSplineTransform(forwardSpline, inverseSpline);
+    }
+
+    forward(x, y) {
+        return this.forwardSpline.evaluate(x, y);
+    }
+
+    estimateInverse(x, y) {
+        return this.inverseSpline.evaluate(x, y);
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CoordinateTransform,
+        AffineTransform,
+        PolynomialTransform,
+        ThinPlateSplineTransform
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * ZIP Writer
+ * Minimal uncompressed (stored) ZIP archive builder for export bundles
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file; data may be a string or a Uint8Array
+     */
+    addFile(name, data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        this.entries.push({
+            name: new TextEncoder().encode(name),
+            data: bytes,
+            crc: ZipWriter.crc32(bytes)
+        });
+    }
+
+    /**
+     * Build the archive as a Blob
+     */
+    generate() {
+        const { time, date } = ZipWriter.dosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true);         // Version needed
+            local.setUint16(6, 0x0800, true);     // UTF-8 file names
+            local.setUint16(8, 0, true);          // Stored (no compression)
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.data.length, true);
+            central.setUint32(24, entry.data.length, true);
+            central.setUint16(28, entry.name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(local, entry.name, entry.data);
+            centralParts.push(central, entry.name);
+            offset += 30 + entry.name.length + entry.data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    /**
+     * CRC-32 checksum (IEEE polynomial)
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * MS-DOS packed time and date fields
+     */
+    static dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+}
+
+// Export for use in main application
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}